@@ -0,0 +1,164 @@
+// lib/auth.js
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Parámetros scrypt (N=2^15, r=8, p=1): ~50ms por verificación.
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEYLEN = 64;
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/* ============================
+   Contraseñas
+============================ */
+
+/**
+ * Hashea una contraseña con scrypt y sal aleatoria.
+ * Formato: scrypt$N$r$p$<sal base64>$<hash base64>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_KEYLEN, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: SCRYPT_MAXMEM,
+  });
+  return [
+    "scrypt",
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+function isLegacyHash(stored) {
+  return typeof stored === "string" && /^[a-f0-9]{64}$/i.test(stored);
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verifica una contraseña contra el hash guardado.
+ * Acepta también los SHA-256 sin sal antiguos; en ese caso needsRehash
+ * indica que conviene guardar un hash nuevo con hashPassword().
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || !password || !stored) {
+    return { ok: false, needsRehash: false };
+  }
+
+  if (isLegacyHash(stored)) {
+    const candidate = crypto.createHash("sha256").update(password).digest();
+    const ok = safeEqual(candidate, Buffer.from(stored, "hex"));
+    return { ok, needsRehash: ok };
+  }
+
+  const [scheme, n, r, p, saltB64, keyB64] = stored.split("$");
+  if (scheme !== "scrypt" || !saltB64 || !keyB64) {
+    return { ok: false, needsRehash: false };
+  }
+
+  const expected = Buffer.from(keyB64, "base64");
+  const key = await scrypt(
+    password,
+    Buffer.from(saltB64, "base64"),
+    expected.length,
+    {
+      N: Number(n),
+      r: Number(r),
+      p: Number(p),
+      maxmem: SCRYPT_MAXMEM,
+    }
+  );
+  const ok = safeEqual(key, expected);
+  const needsRehash =
+    ok &&
+    (Number(n) !== SCRYPT_N ||
+      Number(r) !== SCRYPT_R ||
+      Number(p) !== SCRYPT_P);
+  return { ok, needsRehash };
+}
+
+/* ============================
+   Tokens de sesión
+============================ */
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+/**
+ * Tokens firmados con HMAC-SHA256: <payload base64url>.<firma base64url>.
+ * El payload lleva `pwv`, una huella del hash de la contraseña: al cambiar
+ * la contraseña la huella cambia y todos los tokens anteriores dejan de valer.
+ */
+function createTokenService({ secret, ttlSeconds }) {
+  function sign(payloadB64) {
+    return crypto.createHmac("sha256", secret).update(payloadB64).digest();
+  }
+
+  function fingerprint(passwordHash) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(String(passwordHash || ""))
+      .digest("base64url")
+      .slice(0, 16);
+  }
+
+  function issue(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: now, exp: now + ttlSeconds };
+    const payloadB64 = base64url(JSON.stringify(payload));
+    const token = `${payloadB64}.${sign(payloadB64).toString("base64url")}`;
+    return { token, expiresAt: new Date(payload.exp * 1000).toISOString() };
+  }
+
+  /**
+   * Devuelve el payload si la firma es válida y no ha expirado, o null.
+   */
+  function verify(token) {
+    if (typeof token !== "string") return null;
+    const [payloadB64, sigB64] = token.split(".");
+    if (!payloadB64 || !sigB64) return null;
+
+    if (!safeEqual(sign(payloadB64), Buffer.from(sigB64, "base64url"))) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(payloadB64, "base64url").toString());
+    } catch {
+      return null;
+    }
+    if (!payload || typeof payload.exp !== "number") return null;
+    if (payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  }
+
+  return { issue, verify, fingerprint };
+}
+
+/**
+ * Extrae el token de "Authorization: Bearer <token>".
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createTokenService,
+  getBearerToken,
+};
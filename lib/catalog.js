@@ -0,0 +1,159 @@
+// lib/catalog.js
+const { normalizeQuoteItem } = require("./quotes/items");
+const { readNumber, parseSpreadsheet } = require("./spreadsheet");
+
+/**
+ * Catálogo de precios compartido entre cotizaciones. Un artículo es
+ * { sku, description, unit, price, category, supplierUrl }; las partidas
+ * lo referencian con catalogId y guardan su precio en catalogPrice (ver
+ * applyCatalogPrices en lib/quotes/items.js).
+ */
+
+const DEFAULT_UNIT = "pza";
+
+const FIELDS = [
+  { key: "sku", column: "SKU" },
+  { key: "description", column: "Descripción" },
+  { key: "unit", column: "Unidad" },
+  { key: "price", column: "Precio" },
+  { key: "category", column: "Categoría" },
+  { key: "supplierUrl", column: "Link proveedor" },
+];
+
+// Encabezados aceptados al importar (en minúsculas, con y sin acentos)
+const IMPORT_COLUMNS = {
+  sku: "sku",
+  descripción: "description",
+  descripcion: "description",
+  unidad: "unit",
+  precio: "price",
+  categoría: "category",
+  categoria: "category",
+  "link proveedor": "supplierUrl",
+};
+
+function invalid(field, message) {
+  const { column } = FIELDS.find((f) => f.key === field);
+  return { data: null, error: { field, column, message } };
+}
+
+/**
+ * Valida un artículo. Con `current` (el artículo guardado) los campos que
+ * no vienen se conservan. Devuelve { data } o { error: { field, column,
+ * message } }.
+ */
+function normalizeCatalogItem(input, current = null) {
+  const src = { ...(current || {}) };
+  for (const { key } of FIELDS) {
+    if (input[key] !== undefined) src[key] = input[key];
+  }
+
+  const sku = (src.sku || "").toString().trim();
+  if (!sku || sku.length > 64) {
+    return invalid("sku", "El SKU es obligatorio (máximo 64 caracteres).");
+  }
+
+  const description = (src.description || "").toString().trim();
+  if (!description) {
+    return invalid("description", "La descripción es obligatoria.");
+  }
+
+  const price = readNumber(src.price === undefined ? "" : src.price);
+  if (!Number.isFinite(price) || price < 0) {
+    return invalid(
+      "price",
+      "El precio debe ser un número mayor o igual que 0."
+    );
+  }
+
+  const supplierUrl = (src.supplierUrl || "").toString().trim();
+  if (supplierUrl && !/^https?:\/\/\S+$/i.test(supplierUrl)) {
+    return invalid(
+      "supplierUrl",
+      "El link del proveedor debe ser una URL http(s)."
+    );
+  }
+
+  return {
+    data: {
+      sku,
+      description,
+      unit: (src.unit || "").toString().trim() || DEFAULT_UNIT,
+      price,
+      category: (src.category || "").toString().trim(),
+      supplierUrl,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Lee artículos de un .xlsx o .csv con columnas SKU, Descripción, Unidad,
+ * Precio, Categoría y Link proveedor. Un SKU repetido en el archivo es un
+ * error. Devuelve { data: items } o { error: { message, rows } }.
+ */
+function parseCatalogWorkbook(buffer, fileName) {
+  const seen = new Map();
+  return parseSpreadsheet(buffer, fileName, {
+    sheet: "Catálogo",
+    columns: IMPORT_COLUMNS,
+    required: ["sku", "precio"],
+    layoutHint: `La primera fila debe tener ${FIELDS.map((f) => f.column).join(
+      ", "
+    )}.`,
+    validateRow(values, row) {
+      const { data, error } = normalizeCatalogItem(values);
+      if (error) {
+        return {
+          errors: [{ row, column: error.column, message: error.message }],
+        };
+      }
+      if (seen.has(data.sku)) {
+        return {
+          errors: [
+            {
+              row,
+              column: "SKU",
+              message: `SKU repetido (también en la fila ${seen.get(
+                data.sku
+              )}).`,
+            },
+          ],
+        };
+      }
+      seen.set(data.sku, row);
+      return { value: data };
+    },
+  });
+}
+
+/**
+ * Partidas de cada cotización que usan el artículo `catalogId` con un
+ * precio guardado distinto de `price`. Devuelve
+ * [{ quote, items: [{ index, concepto, precio, catalogPrice }] }].
+ */
+function findOutdatedQuoteItems(quoteRows, catalogId, price) {
+  return quoteRows
+    .map((quote) => ({
+      quote,
+      items: (quote.items || [])
+        .map(normalizeQuoteItem)
+        .map((item, index) => ({ ...item, index }))
+        .filter(
+          (item) => item.catalogId === catalogId && item.catalogPrice !== price
+        )
+        .map(({ index, concepto, precio, catalogPrice }) => ({
+          index,
+          concepto,
+          precio,
+          catalogPrice,
+        })),
+    }))
+    .filter((entry) => entry.items.length);
+}
+
+module.exports = {
+  normalizeCatalogItem,
+  parseCatalogWorkbook,
+  findOutdatedQuoteItems,
+};
@@ -0,0 +1,402 @@
+// lib/models/convert.js
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { Document, Logger, NodeIO } = require("@gltf-transform/core");
+const { ALL_EXTENSIONS } = require("@gltf-transform/extensions");
+const { dedup, weld, quantize } = require("@gltf-transform/functions");
+
+/**
+ * Conversión de modelos subidos a un único GLB optimizado.
+ *
+ * OBJ y STL se convierten a GLB (un nodo con malla por objeto/grupo, para
+ * que los partId coincidan con los de inspect.js) y glTF se empaqueta como
+ * GLB. Después se aplican las optimizaciones de MODEL_OPTIMIZE.
+ */
+
+const OPTIMIZATIONS = {
+  dedup: () => dedup(),
+  weld: () => weld(),
+  quantize: () => quantize(),
+};
+
+const DEFAULT_OPTIMIZATIONS = ["dedup", "weld"];
+
+/**
+ * Lee la lista de optimizaciones ("dedup,weld,quantize" o "none").
+ * Lanza un error si aparece alguna desconocida.
+ */
+function parseOptimizations(value) {
+  if (value === undefined || value === null || value === "") {
+    return [...DEFAULT_OPTIMIZATIONS];
+  }
+  const names = value
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  if (names.includes("none")) return [];
+
+  const unknown = names.filter((n) => !OPTIMIZATIONS[n]);
+  if (unknown.length) {
+    throw new Error(
+      `MODEL_OPTIMIZE desconocido: ${unknown.join(", ")} (usa ${Object.keys(
+        OPTIMIZATIONS
+      ).join(", ")} o none)`
+    );
+  }
+  return [...new Set(names)];
+}
+
+function createIO() {
+  return new NodeIO().registerExtensions(ALL_EXTENSIONS);
+}
+
+/* ============================
+   Construcción del documento
+============================ */
+
+// Normales por vértice a partir de las caras (OBJ sin "vn").
+function computeNormals(positions, indices) {
+  const normals = new Float32Array(positions.length);
+  for (let i = 0; i < indices.length; i += 3) {
+    const a = indices[i] * 3;
+    const b = indices[i + 1] * 3;
+    const c = indices[i + 2] * 3;
+    const abx = positions[b] - positions[a];
+    const aby = positions[b + 1] - positions[a + 1];
+    const abz = positions[b + 2] - positions[a + 2];
+    const acx = positions[c] - positions[a];
+    const acy = positions[c + 1] - positions[a + 1];
+    const acz = positions[c + 2] - positions[a + 2];
+    const nx = aby * acz - abz * acy;
+    const ny = abz * acx - abx * acz;
+    const nz = abx * acy - aby * acx;
+    for (const v of [a, b, c]) {
+      normals[v] += nx;
+      normals[v + 1] += ny;
+      normals[v + 2] += nz;
+    }
+  }
+  for (let i = 0; i < normals.length; i += 3) {
+    const len = Math.hypot(normals[i], normals[i + 1], normals[i + 2]) || 1;
+    normals[i] /= len;
+    normals[i + 1] /= len;
+    normals[i + 2] /= len;
+  }
+  return normals;
+}
+
+/**
+ * Crea un Document con un nodo por grupo. Cada grupo es
+ * { name, primitives: [{ material, positions, normals?, uvs?, indices? }] }.
+ */
+function buildDocument(groups) {
+  const doc = new Document();
+  const buffer = doc.createBuffer();
+  const scene = doc.createScene();
+  doc.getRoot().setDefaultScene(scene);
+
+  const materials = new Map();
+  function materialFor(name) {
+    if (!materials.has(name)) {
+      materials.set(
+        name,
+        doc
+          .createMaterial(name)
+          .setBaseColorFactor([0.8, 0.8, 0.8, 1])
+          .setMetallicFactor(0)
+          .setRoughnessFactor(0.8)
+      );
+    }
+    return materials.get(name);
+  }
+
+  function accessor(type, array) {
+    return doc.createAccessor().setType(type).setArray(array).setBuffer(buffer);
+  }
+
+  for (const group of groups) {
+    const mesh = doc.createMesh(group.name);
+    for (const p of group.primitives) {
+      const prim = doc
+        .createPrimitive()
+        .setAttribute("POSITION", accessor("VEC3", p.positions))
+        .setAttribute("NORMAL", accessor("VEC3", p.normals))
+        .setMaterial(materialFor(p.material || "default"));
+      if (p.uvs) prim.setAttribute("TEXCOORD_0", accessor("VEC2", p.uvs));
+      if (p.indices) prim.setIndices(accessor("SCALAR", p.indices));
+      mesh.addPrimitive(prim);
+    }
+    scene.addChild(doc.createNode(group.name).setMesh(mesh));
+  }
+
+  return doc;
+}
+
+/* ============================
+   OBJ
+============================ */
+
+async function readObj(filePath) {
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const groups = [];
+  let group = null;
+  let material = "default";
+
+  function startGroup(name) {
+    group = { name, primitives: new Map() };
+    groups.push(group);
+  }
+
+  function primitiveFor() {
+    if (!group) startGroup("default");
+    if (!group.primitives.has(material)) {
+      group.primitives.set(material, {
+        material,
+        keys: new Map(),
+        positions: [],
+        normals: [],
+        uvs: [],
+        hasNormals: false,
+        hasUvs: false,
+        indices: [],
+      });
+    }
+    return group.primitives.get(material);
+  }
+
+  function resolve(ref, list, size) {
+    if (!ref) return -1;
+    const n = parseInt(ref, 10);
+    const index = n < 0 ? list.length / size + n : n - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= list.length / size) {
+      return -1;
+    }
+    return index;
+  }
+
+  // Cada combinación v/vt/vn distinta es un vértice del primitive. La
+  // clave usa índices resueltos porque los negativos son relativos.
+  function vertexIndex(prim, ref) {
+    const [v, vt, vn] = ref.split("/");
+    const pi = resolve(v, positions, 3);
+    const ti = resolve(vt, uvs, 2);
+    const ni = resolve(vn, normals, 3);
+    const key = `${pi}/${ti}/${ni}`;
+
+    const cached = prim.keys.get(key);
+    if (cached !== undefined) return cached;
+    const index = prim.positions.length / 3;
+
+    prim.positions.push(
+      positions[pi * 3],
+      positions[pi * 3 + 1],
+      positions[pi * 3 + 2]
+    );
+    if (ni >= 0) {
+      prim.normals.push(
+        normals[ni * 3],
+        normals[ni * 3 + 1],
+        normals[ni * 3 + 2]
+      );
+      prim.hasNormals = true;
+    } else {
+      prim.normals.push(0, 0, 0);
+    }
+    if (ti >= 0) {
+      // glTF tiene el origen de UV arriba a la izquierda
+      prim.uvs.push(uvs[ti * 2], 1 - uvs[ti * 2 + 1]);
+      prim.hasUvs = true;
+    } else {
+      prim.uvs.push(0, 0);
+    }
+
+    prim.keys.set(key, index);
+    return index;
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const raw of lines) {
+    const line = raw.trim();
+    if (!line || line[0] === "#") continue;
+    const parts = line.split(/\s+/);
+
+    switch (parts[0]) {
+      case "v":
+        positions.push(+parts[1], +parts[2], +parts[3]);
+        break;
+      case "vn":
+        normals.push(+parts[1], +parts[2], +parts[3]);
+        break;
+      case "vt":
+        uvs.push(+parts[1], +(parts[2] || 0));
+        break;
+      case "f": {
+        const refs = parts
+          .slice(1)
+          .filter((ref) => resolve(ref.split("/")[0], positions, 3) >= 0);
+        if (refs.length < 3) break;
+        const prim = primitiveFor();
+        const first = vertexIndex(prim, refs[0]);
+        for (let i = 1; i < refs.length - 1; i++) {
+          prim.indices.push(
+            first,
+            vertexIndex(prim, refs[i]),
+            vertexIndex(prim, refs[i + 1])
+          );
+        }
+        break;
+      }
+      case "o":
+      case "g":
+        startGroup(parts.slice(1).join(" ") || `group_${groups.length}`);
+        break;
+      case "usemtl":
+        material = parts.slice(1).join(" ") || "default";
+        break;
+      default:
+        break;
+    }
+  }
+
+  return groups
+    .map((g) => ({
+      name: g.name,
+      primitives: [...g.primitives.values()]
+        .filter((p) => p.indices.length)
+        .map((p) => {
+          const pos = new Float32Array(p.positions);
+          const indices =
+            pos.length / 3 > 65535
+              ? new Uint32Array(p.indices)
+              : new Uint16Array(p.indices);
+          return {
+            material: p.material,
+            positions: pos,
+            normals: p.hasNormals
+              ? new Float32Array(p.normals)
+              : computeNormals(pos, indices),
+            uvs: p.hasUvs ? new Float32Array(p.uvs) : null,
+            indices,
+          };
+        }),
+    }))
+    .filter((g) => g.primitives.length);
+}
+
+/* ============================
+   STL
+============================ */
+
+// STL trae vértices sueltos por faceta; weld los une después.
+function facetNormals(positions) {
+  const normals = new Float32Array(positions.length);
+  for (let i = 0; i < positions.length; i += 9) {
+    const abx = positions[i + 3] - positions[i];
+    const aby = positions[i + 4] - positions[i + 1];
+    const abz = positions[i + 5] - positions[i + 2];
+    const acx = positions[i + 6] - positions[i];
+    const acy = positions[i + 7] - positions[i + 1];
+    const acz = positions[i + 8] - positions[i + 2];
+    let nx = aby * acz - abz * acy;
+    let ny = abz * acx - abx * acz;
+    let nz = abx * acy - aby * acx;
+    const len = Math.hypot(nx, ny, nz) || 1;
+    nx /= len;
+    ny /= len;
+    nz /= len;
+    for (let v = 0; v < 9; v += 3) {
+      normals[i + v] = nx;
+      normals[i + v + 1] = ny;
+      normals[i + v + 2] = nz;
+    }
+  }
+  return normals;
+}
+
+async function readStl(filePath, modelInfo) {
+  const data = await fs.promises.readFile(filePath);
+  let positions;
+
+  const count = data.length >= 84 ? data.readUInt32LE(80) : 0;
+  if (count > 0 && 84 + count * 50 === data.length) {
+    positions = new Float32Array(count * 9);
+    for (let t = 0; t < count; t++) {
+      for (let k = 0; k < 9; k++) {
+        positions[t * 9 + k] = data.readFloatLE(84 + t * 50 + 12 + k * 4);
+      }
+    }
+  } else {
+    const values = [];
+    for (const match of data
+      .toString("latin1")
+      .matchAll(/vertex\s+(\S+)\s+(\S+)\s+(\S+)/g)) {
+      values.push(+match[1], +match[2], +match[3]);
+    }
+    positions = new Float32Array(values);
+  }
+
+  const name = (modelInfo.meshes[0] && modelInfo.meshes[0].name) || "stl";
+  return [
+    {
+      name,
+      primitives: [{ positions, normals: facetNormals(positions) }],
+    },
+  ];
+}
+
+/* ============================
+   API
+============================ */
+
+/**
+ * Lee un modelo ya inspeccionado (cualquier formato soportado) como
+ * Document de glTF-Transform.
+ */
+async function loadModelDocument(filePath, modelInfo) {
+  let doc;
+  switch (modelInfo.format) {
+    case "obj":
+      doc = buildDocument(await readObj(filePath));
+      break;
+    case "stl":
+      doc = buildDocument(await readStl(filePath, modelInfo));
+      break;
+    default:
+      // glTF/GLB: inspect.js ya rechazó recursos externos
+      doc = await createIO().read(filePath);
+  }
+  return doc.setLogger(new Logger(Logger.Verbosity.WARN));
+}
+
+/**
+ * Convierte el modelo ya inspeccionado a GLB en `outPath` y aplica
+ * `optimizations`. Devuelve { data: { path, optimizations } }, o
+ * { data: null } si es un GLB y no hay nada que optimizar (se guarda tal
+ * cual), o { error: { message } }.
+ */
+async function convertModelToGlb(filePath, modelInfo, outPath, optimizations) {
+  if (modelInfo.format === "glb" && !optimizations.length) {
+    return { data: null };
+  }
+
+  try {
+    const doc = await loadModelDocument(filePath, modelInfo);
+    await doc.transform(...optimizations.map((name) => OPTIMIZATIONS[name]()));
+    const glb = await createIO().writeBinary(doc);
+    await fs.promises.writeFile(outPath, glb);
+    return { data: { path: outPath, optimizations } };
+  } catch (err) {
+    await fs.promises.rm(outPath, { force: true });
+    console.error(`Error convirtiendo ${path.basename(filePath)}:`, err);
+    return { error: { message: "No se pudo convertir el modelo a GLB." } };
+  }
+}
+
+module.exports = { parseOptimizations, loadModelDocument, convertModelToGlb };
@@ -0,0 +1,641 @@
+// lib/models/inspect.js
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+/**
+ * Inspección de modelos 3D subidos (glTF/GLB, OBJ y STL).
+ *
+ * Valida que el archivo se pueda leer y extrae datos para el visor:
+ * triángulos, vértices, mallas, nodos, bounding box y unidades.
+ * OBJ y STL se leen en streaming para no cargar archivos grandes en memoria.
+ */
+
+const FORMATS = {
+  glb: { ext: ".glb", contentType: "model/gltf-binary" },
+  gltf: { ext: ".gltf", contentType: "model/gltf+json" },
+  obj: { ext: ".obj", contentType: "model/obj" },
+  stl: { ext: ".stl", contentType: "model/stl" },
+};
+
+class InvalidModelError extends Error {}
+
+function invalid(message) {
+  return new InvalidModelError(message);
+}
+
+function detectFormat(originalName) {
+  const ext = path.extname(originalName || "").toLowerCase();
+  return Object.keys(FORMATS).find((f) => FORMATS[f].ext === ext) || null;
+}
+
+/* ============================
+   Bounding box / matrices
+============================ */
+
+function createBox() {
+  return {
+    min: [Infinity, Infinity, Infinity],
+    max: [-Infinity, -Infinity, -Infinity],
+  };
+}
+
+function expandBox(box, x, y, z) {
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+    throw invalid("El modelo contiene coordenadas no numéricas.");
+  }
+  if (x < box.min[0]) box.min[0] = x;
+  if (y < box.min[1]) box.min[1] = y;
+  if (z < box.min[2]) box.min[2] = z;
+  if (x > box.max[0]) box.max[0] = x;
+  if (y > box.max[1]) box.max[1] = y;
+  if (z > box.max[2]) box.max[2] = z;
+}
+
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+function finishBox(box) {
+  if (box.min[0] === Infinity) return null;
+  return {
+    min: box.min.map(round),
+    max: box.max.map(round),
+    size: box.max.map((v, i) => round(v - box.min[i])),
+  };
+}
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Matriz local de un nodo glTF (column-major), de matrix o de T * R * S.
+function nodeMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) {
+    return node.matrix.slice();
+  }
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  const xx = x * x;
+  const yy = y * y;
+  const zz = z * z;
+  const xy = x * y;
+  const xz = x * z;
+  const yz = y * z;
+  const wx = w * x;
+  const wy = w * y;
+  const wz = w * z;
+  return [
+    (1 - 2 * (yy + zz)) * sx,
+    2 * (xy + wz) * sx,
+    2 * (xz - wy) * sx,
+    0,
+    2 * (xy - wz) * sy,
+    (1 - 2 * (xx + zz)) * sy,
+    2 * (yz + wx) * sy,
+    0,
+    2 * (xz + wy) * sz,
+    2 * (yz - wx) * sz,
+    (1 - 2 * (xx + yy)) * sz,
+    0,
+    tx,
+    ty,
+    tz,
+    1,
+  ];
+}
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let c = 0; c < 4; c++) {
+    for (let r = 0; r < 4; r++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) sum += a[k * 4 + r] * b[c * 4 + k];
+      out[c * 4 + r] = sum;
+    }
+  }
+  return out;
+}
+
+function transformPoint(m, x, y, z) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14],
+  ];
+}
+
+// Divisor de los accessors enteros `normalized` (p. ej. KHR_mesh_quantization)
+const NORMALIZED_DIVISOR = { 5120: 127, 5121: 255, 5122: 32767, 5123: 65535 };
+
+// min/max de un accessor POSITION en coordenadas reales.
+function accessorBounds(acc) {
+  if (!Array.isArray(acc.min) || !Array.isArray(acc.max)) return null;
+  if (!acc.normalized) return { min: acc.min, max: acc.max };
+
+  const divisor = NORMALIZED_DIVISOR[acc.componentType];
+  if (!divisor) return null;
+  // En los enteros con signo el valor mínimo también vale -1.0
+  const dequantize = (v) => Math.max(v / divisor, -1);
+  return { min: acc.min.map(dequantize), max: acc.max.map(dequantize) };
+}
+
+/* ============================
+   glTF / GLB
+============================ */
+
+const GLB_MAGIC = 0x46546c67; // "glTF"
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+function primitiveTriangles(mode, count) {
+  switch (mode === undefined ? 4 : mode) {
+    case 4:
+      return Math.floor(count / 3);
+    case 5:
+    case 6:
+      return Math.max(0, count - 2);
+    default:
+      return 0; // puntos / líneas
+  }
+}
+
+function dataUriLength(uri) {
+  const comma = uri.indexOf(",");
+  const payload = uri.slice(comma + 1);
+  if (/;base64,/.test(uri.slice(0, comma + 1))) {
+    return Buffer.from(payload, "base64").length;
+  }
+  return Buffer.from(decodeURIComponent(payload)).length;
+}
+
+/**
+ * Analiza el JSON de un glTF 2.0. binLength es el tamaño del chunk BIN
+ * de un GLB (null para .gltf).
+ */
+function inspectGltfJson(json, format, binLength) {
+  if (!json || typeof json !== "object" || !json.asset) {
+    throw invalid("El glTF no tiene la sección asset.");
+  }
+  if (!/^2\./.test(String(json.asset.version || ""))) {
+    throw invalid(`Versión de glTF no soportada: ${json.asset.version}.`);
+  }
+
+  const buffers = json.buffers || [];
+  const bufferViews = json.bufferViews || [];
+  const accessors = json.accessors || [];
+  const meshes = json.meshes || [];
+  const nodes = json.nodes || [];
+
+  const bufferLengths = buffers.map((buffer, i) => {
+    if (buffer.uri === undefined) {
+      if (format !== "glb" || i !== 0 || binLength === null) {
+        throw invalid(`El buffer ${i} no tiene datos.`);
+      }
+      if (binLength < buffer.byteLength) {
+        throw invalid("El chunk binario del GLB está truncado.");
+      }
+      return binLength;
+    }
+    if (/^data:/.test(buffer.uri)) {
+      const length = dataUriLength(buffer.uri);
+      if (length < buffer.byteLength) {
+        throw invalid(`El buffer ${i} embebido está truncado.`);
+      }
+      return length;
+    }
+    throw invalid(
+      `El glTF referencia un archivo externo (${buffer.uri}); sube un .glb o un .gltf con los buffers embebidos.`
+    );
+  });
+
+  (json.images || []).forEach((image) => {
+    if (image.uri && !/^data:/.test(image.uri)) {
+      throw invalid(
+        `El glTF referencia una textura externa (${image.uri}); sube un .glb o un .gltf con las texturas embebidas.`
+      );
+    }
+  });
+
+  bufferViews.forEach((view, i) => {
+    const length = bufferLengths[view.buffer];
+    if (length === undefined) {
+      throw invalid(`El bufferView ${i} apunta a un buffer inexistente.`);
+    }
+    if ((view.byteOffset || 0) + view.byteLength > length) {
+      throw invalid(`El bufferView ${i} se sale de su buffer.`);
+    }
+  });
+
+  function accessor(index, what) {
+    const acc = accessors[index];
+    if (!acc) throw invalid(`${what} apunta a un accessor inexistente.`);
+    if (acc.bufferView !== undefined && !bufferViews[acc.bufferView]) {
+      throw invalid(`El accessor ${index} apunta a un bufferView inexistente.`);
+    }
+    return acc;
+  }
+
+  const meshInfo = meshes.map((mesh, i) => {
+    let triangles = 0;
+    let vertices = 0;
+    (mesh.primitives || []).forEach((prim, p) => {
+      const attributes = prim.attributes || {};
+      if (attributes.POSITION === undefined) {
+        throw invalid(`La primitiva ${p} de la malla ${i} no tiene POSITION.`);
+      }
+      const position = accessor(attributes.POSITION, `La malla ${i}`);
+      const count =
+        prim.indices !== undefined
+          ? accessor(prim.indices, `La malla ${i}`).count
+          : position.count;
+      vertices += position.count;
+      triangles += primitiveTriangles(prim.mode, count);
+    });
+    return {
+      index: i,
+      name: mesh.name || `mesh_${i}`,
+      primitives: (mesh.primitives || []).length,
+      triangles,
+      vertices,
+    };
+  });
+
+  // Recorre la escena aplicando transformaciones para contar instancias
+  // y calcular la bounding box en coordenadas de mundo.
+  const box = createBox();
+  let triangles = 0;
+  let vertices = 0;
+
+  function visit(index, parentMatrix, stack) {
+    const node = nodes[index];
+    if (!node)
+      throw invalid(`La escena apunta a un nodo inexistente (${index}).`);
+    if (stack.has(index)) throw invalid("La jerarquía de nodos tiene ciclos.");
+    stack.add(index);
+
+    const world = multiply(parentMatrix, nodeMatrix(node));
+    if (node.mesh !== undefined) {
+      const mesh = meshes[node.mesh];
+      if (!mesh)
+        throw invalid(`El nodo ${index} apunta a una malla inexistente.`);
+      triangles += meshInfo[node.mesh].triangles;
+      vertices += meshInfo[node.mesh].vertices;
+      (mesh.primitives || []).forEach((prim) => {
+        const bounds = accessorBounds(accessors[prim.attributes.POSITION]);
+        if (!bounds) return;
+        for (let c = 0; c < 8; c++) {
+          const corner = transformPoint(
+            world,
+            c & 1 ? bounds.max[0] : bounds.min[0],
+            c & 2 ? bounds.max[1] : bounds.min[1],
+            c & 4 ? bounds.max[2] : bounds.min[2]
+          );
+          expandBox(box, corner[0], corner[1], corner[2]);
+        }
+      });
+    }
+    (node.children || []).forEach((child) => visit(child, world, stack));
+    stack.delete(index);
+  }
+
+  const sceneIndex = json.scene === undefined ? 0 : json.scene;
+  const scene = (json.scenes || [])[sceneIndex];
+  let roots;
+  if (scene) {
+    roots = scene.nodes || [];
+  } else {
+    const children = new Set(nodes.flatMap((n) => n.children || []));
+    roots = nodes.map((_, i) => i).filter((i) => !children.has(i));
+  }
+  roots.forEach((root) => visit(root, IDENTITY, new Set()));
+
+  if (!meshInfo.length) {
+    throw invalid("El glTF no contiene mallas.");
+  }
+
+  return {
+    format,
+    triangles,
+    vertices,
+    meshes: meshInfo,
+    nodes: nodes.map((node, i) => ({
+      index: i,
+      name: node.name || "",
+      mesh: node.mesh === undefined ? null : node.mesh,
+      children: node.children || [],
+    })),
+    boundingBox: finishBox(box),
+    units: "m", // glTF siempre está en metros
+    generator: json.asset.generator || null,
+  };
+}
+
+async function inspectGlb(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size } = await handle.stat();
+    const header = Buffer.alloc(20);
+    await handle.read(header, 0, 20, 0);
+
+    if (size < 20 || header.readUInt32LE(0) !== GLB_MAGIC) {
+      throw invalid("El archivo no es un GLB válido (cabecera incorrecta).");
+    }
+    if (header.readUInt32LE(4) !== 2) {
+      throw invalid(`Versión de GLB no soportada: ${header.readUInt32LE(4)}.`);
+    }
+    if (header.readUInt32LE(8) > size) {
+      throw invalid("El GLB está truncado.");
+    }
+
+    const jsonLength = header.readUInt32LE(12);
+    if (header.readUInt32LE(16) !== CHUNK_JSON || 20 + jsonLength > size) {
+      throw invalid("El GLB no tiene un chunk JSON válido.");
+    }
+
+    const jsonBuffer = Buffer.alloc(jsonLength);
+    await handle.read(jsonBuffer, 0, jsonLength, 20);
+
+    let json;
+    try {
+      json = JSON.parse(jsonBuffer.toString("utf8"));
+    } catch {
+      throw invalid("El JSON del GLB está corrupto.");
+    }
+
+    let binLength = null;
+    const binHeaderAt = 20 + jsonLength;
+    if (binHeaderAt + 8 <= size) {
+      const binHeader = Buffer.alloc(8);
+      await handle.read(binHeader, 0, 8, binHeaderAt);
+      if (binHeader.readUInt32LE(4) === CHUNK_BIN) {
+        binLength = binHeader.readUInt32LE(0);
+        if (binHeaderAt + 8 + binLength > size) {
+          throw invalid("El chunk binario del GLB está truncado.");
+        }
+      }
+    }
+
+    return inspectGltfJson(json, "glb", binLength);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function inspectGltf(filePath) {
+  let json;
+  try {
+    json = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch {
+    throw invalid("El archivo .gltf no es un JSON válido.");
+  }
+  return inspectGltfJson(json, "gltf", null);
+}
+
+/* ============================
+   OBJ
+============================ */
+
+async function inspectObj(filePath) {
+  const box = createBox();
+  const meshes = [];
+  let current = null;
+  let vertexCount = 0;
+  let triangles = 0;
+  let lineNumber = 0;
+
+  function startMesh(name) {
+    current = { name, triangles: 0 };
+    meshes.push(current);
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const raw of lines) {
+    lineNumber++;
+    const line = raw.trim();
+    if (!line || line[0] === "#") continue;
+    if (line.includes("\u0000")) {
+      throw invalid("El archivo .obj contiene datos binarios.");
+    }
+
+    const parts = line.split(/\s+/);
+    switch (parts[0]) {
+      case "v": {
+        if (parts.length < 4) {
+          throw invalid(`Vértice incompleto en la línea ${lineNumber}.`);
+        }
+        const [x, y, z] = parts.slice(1, 4).map(Number);
+        expandBox(box, x, y, z);
+        vertexCount++;
+        break;
+      }
+      case "f": {
+        const refs = parts.slice(1);
+        if (refs.length < 3) {
+          throw invalid(
+            `Cara con menos de 3 vértices en la línea ${lineNumber}.`
+          );
+        }
+        refs.forEach((ref) => {
+          const index = parseInt(ref.split("/")[0], 10);
+          const resolved = index < 0 ? vertexCount + index + 1 : index;
+          if (
+            !Number.isInteger(index) ||
+            resolved < 1 ||
+            resolved > vertexCount
+          ) {
+            throw invalid(
+              `Índice de vértice inválido en la línea ${lineNumber}.`
+            );
+          }
+        });
+        if (!current) startMesh("default");
+        current.triangles += refs.length - 2;
+        triangles += refs.length - 2;
+        break;
+      }
+      case "o":
+      case "g":
+        startMesh(parts.slice(1).join(" ") || `group_${meshes.length}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!vertexCount || !triangles) {
+    throw invalid("El archivo .obj no contiene geometría (v / f).");
+  }
+
+  return {
+    format: "obj",
+    triangles,
+    vertices: vertexCount,
+    meshes: meshes
+      .filter((m) => m.triangles > 0)
+      .map((m, i) => ({ index: i, name: m.name, triangles: m.triangles })),
+    nodes: [],
+    boundingBox: finishBox(box),
+    units: null, // OBJ no define unidades
+    generator: null,
+  };
+}
+
+/* ============================
+   STL
+============================ */
+
+async function readBinaryStl(filePath, triangleCount) {
+  const box = createBox();
+  const stream = fs.createReadStream(filePath, {
+    start: 84,
+    highWaterMark: 50 * 4096,
+  });
+  let rest = Buffer.alloc(0);
+
+  for await (const chunk of stream) {
+    const data = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+    const whole = data.length - (data.length % 50);
+    for (let offset = 0; offset < whole; offset += 50) {
+      for (let v = 0; v < 3; v++) {
+        const at = offset + 12 + v * 12;
+        expandBox(
+          box,
+          data.readFloatLE(at),
+          data.readFloatLE(at + 4),
+          data.readFloatLE(at + 8)
+        );
+      }
+    }
+    rest = data.subarray(whole);
+  }
+
+  return {
+    format: "stl",
+    triangles: triangleCount,
+    vertices: triangleCount * 3,
+    meshes: [{ index: 0, name: "stl", triangles: triangleCount }],
+    nodes: [],
+    boundingBox: finishBox(box),
+    units: null, // STL no define unidades
+    generator: null,
+  };
+}
+
+async function readAsciiStl(filePath) {
+  const box = createBox();
+  let name = "";
+  let facets = 0;
+  let vertexCount = 0;
+  let lineNumber = 0;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const raw of lines) {
+    lineNumber++;
+    const parts = raw.trim().split(/\s+/);
+    if (parts[0] === "solid" && lineNumber === 1) {
+      name = parts.slice(1).join(" ");
+    } else if (parts[0] === "facet") {
+      facets++;
+    } else if (parts[0] === "vertex") {
+      const [x, y, z] = parts.slice(1, 4).map(Number);
+      expandBox(box, x, y, z);
+      vertexCount++;
+    }
+  }
+
+  if (!facets || vertexCount !== facets * 3) {
+    throw invalid("El STL ASCII está incompleto o corrupto.");
+  }
+
+  return {
+    format: "stl",
+    triangles: facets,
+    vertices: vertexCount,
+    meshes: [{ index: 0, name: name || "stl", triangles: facets }],
+    nodes: [],
+    boundingBox: finishBox(box),
+    units: null,
+    generator: null,
+  };
+}
+
+async function inspectStl(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  let size;
+  let header;
+  try {
+    ({ size } = await handle.stat());
+    header = Buffer.alloc(Math.min(size, 84));
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  if (size >= 84) {
+    const count = header.readUInt32LE(80);
+    if (count > 0 && 84 + count * 50 === size) {
+      return readBinaryStl(filePath, count);
+    }
+  }
+
+  if (/^\s*solid/.test(header.toString("latin1"))) {
+    return readAsciiStl(filePath);
+  }
+
+  throw invalid("El archivo no es un STL válido (ni binario ni ASCII).");
+}
+
+/* ============================
+   API
+============================ */
+
+const INSPECTORS = {
+  glb: inspectGlb,
+  gltf: inspectGltf,
+  obj: inspectObj,
+  stl: inspectStl,
+};
+
+/**
+ * Inspecciona un archivo de modelo. Devuelve { data: info } o
+ * { error: { message } } si el formato no está soportado o el archivo
+ * está corrupto (el mensaje se puede mostrar al usuario).
+ */
+async function inspectModelFile(filePath, originalName) {
+  const format = detectFormat(originalName);
+  if (!format) {
+    const ext = path.extname(originalName || "") || "sin extensión";
+    return {
+      error: {
+        message: `Formato no soportado (${ext}). Formatos válidos: ${Object.values(
+          FORMATS
+        )
+          .map((f) => f.ext)
+          .join(", ")}.`,
+      },
+    };
+  }
+
+  try {
+    const info = await INSPECTORS[format](filePath);
+    return {
+      data: { ...info, contentType: FORMATS[format].contentType },
+    };
+  } catch (err) {
+    if (err instanceof InvalidModelError) {
+      return { error: { message: err.message } };
+    }
+    console.error("Error inspeccionando modelo:", err);
+    return { error: { message: "No se pudo leer el modelo." } };
+  }
+}
+
+module.exports = { FORMATS, detectFormat, inspectModelFile };
@@ -0,0 +1,117 @@
+// lib/models/parts.js
+
+/**
+ * Catálogo de piezas a partir del modelInfo que genera inspect.js.
+ *
+ * El partId de cada pieza es el nombre que GLTFLoader de three.js da al
+ * objeto (nombre del nodo sanitizado y con sufijo _N si se repite), que es
+ * lo que el visor envía a PUT /api/projects/:id/parts-meta.
+ */
+
+const DEFAULT_PART_META = {
+  name: "",
+  notes: "",
+  color: "#22c55e",
+  materialPreset: "plastic",
+};
+
+// Igual que THREE.PropertyBinding.sanitizeNodeName
+function sanitizeNodeName(name) {
+  return name.replace(/\s/g, "_").replace(/[[\].:/]/g, "");
+}
+
+function createNameAllocator() {
+  const used = {};
+  return function uniqueName(originalName) {
+    const sanitized = sanitizeNodeName(originalName || "");
+    if (sanitized in used) {
+      used[sanitized]++;
+      return `${sanitized}_${used[sanitized]}`;
+    }
+    used[sanitized] = 0;
+    return sanitized;
+  };
+}
+
+/**
+ * Devuelve las piezas del modelo: una por nodo con malla (glTF/GLB) o por
+ * objeto/grupo (OBJ/STL). Cada pieza lleva su ruta en la jerarquía.
+ */
+function extractParts(modelInfo) {
+  if (!modelInfo) return [];
+
+  const meshes = modelInfo.meshes || [];
+  const nodes = modelInfo.nodes || [];
+  const uniqueName = createNameAllocator();
+
+  if (!nodes.length) {
+    return meshes.map((mesh) => ({
+      partId: uniqueName(mesh.name) || `mesh_${mesh.index}`,
+      name: mesh.name || "",
+      nodeIndex: null,
+      meshIndex: mesh.index,
+      meshName: mesh.name || "",
+      path: [],
+      triangles: mesh.triangles || 0,
+    }));
+  }
+
+  const parents = new Map();
+  nodes.forEach((node) =>
+    (node.children || []).forEach((child) => parents.set(child, node.index))
+  );
+
+  function pathOf(index) {
+    const names = [];
+    const seen = new Set();
+    let current = parents.get(index);
+    while (current !== undefined && !seen.has(current)) {
+      seen.add(current);
+      names.unshift(nodes[current].name || `node_${current}`);
+      current = parents.get(current);
+    }
+    return names;
+  }
+
+  // Se asignan nombres a todos los nodos (como GLTFLoader) para que los
+  // sufijos _N coincidan, pero solo los nodos con malla son piezas.
+  const names = nodes.map((node) => (node.name ? uniqueName(node.name) : ""));
+
+  return nodes
+    .filter((node) => node.mesh !== null && node.mesh !== undefined)
+    .map((node) => {
+      const mesh = meshes[node.mesh] || {};
+      return {
+        partId: names[node.index] || `node_${node.index}`,
+        name: node.name || mesh.name || "",
+        nodeIndex: node.index,
+        meshIndex: node.mesh,
+        meshName: mesh.name || "",
+        path: pathOf(node.index),
+        triangles: mesh.triangles || 0,
+      };
+    });
+}
+
+/**
+ * Añade a partsMeta una entrada por defecto para cada pieza que no tenga
+ * metadatos e indica qué claves existentes ya no corresponden a ninguna
+ * pieza. No modifica partsMeta; devuelve una copia.
+ */
+function seedPartsMeta(partsMeta, parts) {
+  const merged = { ...(partsMeta || {}) };
+  const partIds = new Set(parts.map((p) => p.partId));
+  const added = [];
+
+  parts.forEach((part) => {
+    if (!merged[part.partId]) {
+      merged[part.partId] = { ...DEFAULT_PART_META, name: part.name };
+      added.push(part.partId);
+    }
+  });
+
+  const orphaned = Object.keys(merged).filter((key) => !partIds.has(key));
+  return { partsMeta: merged, added, orphaned };
+}
+
+module.exports = { DEFAULT_PART_META, extractParts, seedPartsMeta };
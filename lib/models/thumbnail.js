@@ -0,0 +1,327 @@
+// lib/models/thumbnail.js
+const zlib = require("zlib");
+
+/**
+ * Miniaturas PNG renderizadas por CPU (sin GPU ni dependencias nativas).
+ *
+ * Rasterizador con z-buffer, sombreado plano y cámara ortográfica que
+ * encuadra el modelo desde arriba a la derecha. Solo usa el color base de
+ * cada material (sin texturas). El fondo es transparente.
+ */
+
+const SUPERSAMPLE = 2;
+const MARGIN = 0.06;
+const AMBIENT = 0.35;
+
+// Dirección desde el modelo hacia la cámara (glTF es Y-up)
+const VIEW_DIR = normalize([0.9, 0.7, 1]);
+const LIGHT_DIR = normalize([0.5, 1, 0.8]);
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+// Rotación del proyecto (Euler XYZ en radianes, como three.js) en 3x3.
+function rotationMatrix(rotation) {
+  const { x = 0, y = 0, z = 0 } = rotation || {};
+  const [a, b] = [Math.cos(x), Math.sin(x)];
+  const [c, d] = [Math.cos(y), Math.sin(y)];
+  const [e, f] = [Math.cos(z), Math.sin(z)];
+  return [
+    [c * e, -c * f, d],
+    [a * f + b * e * d, a * e - b * f * d, -b * c],
+    [b * f - a * e * d, b * e + a * f * d, a * c],
+  ];
+}
+
+/* ============================
+   Geometría
+============================ */
+
+// Índices de triángulos de un primitive (TRIANGLES, STRIP o FAN).
+function triangleIndices(prim, vertexCount) {
+  const accessor = prim.getIndices();
+  const indices = accessor
+    ? Array.from(accessor.getArray())
+    : Array.from({ length: vertexCount }, (_, i) => i);
+
+  switch (prim.getMode()) {
+    case 4:
+      return indices;
+    case 5: {
+      const out = [];
+      for (let i = 0; i + 2 < indices.length; i++) {
+        if (i % 2) out.push(indices[i + 1], indices[i], indices[i + 2]);
+        else out.push(indices[i], indices[i + 1], indices[i + 2]);
+      }
+      return out;
+    }
+    case 6: {
+      const out = [];
+      for (let i = 1; i + 1 < indices.length; i++) {
+        out.push(indices[0], indices[i], indices[i + 1]);
+      }
+      return out;
+    }
+    default:
+      return []; // puntos y líneas no se dibujan
+  }
+}
+
+/**
+ * Triángulos del documento en coordenadas de mundo, ya rotados con la
+ * rotación del proyecto. Devuelve { positions, triangles, colors }.
+ */
+function collectTriangles(doc, rotation) {
+  const root = doc.getRoot();
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  if (!scene) return null;
+
+  const r = rotationMatrix(rotation);
+  const positions = [];
+  const triangles = [];
+  const colors = [];
+  const element = [];
+
+  scene.traverse((node) => {
+    const mesh = node.getMesh();
+    if (!mesh) return;
+    const m = node.getWorldMatrix();
+
+    for (const prim of mesh.listPrimitives()) {
+      const position = prim.getAttribute("POSITION");
+      if (!position) continue;
+
+      const base = positions.length / 3;
+      const count = position.getCount();
+      for (let i = 0; i < count; i++) {
+        position.getElement(i, element);
+        const [x, y, z] = element;
+        const wx = m[0] * x + m[4] * y + m[8] * z + m[12];
+        const wy = m[1] * x + m[5] * y + m[9] * z + m[13];
+        const wz = m[2] * x + m[6] * y + m[10] * z + m[14];
+        positions.push(
+          r[0][0] * wx + r[0][1] * wy + r[0][2] * wz,
+          r[1][0] * wx + r[1][1] * wy + r[1][2] * wz,
+          r[2][0] * wx + r[2][1] * wy + r[2][2] * wz
+        );
+      }
+
+      const material = prim.getMaterial();
+      const color = material
+        ? material.getBaseColorFactor()
+        : [0.8, 0.8, 0.8, 1];
+      for (const index of triangleIndices(prim, count)) {
+        triangles.push(base + index);
+      }
+      const added = triangles.length / 3 - colors.length;
+      for (let t = 0; t < added; t++) colors.push(color);
+    }
+  });
+
+  if (!triangles.length) return null;
+  return { positions, triangles, colors };
+}
+
+/* ============================
+   Rasterizado
+============================ */
+
+function rasterize({ positions, triangles, colors }, size) {
+  const width = size * SUPERSAMPLE;
+  const right = normalize(cross([0, 1, 0], VIEW_DIR));
+  const up = cross(VIEW_DIR, right);
+
+  // Proyección ortográfica: (x, y) en pantalla y profundidad hacia la cámara
+  const vertexCount = positions.length / 3;
+  const screen = new Float64Array(vertexCount * 3);
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < vertexCount; i++) {
+    const p = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+    const sx = dot(p, right);
+    const sy = dot(p, up);
+    screen[i * 3] = sx;
+    screen[i * 3 + 1] = sy;
+    screen[i * 3 + 2] = dot(p, VIEW_DIR);
+    if (sx < minX) minX = sx;
+    if (sx > maxX) maxX = sx;
+    if (sy < minY) minY = sy;
+    if (sy > maxY) maxY = sy;
+  }
+
+  const extent = Math.max(maxX - minX, maxY - minY) || 1;
+  const scale = (width * (1 - 2 * MARGIN)) / extent;
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  for (let i = 0; i < vertexCount; i++) {
+    screen[i * 3] = width / 2 + (screen[i * 3] - cx) * scale;
+    screen[i * 3 + 1] = width / 2 - (screen[i * 3 + 1] - cy) * scale;
+  }
+
+  const depth = new Float64Array(width * width).fill(-Infinity);
+  const color = new Uint8Array(width * width * 3);
+
+  for (let t = 0; t < triangles.length; t += 3) {
+    const ia = triangles[t] * 3;
+    const ib = triangles[t + 1] * 3;
+    const ic = triangles[t + 2] * 3;
+
+    // Sombreado plano con la normal de la cara (a dos caras)
+    const ab = [
+      positions[ib] - positions[ia],
+      positions[ib + 1] - positions[ia + 1],
+      positions[ib + 2] - positions[ia + 2],
+    ];
+    const ac = [
+      positions[ic] - positions[ia],
+      positions[ic + 1] - positions[ia + 1],
+      positions[ic + 2] - positions[ia + 2],
+    ];
+    const normal = normalize(cross(ab, ac));
+    const light = AMBIENT + (1 - AMBIENT) * Math.abs(dot(normal, LIGHT_DIR));
+    const base = colors[t / 3];
+    const rgb = [0, 1, 2].map((k) =>
+      Math.round(255 * Math.min(1, Math.max(0, base[k] * light)))
+    );
+
+    const [x0, y0, z0] = [screen[ia], screen[ia + 1], screen[ia + 2]];
+    const [x1, y1, z1] = [screen[ib], screen[ib + 1], screen[ib + 2]];
+    const [x2, y2, z2] = [screen[ic], screen[ic + 1], screen[ic + 2]];
+    const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+    if (!area) continue;
+
+    const left = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+    const rightPx = Math.min(width - 1, Math.ceil(Math.max(x0, x1, x2)));
+    const top = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+    const bottom = Math.min(width - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+    for (let y = top; y <= bottom; y++) {
+      const py = y + 0.5;
+      for (let x = left; x <= rightPx; x++) {
+        const px = x + 0.5;
+        const w0 = ((x1 - px) * (y2 - py) - (x2 - px) * (y1 - py)) / area;
+        const w1 = ((x2 - px) * (y0 - py) - (x0 - px) * (y2 - py)) / area;
+        const w2 = 1 - w0 - w1;
+        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+        const z = w0 * z0 + w1 * z1 + w2 * z2;
+        const at = y * width + x;
+        if (z <= depth[at]) continue;
+        depth[at] = z;
+        color[at * 3] = rgb[0];
+        color[at * 3 + 1] = rgb[1];
+        color[at * 3 + 2] = rgb[2];
+      }
+    }
+  }
+
+  // Reduce el supersampling a RGBA; el alfa es la cobertura del píxel
+  const rgba = Buffer.alloc(size * size * 4);
+  const samples = SUPERSAMPLE * SUPERSAMPLE;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let covered = 0;
+      const sum = [0, 0, 0];
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          const at = (y * SUPERSAMPLE + sy) * width + x * SUPERSAMPLE + sx;
+          if (depth[at] === -Infinity) continue;
+          covered++;
+          sum[0] += color[at * 3];
+          sum[1] += color[at * 3 + 1];
+          sum[2] += color[at * 3 + 2];
+        }
+      }
+      if (!covered) continue;
+      const out = (y * size + x) * 4;
+      rgba[out] = Math.round(sum[0] / covered);
+      rgba[out + 1] = Math.round(sum[1] / covered);
+      rgba[out + 2] = Math.round(sum[2] / covered);
+      rgba[out + 3] = Math.round((255 * covered) / samples);
+    }
+  }
+  return rgba;
+}
+
+/* ============================
+   PNG
+============================ */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(rgba, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits por canal
+  header[9] = 6; // RGBA
+
+  // Cada fila empieza con el tipo de filtro (0 = ninguno)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/* ============================
+   API
+============================ */
+
+/**
+ * Renderiza un Document de glTF-Transform a PNG de `size` x `size`.
+ * `rotation` es la rotación guardada del proyecto ({ x, y, z }).
+ * Devuelve { data: Buffer } o { error: { message } } si no hay nada que
+ * dibujar.
+ */
+function renderThumbnail(doc, { rotation, size = 256 } = {}) {
+  const geometry = collectTriangles(doc, rotation);
+  if (!geometry) {
+    return { error: { message: "El modelo no tiene triángulos visibles." } };
+  }
+  return { data: encodePng(rasterize(geometry, size), size, size) };
+}
+
+module.exports = { renderThumbnail };
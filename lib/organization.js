@@ -0,0 +1,153 @@
+// lib/organization.js
+
+/**
+ * Organización de proyectos: etiquetas (en la fila del proyecto), carpetas
+ * anidadas (folders.parent_id) y clientes. Un proyecto está en una carpeta
+ * como mucho y tiene un cliente; una cotización puede tener su propio
+ * cliente y, si no, usa el del proyecto.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_FOLDER_DEPTH = 10;
+
+const CUSTOMER_FIELDS = [
+  { key: "name", label: "Cliente" },
+  { key: "company", label: "Empresa" },
+  { key: "contact", label: "Contacto" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Teléfono" },
+  { key: "notes", label: "Notas" },
+];
+
+function invalid(field, message) {
+  return { data: null, error: { field, message } };
+}
+
+/**
+ * Etiquetas de un proyecto: sin espacios sobrantes, en minúsculas y sin
+ * repetir. Devuelve { data: tags } o { error: { field, message } }.
+ */
+function normalizeTags(input) {
+  if (!Array.isArray(input)) {
+    return invalid("tags", "tags debe ser un array de textos.");
+  }
+
+  const tags = [];
+  for (const raw of input) {
+    if (typeof raw !== "string") {
+      return invalid("tags", "tags debe ser un array de textos.");
+    }
+    const tag = raw.trim().replace(/\s+/g, " ").toLowerCase();
+    if (!tag) continue;
+    if (tag.length > MAX_TAG_LENGTH) {
+      return invalid(
+        "tags",
+        `Cada etiqueta admite como máximo ${MAX_TAG_LENGTH} caracteres.`
+      );
+    }
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return invalid(
+      "tags",
+      `Un proyecto admite como máximo ${MAX_TAGS} etiquetas.`
+    );
+  }
+  return { data: tags, error: null };
+}
+
+/**
+ * Valida una carpeta { name, parentId } contra la lista de carpetas
+ * existentes (`folders`, filas con id y parent_id). Con `current` (la
+ * carpeta guardada) los campos que no vienen se conservan y se comprueba
+ * que no quede dentro de sí misma. Devuelve { data: { name, parentId } } o
+ * { error: { field, message } }.
+ */
+function normalizeFolder(input, folders, current = null) {
+  const name = (
+    input.name !== undefined ? input.name : current ? current.name : ""
+  )
+    .toString()
+    .trim();
+  if (!name || name.length > 80) {
+    return invalid("name", "El nombre es obligatorio (máximo 80 caracteres).");
+  }
+
+  const parentId =
+    input.parentId !== undefined
+      ? input.parentId || null
+      : current
+      ? current.parent_id || null
+      : null;
+  if (!parentId) return { data: { name, parentId: null }, error: null };
+
+  const byId = new Map(folders.map((f) => [f.id, f]));
+  if (!byId.has(parentId)) {
+    return invalid("parentId", "La carpeta padre no existe.");
+  }
+
+  // Subir desde el padre: no debe pasar por la propia carpeta
+  let depth = 1;
+  let id = parentId;
+  while (id) {
+    if (current && id === current.id) {
+      return invalid(
+        "parentId",
+        "Una carpeta no puede estar dentro de sí misma."
+      );
+    }
+    if (++depth > MAX_FOLDER_DEPTH) {
+      return invalid(
+        "parentId",
+        `Las carpetas admiten como máximo ${MAX_FOLDER_DEPTH} niveles.`
+      );
+    }
+    const folder = byId.get(id);
+    id = folder ? folder.parent_id : null;
+  }
+
+  return { data: { name, parentId }, error: null };
+}
+
+/**
+ * Valida un cliente. Con `current` (el cliente guardado, en formato
+ * { name, company, ... }) los campos que no vienen se conservan. Devuelve
+ * { data } o { error: { field, message } }.
+ */
+function normalizeCustomer(input, current = null) {
+  const data = {};
+  for (const { key } of CUSTOMER_FIELDS) {
+    const value =
+      input[key] !== undefined ? input[key] : current ? current[key] : "";
+    data[key] = (value || "").toString().trim();
+  }
+
+  if (!data.name || data.name.length > 120) {
+    return invalid("name", "El nombre es obligatorio (máximo 120 caracteres).");
+  }
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    return invalid("email", "El email no es válido.");
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Líneas "Etiqueta: valor" de un cliente para las exportaciones; omite los
+ * campos vacíos y las notas.
+ */
+function customerExportRows(customer) {
+  if (!customer) return [];
+  return CUSTOMER_FIELDS.filter(({ key }) => key !== "notes")
+    .map(({ key, label }) => [label, customer[key] || ""])
+    .filter(([, value]) => value);
+}
+
+module.exports = {
+  normalizeTags,
+  normalizeFolder,
+  normalizeCustomer,
+  customerExportRows,
+};
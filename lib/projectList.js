@@ -0,0 +1,236 @@
+// lib/projectList.js
+const { parseDate } = require("./quotes/status");
+
+/**
+ * Búsqueda, filtros, orden y paginación de GET /api/projects. Los filtros
+ * exactos, el orden y el cursor van en la consulta (projectListQuery); los
+ * de texto (q, author, tag) no distinguen mayúsculas ni acentos y se
+ * aplican en memoria sobre lo que devuelve (matchesTextFilters).
+ *
+ * Solo se pagina si llega limit o cursor. El cursor es opaco y apunta al
+ * último proyecto de la página (valor de orden + id), así que crear o
+ * borrar proyectos entre páginas no repite ni salta resultados.
+ */
+
+const MAX_LIMIT = 200;
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// sort → columna de projects y orden por defecto
+const SORTS = {
+  created: { column: "created_at", order: "desc" },
+  name: { column: "name", order: "asc" },
+  author: { column: "author", order: "asc" },
+  date: { column: "project_date", order: "desc" },
+};
+
+function foldText(value) {
+  return (value || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      Array.isArray(parsed) &&
+      parsed.length === 2 &&
+      (parsed[0] === null || typeof parsed[0] === "string") &&
+      typeof parsed[1] === "string"
+    ) {
+      return parsed;
+    }
+  } catch {
+    // cae al error de abajo
+  }
+  return null;
+}
+
+function invalid(message) {
+  return { data: null, error: { message } };
+}
+
+/**
+ * Valida los parámetros de la query: q, author, from, to, template, tag,
+ * folder (id o "none" para los que no están en ninguna), customer, sort,
+ * order, limit, cursor y view. Sin limit, limit es null. Devuelve
+ * { data: options } o { error: { message } }.
+ */
+function parseProjectListQuery(query) {
+  const sort = query.sort || "created";
+  if (!SORTS[sort]) {
+    return invalid(`sort debe ser ${Object.keys(SORTS).join(", ")}.`);
+  }
+
+  const order = query.order || SORTS[sort].order;
+  if (!["asc", "desc"].includes(order)) {
+    return invalid('order debe ser "asc" o "desc".');
+  }
+
+  const limit = query.limit === undefined ? null : Number(query.limit);
+  if (
+    limit !== null &&
+    (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+  ) {
+    return invalid(`limit debe ser un entero entre 1 y ${MAX_LIMIT}.`);
+  }
+
+  for (const key of ["folder", "customer"]) {
+    const value = query[key];
+    if (
+      value &&
+      !UUID_RE.test(value) &&
+      !(key === "folder" && value === "none")
+    ) {
+      return invalid(`${key} no es un id válido.`);
+    }
+  }
+
+  const range = {};
+  for (const key of ["from", "to"]) {
+    if (query[key] === undefined) continue;
+    range[key] = parseDate(query[key]);
+    if (!range[key]) return invalid(`${key} debe ser una fecha YYYY-MM-DD.`);
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return invalid("from no puede ser posterior a to.");
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return invalid("cursor no válido.");
+  }
+
+  const view = query.view || "full";
+  if (!["full", "summary"].includes(view)) {
+    return invalid('view debe ser "full" o "summary".');
+  }
+
+  return {
+    data: {
+      terms: foldText(query.q).split(/\s+/).filter(Boolean),
+      author: foldText(query.author).trim(),
+      from: range.from || null,
+      to: range.to || null,
+      onlyTemplates: query.template === "true",
+      tag: foldText(query.tag).trim(),
+      folder: query.folder ? String(query.folder) : null,
+      customer: query.customer ? String(query.customer) : null,
+      column: SORTS[sort].column,
+      order,
+      limit,
+      cursor,
+      view,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Filtros exactos, orden y cursor de `options` como opciones de db.list:
+ * { match, or, orderBy, ascending }. `or` trae el grupo del cursor (vacío
+ * sin cursor). El id desempata para que el orden sea estable.
+ */
+function projectListQuery(options) {
+  const { onlyTemplates, folder, customer, from, to, column, order, cursor } =
+    options;
+  const match = {};
+  if (onlyTemplates) match.is_template = true;
+  if (folder) match.folder_id = folder === "none" ? null : folder;
+  if (customer) match.customer_id = customer;
+  if (from || to) {
+    match.project_date = {};
+    if (from) match.project_date.gte = from;
+    if (to) match.project_date.lte = to;
+  }
+
+  const ascending = order === "asc";
+  return {
+    match,
+    or: cursor ? [afterCursor(column, ascending, cursor)] : [],
+    orderBy: [column, "id"],
+    ascending,
+  };
+}
+
+// Proyectos posteriores al cursor [valor, id] en el orden de db.list: en
+// ascendente los null van al final y en descendente al principio
+function afterCursor(column, ascending, [value, id]) {
+  const next = ascending ? "gt" : "lt";
+  if (value === null) {
+    const tail = [{ [column]: null, id: { [next]: id } }];
+    return ascending ? tail : [...tail, { [column]: { not: null } }];
+  }
+  const group = [
+    { [column]: { [next]: value } },
+    { [column]: value, id: { [next]: id } },
+  ];
+  return ascending ? [...group, { [column]: null }] : group;
+}
+
+/**
+ * Columnas que necesita matchesTextFilters.
+ */
+const TEXT_FILTER_COLUMNS = ["id", "name", "author", "pending_notes", "tags"];
+
+function hasTextFilters({ terms, author, tag }) {
+  return Boolean(terms.length || author || tag);
+}
+
+/**
+ * Filtros de texto (q, author, tag) sobre una fila de projects.
+ */
+function matchesTextFilters(row, options) {
+  const { terms, author, tag } = options;
+  if (tag && !(row.tags || []).some((t) => foldText(t) === tag)) {
+    return false;
+  }
+  if (author && foldText(row.author) !== author) return false;
+  if (terms.length) {
+    const text = foldText(
+      [
+        row.id,
+        row.name,
+        row.author,
+        row.pending_notes,
+        ...(row.tags || []),
+      ].join(" ")
+    );
+    return terms.every((term) => text.includes(term));
+  }
+  return true;
+}
+
+/**
+ * Corta `rows` (ya filtradas y en el orden de la consulta) a la página de
+ * `options.limit`. Devuelve { rows, nextCursor }; nextCursor es null en la
+ * última página o sin limit.
+ */
+function projectListPage(rows, { column, limit }) {
+  if (!limit || rows.length <= limit) return { rows, nextCursor: null };
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const value = last[column] === undefined ? null : last[column];
+  return {
+    rows: page,
+    nextCursor: encodeCursor(value === null ? null : String(value), last.id),
+  };
+}
+
+module.exports = {
+  parseProjectListQuery,
+  projectListQuery,
+  hasTextFilters,
+  matchesTextFilters,
+  projectListPage,
+  TEXT_FILTER_COLUMNS,
+};
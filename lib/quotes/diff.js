@@ -0,0 +1,85 @@
+// lib/quotes/diff.js
+const { roundAmount } = require("./totals");
+
+/**
+ * Diferencias entre dos revisiones de una cotización, para enseñar al
+ * cliente qué cambió. Cada revisión es { revision, items, settings,
+ * breakdown } (ver quoteRevisionRowToView en server.js).
+ *
+ * Las partidas no tienen id: se emparejan por concepto (sin distinguir
+ * mayúsculas) y, si hay conceptos repetidos, por orden de aparición.
+ */
+
+const ITEM_FIELDS = ["cantidad", "precio", "descuento", "link", "partIds"];
+const SETTINGS_FIELDS = ["currency", "discount", "taxes", "rounding"];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function itemKeys(items) {
+  const seen = new Map();
+  return items.map((item) => {
+    const concepto = (item.concepto || "").trim().toLowerCase();
+    const n = seen.get(concepto) || 0;
+    seen.set(concepto, n + 1);
+    return `${concepto}#${n}`;
+  });
+}
+
+function fieldChanges(before, after, fields) {
+  return fields
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => ({
+      field,
+      before: before[field] === undefined ? null : before[field],
+      after: after[field] === undefined ? null : after[field],
+    }));
+}
+
+function diffQuoteRevisions(from, to) {
+  const fromKeys = itemKeys(from.items);
+  const toKeys = itemKeys(to.items);
+  const toIndex = new Map(toKeys.map((key, i) => [key, i]));
+  const fromIndex = new Map(fromKeys.map((key, i) => [key, i]));
+
+  const removed = [];
+  const changed = [];
+  from.items.forEach((item, i) => {
+    const j = toIndex.get(fromKeys[i]);
+    if (j === undefined) {
+      removed.push({ index: i, item });
+      return;
+    }
+    const changes = fieldChanges(item, to.items[j], ITEM_FIELDS);
+    if (changes.length) {
+      changed.push({
+        concepto: to.items[j].concepto,
+        fromIndex: i,
+        toIndex: j,
+        changes,
+      });
+    }
+  });
+
+  const added = to.items
+    .map((item, j) => ({ index: j, item }))
+    .filter(({ index }) => !fromIndex.has(toKeys[index]));
+
+  return {
+    from: from.revision,
+    to: to.revision,
+    items: { added, removed, changed },
+    settings: fieldChanges(from.settings, to.settings, SETTINGS_FIELDS),
+    totals: {
+      before: from.breakdown,
+      after: to.breakdown,
+      difference: roundAmount(
+        to.breakdown.total - from.breakdown.total,
+        to.settings.rounding
+      ),
+    },
+  };
+}
+
+module.exports = { diffQuoteRevisions };
@@ -0,0 +1,271 @@
+// lib/quotes/excel.js
+const XLSX = require("xlsx");
+const { normalizeQuoteItem } = require("./items");
+const { isEmptyCell, readNumber, parseSpreadsheet } = require("../spreadsheet");
+const { customerExportRows } = require("../organization");
+
+/**
+ * Exportación e importación de cotizaciones en Excel/CSV.
+ *
+ * La hoja "Cotización" tiene una fila por partida con las columnas de
+ * ITEM_COLUMNS; Bruto, Descuento e Importe son fórmulas. Debajo, tras una
+ * fila vacía, va el desglose de totales (también con fórmulas). Al
+ * importar (ver lib/spreadsheet.js) se leen las filas hasta la primera
+ * vacía y las columnas calculadas se ignoran, así que un Excel exportado se
+ * puede reimportar.
+ *
+ * Los valores cacheados de las fórmulas son los que calcula el servidor
+ * (computeQuoteTotals); Excel los recalcula con ROUND/ROUNDUP/ROUNDDOWN
+ * según el modo de redondeo (half-even se aproxima con ROUND).
+ */
+
+const QUOTE_SHEET = "Cotización";
+
+const ITEM_COLUMNS = [
+  { header: "Concepto", width: 40 },
+  { header: "Cantidad", width: 10 },
+  { header: "Precio", width: 14 },
+  { header: "Bruto", width: 14 },
+  { header: "Descuento %", width: 12 },
+  { header: "Descuento", width: 14 },
+  { header: "Importe", width: 14 },
+  { header: "Link", width: 40 },
+  { header: "Piezas", width: 30 },
+];
+
+// Columnas que se leen al importar (el resto se calcula)
+const IMPORT_HEADERS = {
+  concepto: "concepto",
+  cantidad: "cantidad",
+  precio: "precio",
+  "descuento %": "descuento",
+  link: "link",
+  piezas: "partIds",
+};
+const REQUIRED_HEADERS = ["concepto", "cantidad", "precio"];
+
+const ROUND_FUNCTIONS = {
+  "half-up": "ROUND",
+  "half-even": "ROUND",
+  up: "ROUNDUP",
+  down: "ROUNDDOWN",
+};
+
+function moneyFormat({ currency, rounding }) {
+  const decimals = rounding.decimals ? `.${"0".repeat(rounding.decimals)}` : "";
+  return `#,##0${decimals} "${currency}"`;
+}
+
+function buildItemsSheet(quoteDoc) {
+  const { items, lines, breakdown, settings } = quoteDoc;
+  const money = moneyFormat(settings);
+  const round = (expr) =>
+    `${ROUND_FUNCTIONS[settings.rounding.mode]}(${expr},${
+      settings.rounding.decimals
+    })`;
+
+  const ws = XLSX.utils.aoa_to_sheet([ITEM_COLUMNS.map((c) => c.header)]);
+  const set = (ref, cell) => {
+    ws[ref] = cell;
+  };
+
+  items.forEach((item, i) => {
+    const r = i + 2;
+    const line = lines[i];
+    set(`A${r}`, { t: "s", v: item.concepto });
+    set(`B${r}`, { t: "n", v: item.cantidad });
+    set(`C${r}`, { t: "n", v: item.precio, z: money });
+    set(`D${r}`, { t: "n", v: line.bruto, f: round(`B${r}*C${r}`), z: money });
+    set(`E${r}`, { t: "n", v: item.descuento });
+    set(`F${r}`, {
+      t: "n",
+      v: line.descuento,
+      f: round(`D${r}*E${r}/100`),
+      z: money,
+    });
+    set(`G${r}`, { t: "n", v: line.importe, f: `D${r}-F${r}`, z: money });
+    if (item.link) {
+      set(`H${r}`, { t: "s", v: item.link, l: { Target: item.link } });
+    }
+    if (item.partIds.length) {
+      set(`I${r}`, { t: "s", v: item.partIds.join(", ") });
+    }
+  });
+
+  const last = items.length + 1;
+  const sum = (col) => (items.length ? `SUM(${col}2:${col}${last})` : "0");
+
+  let r = last + 2;
+  const summary = (label, value, formula) => {
+    set(`A${r}`, { t: "s", v: label });
+    set(`G${r}`, { t: "n", v: value, f: formula, z: money });
+    return `G${r++}`;
+  };
+
+  summary("SUBTOTAL", breakdown.subtotal, sum("D"));
+  summary("DESCUENTOS POR PARTIDA", breakdown.lineDiscounts, sum("F"));
+
+  let globalRef = "0";
+  if (settings.discount) {
+    const { type, value } = settings.discount;
+    globalRef =
+      type === "percent"
+        ? summary(
+            `DESCUENTO GLOBAL (${value}%)`,
+            breakdown.globalDiscount,
+            round(`${sum("G")}*${value}/100`)
+          )
+        : summary(
+            "DESCUENTO GLOBAL",
+            breakdown.globalDiscount,
+            `MIN(${value},${sum("G")})`
+          );
+  }
+
+  const baseRef = summary(
+    "BASE IMPONIBLE",
+    breakdown.taxableBase,
+    round(`${sum("G")}-${globalRef}`)
+  );
+  const taxRefs = breakdown.taxes.map((tax) =>
+    summary(
+      `${tax.name} (${tax.rate}%)`,
+      tax.amount,
+      round(`${baseRef}*${tax.rate}/100`)
+    )
+  );
+  summary(
+    `TOTAL (${breakdown.currency})`,
+    breakdown.total,
+    taxRefs.length ? `${baseRef}+SUM(${taxRefs.join(",")})` : baseRef
+  );
+
+  ws["!ref"] = `A1:I${r - 1}`;
+  ws["!cols"] = ITEM_COLUMNS.map((c) => ({ wch: c.width }));
+  return ws;
+}
+
+function buildProjectSheet(quoteDoc, project) {
+  const { settings } = quoteDoc;
+  const rows = [
+    ["Proyecto", project.name || ""],
+    ["Autor", project.author || ""],
+    ["Fecha del proyecto", project.project_date || ""],
+    ...customerExportRows(quoteDoc.customer),
+    ["Cotización", quoteDoc.name || ""],
+    ["Revisión", quoteDoc.revision || ""],
+    ["Estado", quoteDoc.status || ""],
+    ["Válida hasta", quoteDoc.validUntil || ""],
+    ["Moneda", settings.currency],
+    ["Impuestos", settings.taxes.map((t) => `${t.name} ${t.rate}%`).join(", ")],
+    ["Notas", quoteDoc.notes || ""],
+    ["Exportado", new Date().toISOString()],
+  ];
+  const ws = XLSX.utils.aoa_to_sheet(rows);
+  ws["!cols"] = [{ wch: 20 }, { wch: 60 }];
+  return ws;
+}
+
+function buildPartsSheet(quoteDoc, partsMeta) {
+  const rows = Object.entries(partsMeta || {}).map(([partId, meta]) => [
+    partId,
+    meta.name || "",
+    meta.materialPreset || "",
+    meta.color || "",
+    meta.notes || "",
+    quoteDoc.items
+      .filter((it) => it.partIds.includes(partId))
+      .map((it) => it.concepto)
+      .join(", "),
+  ]);
+  const ws = XLSX.utils.aoa_to_sheet([
+    ["Pieza", "Nombre", "Material", "Color", "Notas", "Partidas"],
+    ...rows,
+  ]);
+  ws["!cols"] = [30, 30, 14, 10, 40, 40].map((wch) => ({ wch }));
+  return ws;
+}
+
+/**
+ * Construye un workbook de Excel en memoria a partir de una cotización
+ * (ver quoteExportView en server.js) y su proyecto (fila de projects):
+ * hojas "Cotización", "Proyecto" (con el cliente, si hay) y "Piezas" (de
+ * parts_meta).
+ */
+function buildQuoteWorkbook(quoteDoc, project) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, buildItemsSheet(quoteDoc), QUOTE_SHEET);
+  XLSX.utils.book_append_sheet(
+    wb,
+    buildProjectSheet(quoteDoc, project),
+    "Proyecto"
+  );
+  XLSX.utils.book_append_sheet(
+    wb,
+    buildPartsSheet(quoteDoc, project.parts_meta),
+    "Piezas"
+  );
+  return wb;
+}
+
+function validateRow(values, row) {
+  const errors = [];
+  const fail = (column, message) => errors.push({ row, column, message });
+
+  const concepto = String(values.concepto || "").trim();
+  if (!concepto) fail("Concepto", "El concepto es obligatorio.");
+
+  const cantidad = readNumber(values.cantidad);
+  if (!Number.isFinite(cantidad) || cantidad < 0) {
+    fail("Cantidad", "Debe ser un número mayor o igual que 0.");
+  }
+
+  const precio = readNumber(values.precio);
+  if (!Number.isFinite(precio) || precio < 0) {
+    fail("Precio", "Debe ser un número mayor o igual que 0.");
+  }
+
+  const descuento = isEmptyCell(values.descuento)
+    ? 0
+    : readNumber(values.descuento);
+  if (!Number.isFinite(descuento) || descuento < 0 || descuento > 100) {
+    fail("Descuento %", "Debe ser un número entre 0 y 100.");
+  }
+
+  const link = String(values.link || "").trim();
+  if (link && !/^https?:\/\/\S+$/i.test(link)) {
+    fail("Link", "Debe ser una URL http(s).");
+  }
+
+  if (errors.length) return { errors };
+  return {
+    value: normalizeQuoteItem({
+      concepto,
+      cantidad,
+      precio,
+      descuento,
+      link,
+      partIds: String(values.partIds || "").split(","),
+    }),
+  };
+}
+
+/**
+ * Lee las partidas de un .xlsx o .csv con la disposición de la hoja
+ * "Cotización" (si no existe, la primera hoja). Valida fila por fila y
+ * devuelve { data: items } o { error: { message, rows } } con
+ * rows = [{ row, column, message }] (row es el número de fila en Excel).
+ */
+function parseQuoteWorkbook(buffer, fileName) {
+  return parseSpreadsheet(buffer, fileName, {
+    sheet: QUOTE_SHEET,
+    columns: IMPORT_HEADERS,
+    required: REQUIRED_HEADERS,
+    validateRow,
+    layoutHint: `La primera fila debe tener ${ITEM_COLUMNS.map(
+      (c) => c.header
+    ).join(", ")} (Bruto, Descuento e Importe se ignoran).`,
+  });
+}
+
+module.exports = { buildQuoteWorkbook, parseQuoteWorkbook };
@@ -0,0 +1,166 @@
+// lib/quotes/items.js
+
+/**
+ * Partidas de cotización y su relación con las piezas del modelo.
+ *
+ * Una partida es { concepto, cantidad, precio, descuento, link, partIds,
+ * catalogId, catalogPrice }, donde descuento es un %, partIds son los partId
+ * (ver lib/models/parts.js) que cubre la partida y catalogId el artículo
+ * del catálogo del que sale, con su precio en catalogPrice tal como estaba
+ * al añadirlo a la cotización.
+ */
+
+function normalizePartIds(partIds) {
+  if (!Array.isArray(partIds)) return [];
+  const ids = partIds
+    .filter((id) => typeof id === "string" || typeof id === "number")
+    .map((id) => String(id).trim())
+    .filter(Boolean);
+  return [...new Set(ids)];
+}
+
+function normalizeQuoteItem(it) {
+  const item = it || {};
+  return {
+    concepto: (item.concepto || "").toString(),
+    cantidad: Number(item.cantidad) || 0,
+    precio: Number(item.precio) || 0,
+    // Descuento de la partida en %
+    descuento: Math.min(100, Math.max(0, Number(item.descuento) || 0)),
+    link: (item.link || "").toString(),
+    partIds: normalizePartIds(item.partIds),
+    catalogId: item.catalogId ? String(item.catalogId) : null,
+    catalogPrice:
+      item.catalogId && Number.isFinite(Number(item.catalogPrice))
+        ? Number(item.catalogPrice)
+        : null,
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Comprueba cantidad, precio y descuento de una partida recibida con los
+ * mismos rangos que la importación desde Excel (vacío cuenta como 0).
+ * Devuelve el mensaje de error o null.
+ */
+function checkItemAmounts(item, index) {
+  const fields = [
+    ["cantidad", 0, Infinity, "un número mayor o igual que 0"],
+    ["precio", 0, Infinity, "un número mayor o igual que 0"],
+    ["descuento", 0, 100, "un número entre 0 y 100"],
+  ];
+  for (const [field, min, max, expected] of fields) {
+    if (isBlank(item[field])) continue;
+    const value = Number(item[field]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return `La partida ${index + 1}: ${field} debe ser ${expected}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normaliza partidas que pueden venir del catálogo (`catalog` es un Map de
+ * id → { description, price }). Una partida que aún no tiene catalogPrice
+ * lo toma del catálogo en ese momento, junto con el concepto y el precio si
+ * no vienen; después ese precio ya no cambia aunque cambie el catálogo.
+ * Devuelve { data: items } o { error: { message } } si una partida trae
+ * importes fuera de rango o si una nueva apunta a un artículo que no existe.
+ */
+function applyCatalogPrices(items, catalog) {
+  const result = [];
+  for (const [index, raw] of items.entries()) {
+    const item = raw || {};
+    const invalid = checkItemAmounts(item, index);
+    if (invalid) return { data: null, error: { message: invalid } };
+
+    if (!item.catalogId || !isBlank(item.catalogPrice)) {
+      result.push(normalizeQuoteItem(item));
+      continue;
+    }
+
+    const entry = catalog.get(String(item.catalogId));
+    if (!entry) {
+      return {
+        data: null,
+        error: {
+          message: `La partida ${
+            index + 1
+          } usa un artículo del catálogo que no existe (${item.catalogId}).`,
+        },
+      };
+    }
+    result.push(
+      normalizeQuoteItem({
+        ...item,
+        concepto: item.concepto || entry.description,
+        precio: isBlank(item.precio) ? entry.price : item.precio,
+        catalogPrice: entry.price,
+      })
+    );
+  }
+  return { data: result, error: null };
+}
+
+/**
+ * Genera un borrador de lista de materiales: una partida por grupo de
+ * piezas idénticas (misma malla y mismo material) con la cantidad de
+ * piezas del grupo. El concepto sale del nombre en parts_meta o, si no
+ * hay, del nombre de la pieza.
+ */
+function buildBillOfMaterials(parts, partsMeta) {
+  const groups = new Map();
+
+  for (const part of parts) {
+    const meta = (partsMeta || {})[part.partId] || {};
+    const geometry =
+      part.meshIndex === null || part.meshIndex === undefined
+        ? `part:${part.partId}`
+        : `mesh:${part.meshIndex}`;
+    const key = `${geometry}|${meta.materialPreset || ""}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        concepto: meta.name || part.name || part.meshName || part.partId,
+        partIds: [],
+      });
+    }
+    groups.get(key).partIds.push(part.partId);
+  }
+
+  return [...groups.values()].map((group) =>
+    normalizeQuoteItem({
+      concepto: group.concepto,
+      cantidad: group.partIds.length,
+      precio: 0,
+      partIds: group.partIds,
+    })
+  );
+}
+
+/**
+ * Partidas que apuntan a piezas que ya no existen en el modelo actual.
+ * Devuelve [{ itemIndex, concepto, missingPartIds }].
+ */
+function findMissingParts(items, parts) {
+  const existing = new Set(parts.map((p) => p.partId));
+  return (items || [])
+    .map((item, itemIndex) => ({
+      itemIndex,
+      concepto: item.concepto || "",
+      missingPartIds: normalizePartIds(item.partIds).filter(
+        (id) => !existing.has(id)
+      ),
+    }))
+    .filter((w) => w.missingPartIds.length);
+}
+
+module.exports = {
+  normalizeQuoteItem,
+  applyCatalogPrices,
+  buildBillOfMaterials,
+  findMissingParts,
+};
@@ -0,0 +1,255 @@
+// lib/quotes/pdf.js
+const PDFDocument = require("pdfkit");
+const { customerExportRows } = require("../organization");
+
+/**
+ * PDF de una cotización generado en el servidor con pdfkit (sin servicios
+ * externos): cabecera con logo y datos de la empresa, datos del proyecto y
+ * del cliente (`quote.customer`), miniatura opcional, tabla de partidas,
+ * desglose de totales, notas y condiciones.
+ *
+ * `branding` es { companyName, companyDetails: [líneas], logo: Buffer,
+ * terms } (todo opcional). `thumbnail` es el PNG del proyecto o null.
+ */
+
+const MARGIN = 50;
+const COLUMNS = [
+  { title: "Concepto", width: 215, align: "left" },
+  { title: "Cantidad", width: 60, align: "right" },
+  { title: "Precio", width: 80, align: "right" },
+  { title: "Desc. %", width: 50, align: "right" },
+  { title: "Importe", width: 90, align: "right" },
+];
+const STATUS_LABELS = {
+  draft: "Borrador",
+  sent: "Enviada",
+  accepted: "Aceptada",
+  rejected: "Rechazada",
+  expired: "Caducada",
+};
+
+function moneyFormatter(settings) {
+  const { decimals } = settings.rounding;
+  const format = new Intl.NumberFormat("es-MX", {
+    style: "currency",
+    currency: settings.currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+  return (value) => format.format(value);
+}
+
+function drawHeader(doc, branding) {
+  const top = doc.y;
+  const width = doc.page.width - MARGIN * 2;
+  let bottom = top;
+
+  if (branding.logo) {
+    try {
+      doc.image(branding.logo, MARGIN, top, { fit: [140, 60] });
+      bottom = top + 60;
+    } catch (err) {
+      // Un logo ilegible no impide generar el PDF
+      console.warn("No se pudo dibujar el logo del PDF:", err.message);
+    }
+  }
+
+  doc.font("Helvetica-Bold").fontSize(14);
+  doc.text(branding.companyName || "", MARGIN, top, { width, align: "right" });
+  doc.font("Helvetica").fontSize(9).fillColor("#555555");
+  for (const line of branding.companyDetails || []) {
+    doc.text(line, { width, align: "right" });
+  }
+  doc.fillColor("black");
+
+  doc.y = Math.max(bottom, doc.y) + 20;
+  doc.x = MARGIN;
+}
+
+function drawQuoteInfo(doc, quote, project, thumbnail) {
+  const top = doc.y;
+  const thumbSize = thumbnail ? 110 : 0;
+  const width = doc.page.width - MARGIN * 2 - thumbSize - 10;
+
+  doc.font("Helvetica-Bold").fontSize(18);
+  doc.text(`Cotización: ${quote.name}`, MARGIN, top, { width });
+  doc.moveDown(0.3);
+
+  const rows = [
+    ["Proyecto", project.name || ""],
+    ["Autor", project.author || ""],
+    ["Fecha del proyecto", project.project_date || ""],
+    ...customerExportRows(quote.customer),
+    ["Fecha", new Date().toISOString().slice(0, 10)],
+    ["Revisión", quote.revision ? String(quote.revision) : ""],
+    ["Estado", STATUS_LABELS[quote.status] || quote.status || ""],
+    ["Válida hasta", quote.validUntil || ""],
+  ].filter(([, value]) => value);
+
+  doc.fontSize(10);
+  for (const [label, value] of rows) {
+    doc.font("Helvetica-Bold").text(`${label}: `, { width, continued: true });
+    doc.font("Helvetica").text(value);
+  }
+
+  let bottom = doc.y;
+  if (thumbnail) {
+    try {
+      doc.image(thumbnail, doc.page.width - MARGIN - thumbSize, top, {
+        fit: [thumbSize, thumbSize],
+      });
+      bottom = Math.max(bottom, top + thumbSize);
+    } catch (err) {
+      console.warn("No se pudo dibujar la miniatura del PDF:", err.message);
+    }
+  }
+
+  doc.y = bottom + 20;
+  doc.x = MARGIN;
+}
+
+const HEADER_ROW = { bold: true, fill: "#e8e8e8" };
+
+// Dibuja una fila de la tabla; si no cabe, pasa de página y repite la
+// cabecera (`header`) antes de la fila.
+function drawRow(
+  doc,
+  cells,
+  { bold = false, fill = null, header = null } = {}
+) {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  const height =
+    Math.max(
+      ...COLUMNS.map((col, i) =>
+        doc.heightOfString(cells[i], { width: col.width - 8 })
+      )
+    ) + 8;
+
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+    if (header) drawRow(doc, header, HEADER_ROW);
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  }
+
+  const top = doc.y;
+  if (fill) {
+    doc
+      .rect(
+        MARGIN,
+        top,
+        COLUMNS.reduce((acc, c) => acc + c.width, 0),
+        height
+      )
+      .fill(fill);
+    doc.fillColor("black");
+  }
+
+  let x = MARGIN;
+  COLUMNS.forEach((col, i) => {
+    doc.text(cells[i], x + 4, top + 4, {
+      width: col.width - 8,
+      align: col.align,
+    });
+    x += col.width;
+  });
+
+  doc.y = top + height;
+  doc.x = MARGIN;
+}
+
+function drawItems(doc, quote, money) {
+  const header = COLUMNS.map((col) => col.title);
+  drawRow(doc, header, HEADER_ROW);
+
+  quote.items.forEach((item, i) => {
+    drawRow(
+      doc,
+      [
+        item.concepto,
+        String(item.cantidad),
+        money(item.precio),
+        item.descuento ? String(item.descuento) : "",
+        money(quote.lines[i].importe),
+      ],
+      { header }
+    );
+  });
+  doc.moveDown(1);
+}
+
+function drawTotals(doc, breakdown, money) {
+  const rows = [["Subtotal", breakdown.subtotal]];
+  if (breakdown.lineDiscounts) {
+    rows.push(["Descuentos por partida", -breakdown.lineDiscounts]);
+  }
+  if (breakdown.globalDiscount) {
+    rows.push(["Descuento global", -breakdown.globalDiscount]);
+  }
+  rows.push(["Base imponible", breakdown.taxableBase]);
+  for (const tax of breakdown.taxes) {
+    rows.push([`${tax.name} (${tax.rate}%)`, tax.amount]);
+  }
+
+  const labelX = doc.page.width - MARGIN - 260;
+  const valueWidth = 100;
+  const valueX = doc.page.width - MARGIN - valueWidth;
+
+  const line = (label, value, bold) => {
+    if (doc.y + 16 > doc.page.height - MARGIN) doc.addPage();
+    const top = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(bold ? 12 : 10);
+    doc.text(label, labelX, top, { width: 150, align: "right" });
+    doc.text(money(value), valueX, top, { width: valueWidth, align: "right" });
+    doc.y = top + (bold ? 18 : 14);
+  };
+
+  rows.forEach(([label, value]) => line(label, value, false));
+  line(`Total (${breakdown.currency})`, breakdown.total, true);
+  doc.x = MARGIN;
+  doc.moveDown(1);
+}
+
+function drawSection(doc, title, text) {
+  if (!text) return;
+  const width = doc.page.width - MARGIN * 2;
+  doc.font("Helvetica-Bold").fontSize(11).text(title, MARGIN, doc.y, {
+    width,
+  });
+  doc.font("Helvetica").fontSize(9).text(text, { width });
+  doc.moveDown(1);
+}
+
+/**
+ * Genera el PDF de `quote` (ver quoteRowToView en server.js) para el
+ * proyecto `project` (fila de projects). Devuelve una promesa con el
+ * Buffer del PDF.
+ */
+function renderQuotePdf({ quote, project, branding = {}, thumbnail = null }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: MARGIN,
+      info: {
+        Title: `Cotización ${quote.name} - ${project.name || ""}`,
+        Author: branding.companyName || "",
+      },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const money = moneyFormatter(quote.settings);
+
+    drawHeader(doc, branding);
+    drawQuoteInfo(doc, quote, project, thumbnail);
+    drawItems(doc, quote, money);
+    drawTotals(doc, quote.breakdown, money);
+    drawSection(doc, "Notas", quote.notes);
+    drawSection(doc, "Términos y condiciones", branding.terms);
+
+    doc.end();
+  });
+}
+
+module.exports = { renderQuotePdf };
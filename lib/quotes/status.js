@@ -0,0 +1,65 @@
+// lib/quotes/status.js
+
+/**
+ * Flujo de estados de una cotización:
+ *
+ *   draft → sent → accepted | rejected | expired
+ *
+ * Una cotización enviada caduca sola cuando pasa su fecha de validez
+ * (`validUntil`, inclusive). Editar una cotización enviada, rechazada o
+ * caducada la devuelve a borrador; una aceptada ya no se puede modificar.
+ */
+
+const QUOTE_STATUSES = ["draft", "sent", "accepted", "rejected", "expired"];
+
+const TRANSITIONS = {
+  draft: ["sent"],
+  sent: ["draft", "accepted", "rejected", "expired"],
+  accepted: [],
+  rejected: ["draft"],
+  expired: ["draft"],
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Fecha "YYYY-MM-DD" válida o null.
+ */
+function parseDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== value
+    ? null
+    : value;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Estado real de una cotización a fecha `now`: una enviada cuya validez
+ * ya pasó está caducada.
+ */
+function effectiveStatus(status, validUntil, now = new Date()) {
+  const current = QUOTE_STATUSES.includes(status) ? status : "draft";
+  if (current === "sent" && validUntil) {
+    const today = now.toISOString().slice(0, 10);
+    if (validUntil < today) return "expired";
+  }
+  return current;
+}
+
+module.exports = {
+  QUOTE_STATUSES,
+  canTransition,
+  parseDate,
+  addDays,
+  effectiveStatus,
+};
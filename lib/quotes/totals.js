@@ -0,0 +1,185 @@
+// lib/quotes/totals.js
+
+/**
+ * Cálculo de totales de una cotización. El total siempre se calcula en el
+ * servidor a partir de las partidas y la configuración:
+ *
+ *   importe de partida = cantidad * precio - descuento de la partida (%)
+ *   subtotal           = suma de cantidad * precio
+ *   base imponible     = suma de importes - descuento global
+ *   impuestos          = base imponible * tasa (cada impuesto)
+ *   total              = base imponible + impuestos
+ *
+ * Los importes se redondean según `rounding` en cada paso (partidas,
+ * descuento global y cada impuesto), así el desglose siempre suma el total.
+ */
+
+const ROUNDING_MODES = ["half-up", "half-even", "up", "down"];
+const DISCOUNT_TYPES = ["percent", "amount"];
+
+/**
+ * Lee impuestos de una cadena "IVA:16,IEPS:8" (tasas en %).
+ */
+function parseTaxes(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, rate] = entry.split(":");
+      return { name: name.trim(), rate: Number(rate) };
+    })
+    .filter((t) => t.name && Number.isFinite(t.rate));
+}
+
+function roundAmount(value, { decimals, mode }) {
+  const factor = 10 ** decimals;
+  // El épsilon corrige errores de coma flotante (1.005 * 100 = 100.4999...)
+  const scaled = value * factor;
+  const fixed = Math.round(scaled * 1e6) / 1e6;
+  let result;
+  switch (mode) {
+    case "up":
+      result = Math.sign(fixed) * Math.ceil(Math.abs(fixed));
+      break;
+    case "down":
+      result = Math.sign(fixed) * Math.floor(Math.abs(fixed));
+      break;
+    case "half-even": {
+      const floor = Math.floor(fixed);
+      const diff = fixed - floor;
+      if (diff > 0.5) result = floor + 1;
+      else if (diff < 0.5) result = floor;
+      else result = floor % 2 === 0 ? floor : floor + 1;
+      break;
+    }
+    default:
+      result = Math.sign(fixed) * Math.round(Math.abs(fixed));
+  }
+  return result / factor || 0;
+}
+
+function invalid(message) {
+  return { data: null, error: { message } };
+}
+
+/**
+ * Valida la configuración de una cotización ({ currency, discount, taxes,
+ * rounding }). Lo que no venga se toma de `defaults`. Devuelve
+ * { data: settings } o { error: { message } }.
+ */
+function normalizeQuoteSettings(input, defaults) {
+  const src = input || {};
+
+  const currency = (src.currency || defaults.currency || "")
+    .toString()
+    .toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return invalid("currency debe ser un código ISO 4217 (p. ej. MXN, EUR).");
+  }
+
+  let discount = null;
+  if (src.discount) {
+    const type = src.discount.type || "percent";
+    const value = Number(src.discount.value);
+    if (!DISCOUNT_TYPES.includes(type)) {
+      return invalid('discount.type debe ser "percent" o "amount".');
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      return invalid("discount.value debe ser un número positivo.");
+    }
+    if (type === "percent" && value > 100) {
+      return invalid("Un descuento porcentual no puede superar el 100%.");
+    }
+    discount = { type, value };
+  }
+
+  const taxesInput = src.taxes === undefined ? defaults.taxes : src.taxes;
+  if (!Array.isArray(taxesInput)) {
+    return invalid("taxes debe ser un array de { name, rate }.");
+  }
+  const taxes = [];
+  for (const tax of taxesInput) {
+    const name = ((tax && tax.name) || "").toString().trim();
+    const rate = Number(tax && tax.rate);
+    if (!name || !Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return invalid("Cada impuesto necesita name y rate (0-100).");
+    }
+    taxes.push({ name, rate });
+  }
+
+  const roundingInput = { ...defaults.rounding, ...(src.rounding || {}) };
+  const decimals = Number(roundingInput.decimals);
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 4) {
+    return invalid("rounding.decimals debe ser un entero entre 0 y 4.");
+  }
+  if (!ROUNDING_MODES.includes(roundingInput.mode)) {
+    return invalid(`rounding.mode debe ser ${ROUNDING_MODES.join(", ")}.`);
+  }
+
+  return {
+    data: {
+      currency,
+      discount,
+      taxes,
+      rounding: { decimals, mode: roundingInput.mode },
+    },
+    error: null,
+  };
+}
+
+/**
+ * Calcula importes por partida y el desglose de la cotización.
+ * Devuelve { lines: [{ bruto, descuento, importe }], breakdown }.
+ */
+function computeQuoteTotals(items, settings) {
+  const round = (value) => roundAmount(value, settings.rounding);
+
+  const lines = items.map((it) => {
+    const bruto = round(it.cantidad * it.precio);
+    const descuento = round((bruto * (it.descuento || 0)) / 100);
+    return { bruto, descuento, importe: round(bruto - descuento) };
+  });
+
+  const subtotal = round(lines.reduce((acc, l) => acc + l.bruto, 0));
+  const lineDiscounts = round(lines.reduce((acc, l) => acc + l.descuento, 0));
+  const afterLines = round(subtotal - lineDiscounts);
+
+  let globalDiscount = 0;
+  if (settings.discount) {
+    globalDiscount =
+      settings.discount.type === "percent"
+        ? round((afterLines * settings.discount.value) / 100)
+        : round(Math.min(settings.discount.value, afterLines));
+  }
+
+  const taxableBase = round(afterLines - globalDiscount);
+  const taxes = settings.taxes.map((tax) => ({
+    name: tax.name,
+    rate: tax.rate,
+    amount: round((taxableBase * tax.rate) / 100),
+  }));
+  const taxTotal = round(taxes.reduce((acc, t) => acc + t.amount, 0));
+
+  return {
+    lines,
+    breakdown: {
+      currency: settings.currency,
+      subtotal,
+      lineDiscounts,
+      globalDiscount,
+      discounts: round(lineDiscounts + globalDiscount),
+      taxableBase,
+      taxes,
+      taxTotal,
+      total: round(taxableBase + taxTotal),
+    },
+  };
+}
+
+module.exports = {
+  parseTaxes,
+  roundAmount,
+  normalizeQuoteSettings,
+  computeQuoteTotals,
+};
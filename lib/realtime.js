@@ -0,0 +1,112 @@
+// lib/realtime.js
+const crypto = require("crypto");
+
+/**
+ * Canales en tiempo real por proyecto con Server-Sent Events.
+ *
+ * Cada visor abre una conexión a /api/projects/:id/events y recibe los
+ * cambios que hacen los demás (transformación, parts_meta, notas,
+ * cotizaciones, modelo reemplazado...) y la lista de quién está conectado.
+ * Los canales viven en memoria: con varias instancias del servidor cada
+ * una solo ve a sus propios clientes.
+ */
+function createProjectChannels({ heartbeatMs = 25000 } = {}) {
+  // projectId -> Map(clientId -> { res, member })
+  const channels = new Map();
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function presence(projectId) {
+    const clients = channels.get(projectId);
+    if (!clients) return [];
+    return [...clients.entries()].map(([clientId, { member }]) => ({
+      clientId,
+      ...member,
+    }));
+  }
+
+  function broadcastPresence(projectId) {
+    const clients = channels.get(projectId);
+    if (!clients) return;
+    const users = presence(projectId);
+    for (const { res } of clients.values()) {
+      send(res, "presence", { users });
+    }
+  }
+
+  /**
+   * Abre el stream en `res` y lo apunta al canal del proyecto. `member` es
+   * lo que ven los demás ({ name, userId }). Envía `hello` con el clientId
+   * (el que el visor manda después en X-Client-Id) y avisa a todos del
+   * cambio de presencia. Se da de baja solo al cerrarse la conexión.
+   */
+  function subscribe(projectId, res, member) {
+    const clientId = crypto.randomUUID();
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: 3000\n\n`);
+
+    if (!channels.has(projectId)) channels.set(projectId, new Map());
+    channels.get(projectId).set(clientId, {
+      res,
+      member: { ...member, since: new Date().toISOString() },
+    });
+
+    send(res, "hello", { clientId, projectId });
+    broadcastPresence(projectId);
+
+    // Comentario periódico para que proxies y navegadores no corten
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      const clients = channels.get(projectId);
+      if (!clients) return;
+      clients.delete(clientId);
+      if (clients.size) {
+        broadcastPresence(projectId);
+      } else {
+        channels.delete(projectId);
+      }
+    });
+
+    return clientId;
+  }
+
+  /**
+   * Envía `event` a todos los conectados al proyecto. `data.by.clientId`
+   * identifica a quien hizo el cambio para que su visor lo ignore.
+   */
+  function publish(projectId, event, data) {
+    const clients = channels.get(projectId);
+    if (!clients) return;
+    for (const { res } of clients.values()) {
+      send(res, event, data);
+    }
+  }
+
+  /**
+   * Cierra las conexiones del proyecto después de enviarles `event` (por
+   * ejemplo al borrarlo).
+   */
+  function close(projectId, event, data) {
+    const clients = channels.get(projectId);
+    if (!clients) return;
+    for (const { res } of clients.values()) {
+      send(res, event, data);
+      res.end();
+    }
+    channels.delete(projectId);
+  }
+
+  return { subscribe, publish, presence, close };
+}
+
+module.exports = { createProjectChannels };
@@ -0,0 +1,175 @@
+// lib/review.js
+const { readVector } = require("./scene");
+
+/**
+ * Revisión sobre el modelo: anotaciones ancladas a un punto 3D y/o a una
+ * pieza (con estado y respuestas), medidas entre dos puntos y vistas de
+ * cámara con nombre. Los puntos están en coordenadas de la escena.
+ */
+
+const ANNOTATION_STATUSES = ["open", "resolved"];
+const MAX_TEXT = 2000;
+
+function invalid(field, message) {
+  return { data: null, error: { field, message } };
+}
+
+function readText(value, field, { required = true, max = MAX_TEXT } = {}) {
+  const text = (value || "").toString().trim();
+  if (required && !text) {
+    return { error: { field, message: `${field} es obligatorio.` } };
+  }
+  if (text.length > max) {
+    return {
+      error: {
+        field,
+        message: `${field} admite como máximo ${max} caracteres.`,
+      },
+    };
+  }
+  return { value: text };
+}
+
+// Un campo opcional: undefined = conservar, null/"" = quitar
+function pickOptional(input, key, current) {
+  if (input[key] !== undefined) return input[key];
+  return current ? current[key] : undefined;
+}
+
+/**
+ * Valida una anotación { text, status, point, partId, objectId }. Con
+ * `current` (la anotación en formato de vista) los campos que no vienen se
+ * conservan. Debe tener punto o pieza. Devuelve { data } o
+ * { error: { field, message } }.
+ */
+function normalizeAnnotation(input, current = null) {
+  const text = readText(pickOptional(input, "text", current), "text");
+  if (text.error) return { data: null, error: text.error };
+
+  const status = pickOptional(input, "status", current) || "open";
+  if (!ANNOTATION_STATUSES.includes(status)) {
+    return invalid(
+      "status",
+      `status debe ser ${ANNOTATION_STATUSES.join(" o ")}.`
+    );
+  }
+
+  const rawPoint = pickOptional(input, "point", current);
+  const point = rawPoint ? readVector(rawPoint) : null;
+  if (rawPoint && !point) {
+    return invalid("point", "point debe ser { x, y, z } numérico.");
+  }
+
+  const partId = (pickOptional(input, "partId", current) || "")
+    .toString()
+    .trim();
+  if (!point && !partId) {
+    return invalid(
+      "point",
+      "La anotación necesita un punto (point) o una pieza (partId)."
+    );
+  }
+
+  const objectId = pickOptional(input, "objectId", current) || null;
+
+  return {
+    data: {
+      text: text.value,
+      status,
+      point,
+      partId: partId || null,
+      objectId: objectId ? String(objectId) : null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Valida una respuesta { text }.
+ */
+function normalizeReply(input) {
+  const text = readText(input.text, "text");
+  if (text.error) return { data: null, error: text.error };
+  return { data: { text: text.value }, error: null };
+}
+
+/**
+ * Valida una medida { name, from, to, unit }. Con `current` los campos que
+ * no vienen se conservan.
+ */
+function normalizeMeasurement(input, current = null) {
+  const name = readText(pickOptional(input, "name", current), "name", {
+    required: false,
+    max: 120,
+  });
+  if (name.error) return { data: null, error: name.error };
+
+  const from = readVector(pickOptional(input, "from", current));
+  if (!from) return invalid("from", "from debe ser { x, y, z } numérico.");
+  const to = readVector(pickOptional(input, "to", current));
+  if (!to) return invalid("to", "to debe ser { x, y, z } numérico.");
+
+  const unit = readText(pickOptional(input, "unit", current), "unit", {
+    required: false,
+    max: 16,
+  });
+  if (unit.error) return { data: null, error: unit.error };
+
+  return {
+    data: { name: name.value, from, to, unit: unit.value },
+    error: null,
+  };
+}
+
+/**
+ * Distancia entre los dos puntos de una medida.
+ */
+function measurementDistance({ from, to }) {
+  return Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+}
+
+/**
+ * Valida una vista de cámara { name, position, target, up, fov }. Con
+ * `current` los campos que no vienen se conservan.
+ */
+function normalizeCameraView(input, current = null) {
+  const name = readText(pickOptional(input, "name", current), "name", {
+    max: 120,
+  });
+  if (name.error) return { data: null, error: name.error };
+
+  const position = readVector(pickOptional(input, "position", current));
+  if (!position) {
+    return invalid("position", "position debe ser { x, y, z } numérico.");
+  }
+  const target = readVector(
+    pickOptional(input, "target", current) || { x: 0, y: 0, z: 0 }
+  );
+  if (!target) {
+    return invalid("target", "target debe ser { x, y, z } numérico.");
+  }
+  const up = readVector(
+    pickOptional(input, "up", current) || { x: 0, y: 1, z: 0 }
+  );
+  if (!up) return invalid("up", "up debe ser { x, y, z } numérico.");
+
+  const rawFov = pickOptional(input, "fov", current);
+  const fov = rawFov === undefined || rawFov === null ? 50 : Number(rawFov);
+  if (!Number.isFinite(fov) || fov <= 0 || fov >= 180) {
+    return invalid("fov", "fov debe ser un número entre 0 y 180 (grados).");
+  }
+
+  return {
+    data: { name: name.value, position, target, up, fov },
+    error: null,
+  };
+}
+
+module.exports = {
+  ANNOTATION_STATUSES,
+  normalizeAnnotation,
+  normalizeReply,
+  normalizeMeasurement,
+  measurementDistance,
+  normalizeCameraView,
+};
@@ -0,0 +1,233 @@
+// lib/scene.js
+
+/**
+ * Escena de un proyecto: el modelo principal (el de la fila de projects,
+ * con su position/rotation) más los objetos de scene_objects, cada uno con
+ * su propio archivo, transformación (posición, rotación y escala),
+ * visibilidad, padre y orden.
+ *
+ * El modelo principal aparece con id "main": se cambia con /transform y
+ * /model, no se puede borrar y siempre va primero. Los demás objetos
+ * cuelgan de la raíz (parentId null), de "main" o de otro objeto.
+ */
+
+const MAIN_OBJECT_ID = "main";
+const SCENE_VERSION = 1;
+const MAX_SCENE_DEPTH = 16;
+
+const ZERO = { x: 0, y: 0, z: 0 };
+const ONE = { x: 1, y: 1, z: 1 };
+
+function invalid(field, message) {
+  return { data: null, error: { field, message } };
+}
+
+// Los campos pueden llegar como JSON en form-data
+function parseJsonField(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Vector { x, y, z } numérico (objeto o JSON) o null si no es válido. Con
+ * `positive`, los componentes deben ser > 0 y un número vale para los tres.
+ */
+function readVector(value, { positive = false } = {}) {
+  const parsed = parseJsonField(value);
+  if (typeof parsed === "number" && positive) {
+    return readVector({ x: parsed, y: parsed, z: parsed }, { positive });
+  }
+  if (!parsed || typeof parsed !== "object") return null;
+
+  const vector = {};
+  for (const axis of ["x", "y", "z"]) {
+    const n = Number(parsed[axis] === undefined ? NaN : parsed[axis]);
+    if (!Number.isFinite(n) || (positive && n <= 0)) return null;
+    vector[axis] = n;
+  }
+  return vector;
+}
+
+function readBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return null;
+}
+
+/**
+ * Valida un objeto de escena { name, position, rotation, scale, visible,
+ * parentId } contra los objetos existentes (`objects`, filas con id y
+ * parent_id). Con `current` (el objeto guardado) los campos que no vienen
+ * se conservan y se comprueba que no quede colgando de sí mismo. `scale`
+ * admite un número (escala uniforme). Devuelve { data } o
+ * { error: { field, message } }.
+ */
+function normalizeSceneObject(input, objects, current = null) {
+  const pick = (key, column, fallback) =>
+    input[key] !== undefined
+      ? input[key]
+      : current
+      ? current[column]
+      : fallback;
+
+  const name = (pick("name", "name", "") || "").toString().trim();
+  if (!name || name.length > 120) {
+    return invalid("name", "El nombre es obligatorio (máximo 120 caracteres).");
+  }
+
+  const position = readVector(pick("position", "position", ZERO));
+  if (!position) {
+    return invalid("position", "position debe ser { x, y, z } numérico.");
+  }
+  const rotation = readVector(pick("rotation", "rotation", ZERO));
+  if (!rotation) {
+    return invalid("rotation", "rotation debe ser { x, y, z } numérico.");
+  }
+  const scale = readVector(pick("scale", "scale", ONE), { positive: true });
+  if (!scale) {
+    return invalid(
+      "scale",
+      "scale debe ser { x, y, z } o un número, mayores que 0."
+    );
+  }
+
+  const visible = readBoolean(pick("visible", "visible", true));
+  if (visible === null) {
+    return invalid("visible", "visible debe ser true o false.");
+  }
+
+  const parentId = pick("parentId", "parent_id", null) || null;
+  if (parentId && parentId !== MAIN_OBJECT_ID) {
+    const byId = new Map(objects.map((o) => [o.id, o]));
+    if (!byId.has(parentId)) {
+      return invalid("parentId", "El objeto padre no existe en la escena.");
+    }
+
+    // Subir desde el padre: no debe pasar por el propio objeto
+    let depth = 1;
+    let id = parentId;
+    while (id && id !== MAIN_OBJECT_ID) {
+      if (current && id === current.id) {
+        return invalid(
+          "parentId",
+          "Un objeto no puede colgar de sí mismo ni de sus hijos."
+        );
+      }
+      if (++depth > MAX_SCENE_DEPTH) {
+        return invalid(
+          "parentId",
+          `La escena admite como máximo ${MAX_SCENE_DEPTH} niveles.`
+        );
+      }
+      const object = byId.get(id);
+      id = object ? object.parent_id : null;
+    }
+  }
+
+  return {
+    data: { name, position, rotation, scale, visible, parentId },
+    error: null,
+  };
+}
+
+/**
+ * Comprueba que `objectIds` sea una reordenación de todos los objetos
+ * (`objects`). Devuelve { error: { message } } o {}.
+ */
+function checkSceneOrder(objectIds, objects) {
+  const ids = objects.map((o) => o.id);
+  if (
+    !Array.isArray(objectIds) ||
+    objectIds.length !== ids.length ||
+    new Set(objectIds).size !== ids.length ||
+    !objectIds.every((id) => ids.includes(id))
+  ) {
+    return {
+      error: {
+        message:
+          "objectIds debe contener una vez cada objeto de la escena (sin main).",
+      },
+    };
+  }
+  return {};
+}
+
+function sortSceneObjects(rows) {
+  return [...rows].sort(
+    (a, b) =>
+      (a.sort_order || 0) - (b.sort_order || 0) ||
+      String(a.created_at || "").localeCompare(String(b.created_at || ""))
+  );
+}
+
+function modelSummary(modelInfo) {
+  if (!modelInfo) return null;
+  return {
+    format: modelInfo.format || null,
+    triangles: modelInfo.triangles || 0,
+    boundingBox: modelInfo.boundingBox || null,
+  };
+}
+
+/**
+ * Documento de escena que carga el visor de una vez. `publicUrl` convierte
+ * una ruta de storage en URL.
+ */
+function buildSceneDocument(project, rows, publicUrl) {
+  const objects = [];
+
+  if (project.model_path) {
+    objects.push({
+      id: MAIN_OBJECT_ID,
+      name: project.name,
+      modelFile: project.model_filename || null,
+      modelUrl: publicUrl(project.model_path),
+      model: modelSummary(project.model_info),
+      position: project.position || ZERO,
+      rotation: project.rotation || ZERO,
+      scale: ONE,
+      visible: true,
+      parentId: null,
+      order: 0,
+      main: true,
+    });
+  }
+
+  sortSceneObjects(rows).forEach((row, i) => {
+    objects.push(sceneObjectRowToView(row, publicUrl, i + 1));
+  });
+
+  return { version: SCENE_VERSION, projectId: project.id, objects };
+}
+
+function sceneObjectRowToView(row, publicUrl, order = row.sort_order || 0) {
+  return {
+    id: row.id,
+    name: row.name,
+    modelFile: row.model_filename || null,
+    modelUrl: row.model_path ? publicUrl(row.model_path) : null,
+    originalModelFile: row.original_model_filename || null,
+    model: modelSummary(row.model_info),
+    position: row.position || ZERO,
+    rotation: row.rotation || ZERO,
+    scale: row.scale || ONE,
+    visible: row.visible !== false,
+    parentId: row.parent_id || null,
+    order,
+    main: false,
+  };
+}
+
+module.exports = {
+  MAIN_OBJECT_ID,
+  readVector,
+  normalizeSceneObject,
+  checkSceneOrder,
+  buildSceneDocument,
+  sceneObjectRowToView,
+};
@@ -0,0 +1,109 @@
+// lib/shares.js
+const crypto = require("crypto");
+
+/**
+ * Enlaces para compartir un proyecto sin su contraseña: un token
+ * aleatorio con caducidad, contraseña opcional y permisos. El enlace solo
+ * da lectura (y comentarios si lo permite); se puede revocar en cualquier
+ * momento.
+ */
+
+// model: ver el modelo; quote: ver la cotización; comment: ver y crear
+// anotaciones
+const SHARE_PERMISSIONS = ["model", "quote", "comment"];
+const DEFAULT_PERMISSIONS = ["model"];
+const MAX_LABEL = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalid(field, message) {
+  return { data: null, error: { field, message } };
+}
+
+function createShareToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * Valida un enlace { label, permissions, expiresAt | expiresInDays,
+ * password }. Sin caducidad se usa `defaultDays`; como mucho `maxDays`.
+ * Devuelve { data: { label, permissions, expiresAt, password } } o
+ * { error: { field, message } }.
+ */
+function normalizeShare(input, { defaultDays, maxDays, now = new Date() }) {
+  const label = (input.label || "").toString().trim();
+  if (label.length > MAX_LABEL) {
+    return invalid(
+      "label",
+      `label admite como máximo ${MAX_LABEL} caracteres.`
+    );
+  }
+
+  const permissions =
+    input.permissions === undefined ? DEFAULT_PERMISSIONS : input.permissions;
+  if (
+    !Array.isArray(permissions) ||
+    !permissions.length ||
+    !permissions.every((p) => SHARE_PERMISSIONS.includes(p))
+  ) {
+    return invalid(
+      "permissions",
+      `permissions debe ser una lista con ${SHARE_PERMISSIONS.join(", ")}.`
+    );
+  }
+
+  const maxDate = new Date(now.getTime() + maxDays * DAY_MS);
+  let expiresAt;
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+      return invalid("expiresAt", "expiresAt debe ser una fecha futura.");
+    }
+  } else {
+    const days =
+      input.expiresInDays === undefined ? defaultDays : input.expiresInDays;
+    if (!Number.isFinite(Number(days)) || Number(days) <= 0) {
+      return invalid("expiresInDays", "expiresInDays debe ser mayor que 0.");
+    }
+    expiresAt = new Date(now.getTime() + Number(days) * DAY_MS);
+  }
+  if (expiresAt > maxDate) {
+    return invalid(
+      "expiresAt",
+      `Un enlace caduca como máximo a los ${maxDays} días.`
+    );
+  }
+
+  const password =
+    input.password === undefined || input.password === null
+      ? ""
+      : String(input.password);
+  if (password && password.length < 4) {
+    return invalid("password", "La contraseña necesita 4 caracteres o más.");
+  }
+
+  return {
+    data: {
+      label,
+      permissions: SHARE_PERMISSIONS.filter((p) => permissions.includes(p)),
+      expiresAt: expiresAt.toISOString(),
+      password,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Estado de un enlace: "revoked", "expired" o "active".
+ */
+function shareStatus(row, now = new Date()) {
+  if (row.revoked_at) return "revoked";
+  if (new Date(row.expires_at) <= now) return "expired";
+  return "active";
+}
+
+module.exports = {
+  SHARE_PERMISSIONS,
+  createShareToken,
+  normalizeShare,
+  shareStatus,
+};
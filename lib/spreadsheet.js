@@ -0,0 +1,111 @@
+// lib/spreadsheet.js
+const XLSX = require("xlsx");
+
+/**
+ * Lectura de tablas desde .xlsx o .csv para las importaciones (partidas de
+ * cotización, catálogo de precios).
+ *
+ * La primera fila son los encabezados (sin distinguir mayúsculas) y se lee
+ * hasta la primera fila vacía. Cada fila se valida con `validateRow`; si
+ * alguna falla no se devuelve nada y el error lleva todas las filas con
+ * problemas, para corregirlas de una vez.
+ */
+
+const MAX_ROWS = 5000;
+
+function readWorkbook(buffer, fileName) {
+  if (/\.csv$/i.test(fileName || "")) {
+    // raw: los valores llegan como texto y los interpreta readNumber
+    const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+    return XLSX.read(text, { type: "string", raw: true });
+  }
+  return XLSX.read(buffer, { type: "buffer" });
+}
+
+function isEmptyCell(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+/**
+ * Número de una celda; acepta coma decimal ("1,5"). NaN si no es número.
+ */
+function readNumber(value) {
+  if (typeof value === "number") return value;
+  const text = String(value).trim().replace(/\s/g, "");
+  if (!/^-?\d+([.,]\d+)?$/.test(text)) return NaN;
+  return Number(text.replace(",", "."));
+}
+
+function failed(message, rows = []) {
+  return { data: null, error: { message, rows } };
+}
+
+/**
+ * Lee las filas de la hoja `sheet` (si no existe, la primera).
+ *
+ * `columns` asocia encabezados en minúsculas con claves ({ "descuento %":
+ * "descuento" }); las columnas que no aparecen se ignoran. `required` son
+ * los encabezados obligatorios. `validateRow(values, row)` devuelve
+ * { value } o { errors: [{ row, column, message }] }; `row` es el número
+ * de fila en la hoja.
+ *
+ * Devuelve { data: [value] } o { error: { message, rows } }.
+ */
+function parseSpreadsheet(
+  buffer,
+  fileName,
+  { sheet, columns, required, validateRow, layoutHint = "" }
+) {
+  let wb;
+  try {
+    wb = readWorkbook(buffer, fileName);
+  } catch (err) {
+    return failed(`No se pudo leer el archivo: ${err.message}`);
+  }
+
+  const sheetName = wb.SheetNames.includes(sheet) ? sheet : wb.SheetNames[0];
+  const rows = sheetName
+    ? XLSX.utils.sheet_to_json(wb.Sheets[sheetName], {
+        header: 1,
+        defval: "",
+        blankrows: true,
+      })
+    : [];
+
+  const header = (rows[0] || []).map((h) => String(h).trim().toLowerCase());
+  const missing = required.filter((h) => !header.includes(h));
+  if (missing.length) {
+    return failed(
+      `Faltan columnas: ${missing.join(", ")}. ${layoutHint}`.trim()
+    );
+  }
+
+  const values = [];
+  const errors = [];
+  for (let i = 1; i < rows.length; i++) {
+    const cells = rows[i] || [];
+    if (cells.every(isEmptyCell)) break;
+    if (i > MAX_ROWS) {
+      return failed(`El archivo tiene más de ${MAX_ROWS} filas.`);
+    }
+
+    const rowValues = {};
+    header.forEach((h, col) => {
+      if (columns[h]) rowValues[columns[h]] = cells[col];
+    });
+
+    const result = validateRow(rowValues, i + 1);
+    if (result.errors) errors.push(...result.errors);
+    else values.push(result.value);
+  }
+
+  if (errors.length) {
+    return failed(
+      `Hay ${errors.length} error(es) en el archivo; no se importó nada.`,
+      errors
+    );
+  }
+  return { data: values, error: null };
+}
+
+module.exports = { isEmptyCell, readNumber, parseSpreadsheet };
@@ -0,0 +1,45 @@
+// lib/storage/index.js
+const { createSupabaseStorage } = require("./supabase");
+const { createLocalStorage } = require("./local");
+
+/**
+ * Elige el backend de datos/archivos según STORAGE_BACKEND.
+ *
+ * Ambos exponen la misma interfaz:
+ *  - db.getOne / list / count / insert / update / upsert / remove
+ *  - files.upload / remove / copy / download / getPublicUrl / getSignedUrl
+ * Todos los métodos async devuelven { data, error } como supabase-js.
+ *
+ * getSignedUrl da una URL temporal para buckets privados; el backend local
+ * no tiene y devuelve null (el servidor sirve el archivo él mismo).
+ *
+ * Los filtros `match` son objetos { columna: valor }: un valor null filtra
+ * por IS NULL, un array por IN (...) y un objeto compara con sus claves
+ * gt, gte, lt y lte (todas a la vez); { not: null } es IS NOT NULL.
+ *
+ * db.list(table, options) y db.count(table, options) aceptan además:
+ *  - or: grupos [match, ...]; la fila debe cumplir al menos un match de
+ *    cada grupo;
+ *  - columns: columnas que se leen (por defecto todas; solo list);
+ *  - orderBy: columna o lista de columnas, todas en el orden de
+ *    `ascending`; los null van al final en orden ascendente y al principio
+ *    en descendente, como en Postgres (solo list);
+ *  - limit (solo list).
+ * db.count devuelve { data: número de filas }.
+ */
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "supabase").toLowerCase();
+
+  switch (backend) {
+    case "supabase":
+      return createSupabaseStorage(env);
+    case "local":
+      return createLocalStorage(env);
+    default:
+      throw new Error(
+        `STORAGE_BACKEND desconocido: "${backend}" (usa "supabase" o "local")`
+      );
+  }
+}
+
+module.exports = { createStorage };
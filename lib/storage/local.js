@@ -0,0 +1,323 @@
+// lib/storage/local.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Claves únicas de supabase/migrations (además de id). Como en Postgres,
+// una fila con algún valor null en la clave no choca con ninguna.
+const UNIQUE_KEYS = {
+  users: [["email"]],
+  project_members: [["project_id", "email"], ["invite_token_hash"]],
+  model_versions: [["project_id", "version"]],
+  quote_revisions: [["quote_id", "revision"]],
+  catalog_items: [["sku"]],
+  project_shares: [["token"]],
+};
+
+/**
+ * Backend local: cada tabla es un archivo JSON en LOCAL_DATA_DIR y los
+ * modelos se guardan en public/<slug>/ (se sirven desde /files).
+ * Pensado para trabajar offline, en CI o en instalaciones on-prem.
+ */
+function createLocalStorage(env) {
+  const rootDir = path.join(__dirname, "..", "..");
+  const dataDir = path.resolve(rootDir, env.LOCAL_DATA_DIR || "data");
+  const filesDir = path.resolve(rootDir, env.LOCAL_FILES_DIR || "public");
+  const publicBaseUrl = (
+    env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 4000}`
+  ).replace(/\/+$/, "");
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.mkdirSync(filesDir, { recursive: true });
+
+  const tables = new Map();
+  let writeQueue = Promise.resolve();
+
+  function tableFile(table) {
+    return path.join(dataDir, `${table}.json`);
+  }
+
+  function loadTable(table) {
+    if (!tables.has(table)) {
+      const file = tableFile(table);
+      const rows = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, "utf8"))
+        : [];
+      tables.set(table, rows);
+    }
+    return tables.get(table);
+  }
+
+  // Escribe a un temporal y renombra para no dejar JSON a medias. Las
+  // escrituras van en cola; si una falla solo se entera quien la pidió y
+  // las siguientes se intentan igual.
+  function persist(table) {
+    const write = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const rows = tables.get(table) || [];
+        const file = tableFile(table);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(rows, null, 2));
+        await fs.promises.rename(tmp, file);
+      });
+    writeQueue = write;
+    return write;
+  }
+
+  // Los textos se comparan según el idioma (como la collation de Postgres
+  // y no por código de carácter), igual al ordenar que al filtrar
+  function compareValues(a, b) {
+    if (a === b) return 0;
+    if (typeof a === "string" && typeof b === "string") {
+      return a.localeCompare(b) || (a < b ? -1 : 1);
+    }
+    return a < b ? -1 : 1;
+  }
+
+  // Comparaciones de un filtro { gt, gte, lt, lte } o { not: null }
+  const OPERATORS = {
+    gt: (value, limit) => value !== null && compareValues(value, limit) > 0,
+    gte: (value, limit) => value !== null && compareValues(value, limit) >= 0,
+    lt: (value, limit) => value !== null && compareValues(value, limit) < 0,
+    lte: (value, limit) => value !== null && compareValues(value, limit) <= 0,
+    not: (value) => value !== null,
+  };
+
+  // Misma semántica que applyMatch en supabase.js (null, IN y operadores).
+  function matches(row, match) {
+    return Object.entries(match || {}).every(([k, v]) => {
+      const value = row[k] === undefined ? null : row[k];
+      if (Array.isArray(v)) return v.includes(value);
+      if (v !== null && typeof v === "object") {
+        return Object.entries(v).every(([op, limit]) =>
+          OPERATORS[op](value, limit)
+        );
+      }
+      return value === v;
+    });
+  }
+
+  // match y grupos `or` de list/count
+  function filterRows(table, { match, or = [] }) {
+    return loadTable(table).filter(
+      (r) =>
+        matches(r, match) &&
+        or.every((group) => group.some((m) => matches(r, m)))
+    );
+  }
+
+  function pick(row, columns) {
+    if (!columns) return row;
+    return Object.fromEntries(
+      columns.map((c) => [c, row[c] === undefined ? null : row[c]])
+    );
+  }
+
+  // Error 23505 (el de Postgres) si `row` repite una clave única de otra
+  // fila de la tabla distinta de `self`; si no, null.
+  function duplicateKeyError(table, row, self) {
+    const keys = [["id"], ...(UNIQUE_KEYS[table] || [])];
+    for (const columns of keys) {
+      const values = columns.map((c) => (row[c] === undefined ? null : row[c]));
+      if (values.includes(null)) continue;
+      const clash = loadTable(table).some(
+        (r) => r !== self && columns.every((c, i) => r[c] === values[i])
+      );
+      if (clash) {
+        return {
+          code: "23505",
+          message: `${columns.join(", ")} duplicado en ${table}`,
+        };
+      }
+    }
+    return null;
+  }
+
+  function clone(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+
+  function compare(a, b, column) {
+    const va = a[column];
+    const vb = b[column];
+    if (va === vb) return 0;
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    return compareValues(va, vb);
+  }
+
+  async function run(fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  const db = {
+    getOne(table, match) {
+      return run(async () => {
+        const row = loadTable(table).find((r) => matches(r, match));
+        return { data: clone(row) || null, error: null };
+      });
+    },
+
+    list(table, options = {}) {
+      const { columns, orderBy, ascending = true, limit } = options;
+      return run(async () => {
+        let rows = filterRows(table, options);
+        if (orderBy) {
+          const order = [].concat(orderBy);
+          rows = [...rows].sort((a, b) => {
+            for (const column of order) {
+              const c = compare(a, b, column);
+              if (c) return ascending ? c : -c;
+            }
+            return 0;
+          });
+        }
+        if (limit) rows = rows.slice(0, limit);
+        return { data: clone(rows.map((r) => pick(r, columns))), error: null };
+      });
+    },
+
+    count(table, options = {}) {
+      return run(async () => ({
+        data: filterRows(table, options).length,
+        error: null,
+      }));
+    },
+
+    insert(table, row) {
+      return run(async () => {
+        const rows = loadTable(table);
+        const newRow = {
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+          ...clone(row),
+        };
+        const duplicate = duplicateKeyError(table, newRow);
+        if (duplicate) return { data: null, error: duplicate };
+        rows.push(newRow);
+        await persist(table);
+        return { data: clone(newRow), error: null };
+      });
+    },
+
+    update(table, match, patch) {
+      return run(async () => {
+        const targets = loadTable(table).filter((r) => matches(r, match));
+        for (const row of targets) {
+          const duplicate = duplicateKeyError(table, { ...row, ...patch }, row);
+          if (duplicate) return { data: null, error: duplicate };
+        }
+        const updated = [];
+        for (const row of targets) {
+          Object.assign(row, clone(patch));
+          updated.push(row);
+        }
+        if (updated.length) await persist(table);
+        return { data: clone(updated), error: null };
+      });
+    },
+
+    upsert(table, row, { onConflict = "id" } = {}) {
+      return run(async () => {
+        const keys = onConflict.split(",").map((k) => k.trim());
+        const match = Object.fromEntries(keys.map((k) => [k, row[k]]));
+        const existing = loadTable(table).find((r) => matches(r, match));
+        if (!existing) return db.insert(table, row);
+        const duplicate = duplicateKeyError(
+          table,
+          { ...existing, ...row },
+          existing
+        );
+        if (duplicate) return { data: null, error: duplicate };
+        Object.assign(existing, clone(row));
+        await persist(table);
+        return { data: clone(existing), error: null };
+      });
+    },
+
+    remove(table, match) {
+      return run(async () => {
+        const rows = loadTable(table);
+        const kept = rows.filter((r) => !matches(r, match));
+        if (kept.length !== rows.length) {
+          tables.set(table, kept);
+          await persist(table);
+        }
+        return { error: null };
+      });
+    },
+  };
+
+  function resolveObject(objectPath) {
+    const full = path.resolve(filesDir, objectPath);
+    if (!full.startsWith(filesDir + path.sep)) {
+      throw new Error(`Ruta de objeto inválida: ${objectPath}`);
+    }
+    return full;
+  }
+
+  const files = {
+    rootDir: filesDir,
+
+    upload(objectPath, filePath, { upsert = false } = {}) {
+      return run(async () => {
+        const dest = resolveObject(objectPath);
+        if (!upsert && fs.existsSync(dest)) {
+          return {
+            error: {
+              statusCode: "409",
+              message: "The resource already exists",
+            },
+          };
+        }
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        await fs.promises.copyFile(filePath, dest);
+        return { error: null };
+      });
+    },
+
+    remove(objectPaths) {
+      return run(async () => {
+        for (const objectPath of objectPaths) {
+          await fs.promises.rm(resolveObject(objectPath), { force: true });
+        }
+        return { error: null };
+      });
+    },
+
+    copy(fromPath, toPath) {
+      return run(async () => {
+        const dest = resolveObject(toPath);
+        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+        await fs.promises.copyFile(resolveObject(fromPath), dest);
+        return { error: null };
+      });
+    },
+
+    download(objectPath) {
+      return run(async () => {
+        const data = await fs.promises.readFile(resolveObject(objectPath));
+        return { data, error: null };
+      });
+    },
+
+    getPublicUrl(objectPath) {
+      const encoded = objectPath.split("/").map(encodeURIComponent).join("/");
+      return `${publicBaseUrl}/files/${encoded}`;
+    },
+
+    // Sin URLs firmadas: el servidor sirve el archivo desde rootDir
+    async getSignedUrl() {
+      return { data: null, error: null };
+    },
+  };
+
+  return { name: "local", db, files };
+}
+
+module.exports = { createLocalStorage };
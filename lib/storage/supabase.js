@@ -0,0 +1,190 @@
+// lib/storage/supabase.js
+const fs = require("fs");
+const { createClient } = require("@supabase/supabase-js");
+
+/**
+ * Backend Supabase: tablas en Postgres y modelos en Supabase Storage.
+ * Es el backend por defecto (el que usaba server.js directamente).
+ */
+function createSupabaseStorage(env) {
+  const SUPABASE_URL = env.SUPABASE_URL;
+  const SUPABASE_SERVICE_ROLE_KEY = env.SUPABASE_SERVICE_ROLE_KEY;
+  const SUPABASE_MODELS_BUCKET = env.SUPABASE_MODELS_BUCKET || "models";
+
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error(
+      "SUPABASE_URL o SUPABASE_SERVICE_ROLE_KEY no están definidos en .env"
+    );
+  }
+
+  const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+  const bucket = () => supabase.storage.from(SUPABASE_MODELS_BUCKET);
+
+  // null -> IS NULL, array -> IN (...), { gt, gte, lt, lte } ->
+  // comparación, { not: null } -> IS NOT NULL, resto -> igualdad
+  function applyMatch(query, match) {
+    for (const [column, value] of Object.entries(match || {})) {
+      if (value === null) query = query.is(column, null);
+      else if (Array.isArray(value)) query = query.in(column, value);
+      else if (typeof value === "object") {
+        for (const [op, limit] of Object.entries(value)) {
+          query =
+            op === "not"
+              ? query.not(column, "is", null)
+              : query[op](column, limit);
+        }
+      } else query = query.eq(column, value);
+    }
+    return query;
+  }
+
+  // Valor dentro de un filtro or=(...) de PostgREST: los textos van entre
+  // comillas para que comas, puntos y paréntesis no corten el filtro
+  function filterValue(value) {
+    if (typeof value !== "string") return String(value);
+    return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  }
+
+  // Un match como condiciones "columna.op.valor" unidas con and(...)
+  function matchFilter(match) {
+    const conditions = [];
+    for (const [column, value] of Object.entries(match)) {
+      if (value === null) conditions.push(`${column}.is.null`);
+      else if (Array.isArray(value)) {
+        conditions.push(`${column}.in.(${value.map(filterValue).join(",")})`);
+      } else if (typeof value === "object") {
+        for (const [op, limit] of Object.entries(value)) {
+          conditions.push(
+            op === "not"
+              ? `${column}.not.is.null`
+              : `${column}.${op}.${filterValue(limit)}`
+          );
+        }
+      } else conditions.push(`${column}.eq.${filterValue(value)}`);
+    }
+    return conditions.length === 1
+      ? conditions[0]
+      : `and(${conditions.join(",")})`;
+  }
+
+  // Cada grupo es un .or(); varios .or() se combinan con AND. Un match
+  // vacío cumple siempre, así que su grupo no filtra nada.
+  function applyOr(query, groups = []) {
+    for (const group of groups) {
+      if (group.some((m) => !Object.keys(m).length)) continue;
+      query = query.or(group.map(matchFilter).join(","));
+    }
+    return query;
+  }
+
+  const db = {
+    async getOne(table, match) {
+      const { data, error } = await applyMatch(
+        supabase.from(table).select("*"),
+        match
+      ).maybeSingle();
+      return { data: data || null, error };
+    },
+
+    async list(table, options = {}) {
+      const { match, or, columns, orderBy, ascending = true, limit } = options;
+      let query = supabase
+        .from(table)
+        .select(columns ? columns.join(",") : "*");
+      query = applyOr(applyMatch(query, match), or);
+      for (const column of orderBy ? [].concat(orderBy) : []) {
+        query = query.order(column, { ascending });
+      }
+      if (limit) query = query.limit(limit);
+      const { data, error } = await query;
+      return { data: data || [], error };
+    },
+
+    async count(table, { match, or } = {}) {
+      const query = supabase
+        .from(table)
+        .select("*", { count: "exact", head: true });
+      const { count, error } = await applyOr(applyMatch(query, match), or);
+      return { data: count || 0, error };
+    },
+
+    async insert(table, row) {
+      const { data, error } = await supabase
+        .from(table)
+        .insert([row])
+        .select()
+        .single();
+      return { data, error };
+    },
+
+    async update(table, match, patch) {
+      const { data, error } = await applyMatch(
+        supabase.from(table).update(patch),
+        match
+      ).select();
+      return { data: data || [], error };
+    },
+
+    async upsert(table, row, { onConflict } = {}) {
+      const { data, error } = await supabase
+        .from(table)
+        .upsert(row, onConflict ? { onConflict } : undefined)
+        .select()
+        .single();
+      return { data, error };
+    },
+
+    async remove(table, match) {
+      const { error } = await applyMatch(supabase.from(table).delete(), match);
+      return { error };
+    },
+  };
+
+  const files = {
+    // En streaming: los modelos pueden pesar cientos de MB
+    async upload(objectPath, filePath, { contentType, upsert = false } = {}) {
+      const { error } = await bucket().upload(
+        objectPath,
+        fs.createReadStream(filePath),
+        { upsert, contentType, duplex: "half" }
+      );
+      return { error };
+    },
+
+    async remove(objectPaths) {
+      const { error } = await bucket().remove(objectPaths);
+      return { error };
+    },
+
+    // Copia en el propio bucket, sin pasar el archivo por el servidor
+    async copy(fromPath, toPath) {
+      const { error } = await bucket().copy(fromPath, toPath);
+      return { error };
+    },
+
+    async download(objectPath) {
+      const { data, error } = await bucket().download(objectPath);
+      if (error) return { data: null, error };
+      return { data: Buffer.from(await data.arrayBuffer()), error: null };
+    },
+
+    getPublicUrl(objectPath) {
+      const { data } = bucket().getPublicUrl(objectPath);
+      return data.publicUrl;
+    },
+
+    // URL firmada por Supabase que caduca a los `expiresIn` segundos
+    async getSignedUrl(objectPath, expiresIn) {
+      const { data, error } = await bucket().createSignedUrl(
+        objectPath,
+        expiresIn
+      );
+      if (error) return { data: null, error };
+      return { data: data.signedUrl, error: null };
+    },
+  };
+
+  return { name: "supabase", db, files };
+}
+
+module.exports = { createSupabaseStorage };
@@ -0,0 +1,322 @@
+// lib/uploads.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Subidas por partes reanudables.
+ *
+ * Cada subida vive en <dir>/<uploadId>/ con un manifest.json (qué partes
+ * han llegado) y un archivo `data` en el que cada parte se escribe en su
+ * posición. Como todo está en disco, una subida se puede retomar aunque se
+ * corte la conexión o se reinicie el servidor.
+ *
+ * Todos los métodos async devuelven { data, error } y los errores llevan
+ * `status` HTTP y un mensaje para el usuario.
+ */
+function createChunkedUploads({ dir, chunkSize, maxSize, ttlMs }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Las partes de una misma subida se procesan de una en una para no
+  // pisar el manifest.
+  const locks = new Map();
+  function withLock(uploadId, fn) {
+    const previous = locks.get(uploadId) || Promise.resolve();
+    const next = previous.then(fn, fn);
+    locks.set(uploadId, next);
+    next.finally(() => {
+      if (locks.get(uploadId) === next) locks.delete(uploadId);
+    });
+    return next;
+  }
+
+  function fail(status, message) {
+    return { data: null, error: { status, message } };
+  }
+
+  function sessionDir(uploadId) {
+    return path.join(dir, uploadId);
+  }
+
+  function dataFile(uploadId) {
+    return path.join(sessionDir(uploadId), "data");
+  }
+
+  async function readManifest(uploadId) {
+    if (!/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+    try {
+      const raw = await fs.promises.readFile(
+        path.join(sessionDir(uploadId), "manifest.json"),
+        "utf8"
+      );
+      return JSON.parse(raw);
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function writeManifest(manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    const file = path.join(sessionDir(manifest.id), "manifest.json");
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(manifest));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  function sha256(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  function fileSha256(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      fs.createReadStream(filePath)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("error", reject)
+        .on("end", () => resolve(hash.digest("hex")));
+    });
+  }
+
+  function expectedLength(manifest, index) {
+    const last = manifest.totalChunks - 1;
+    return index === last
+      ? manifest.size - last * manifest.chunkSize
+      : manifest.chunkSize;
+  }
+
+  // Carga la subida comprobando que pertenece a `userId`.
+  async function load(uploadId, userId) {
+    const manifest = await readManifest(uploadId);
+    if (!manifest) return fail(404, "Subida no encontrada o caducada.");
+    if (manifest.userId && manifest.userId !== userId) {
+      return fail(403, "La subida pertenece a otro usuario.");
+    }
+    return { data: manifest, error: null };
+  }
+
+  /**
+   * Estado público de una subida (lo que necesita el cliente para
+   * reanudarla).
+   */
+  function toView(manifest) {
+    const received = new Set(manifest.received);
+    const missing = [];
+    for (let i = 0; i < manifest.totalChunks; i++) {
+      if (!received.has(i)) missing.push(i);
+    }
+    return {
+      uploadId: manifest.id,
+      fileName: manifest.fileName,
+      size: manifest.size,
+      sha256: manifest.sha256,
+      chunkSize: manifest.chunkSize,
+      totalChunks: manifest.totalChunks,
+      receivedChunks: manifest.received.length,
+      missingChunks: missing,
+      completed: manifest.completed,
+      expiresAt: new Date(Date.parse(manifest.updatedAt) + ttlMs).toISOString(),
+    };
+  }
+
+  return {
+    chunkSize,
+
+    /**
+     * Crea una subida para un archivo de `size` bytes. `sha256` (hex) es
+     * opcional; si se indica, se comprueba al completar.
+     */
+    async init({ fileName, size, sha256: checksum, userId }) {
+      if (!fileName || !Number.isInteger(size) || size <= 0) {
+        return fail(400, "fileName y size (bytes) son obligatorios.");
+      }
+      if (size > maxSize) {
+        return fail(413, "El archivo supera el tamaño máximo permitido.");
+      }
+      if (checksum && !/^[0-9a-f]{64}$/i.test(checksum)) {
+        return fail(
+          400,
+          "sha256 debe ser un hash hexadecimal de 64 caracteres."
+        );
+      }
+
+      const manifest = {
+        id: crypto.randomUUID(),
+        fileName: path.basename(String(fileName)),
+        size,
+        sha256: checksum ? checksum.toLowerCase() : null,
+        chunkSize,
+        totalChunks: Math.ceil(size / chunkSize),
+        received: [],
+        completed: false,
+        userId: userId || null,
+        createdAt: new Date().toISOString(),
+      };
+
+      await fs.promises.mkdir(sessionDir(manifest.id), { recursive: true });
+      await fs.promises.writeFile(dataFile(manifest.id), "");
+      await writeManifest(manifest);
+      return { data: toView(manifest), error: null };
+    },
+
+    async status(uploadId, userId) {
+      const { data: manifest, error } = await load(uploadId, userId);
+      if (error) return { data: null, error };
+      return { data: toView(manifest), error: null };
+    },
+
+    /**
+     * Guarda la parte `index`. Si llega `checksum` (sha256 hex de la parte)
+     * se verifica. Reenviar una parte ya recibida la sobrescribe.
+     */
+    writeChunk(uploadId, userId, index, buffer, checksum) {
+      return withLock(uploadId, async () => {
+        const { data: manifest, error } = await load(uploadId, userId);
+        if (error) return { data: null, error };
+        if (manifest.completed) return fail(409, "La subida ya se completó.");
+
+        if (!Number.isInteger(index) || index < 0) {
+          return fail(400, "Índice de parte inválido.");
+        }
+        if (index >= manifest.totalChunks) {
+          return fail(
+            400,
+            `La subida solo tiene ${manifest.totalChunks} partes.`
+          );
+        }
+        const expected = expectedLength(manifest, index);
+        if (!Buffer.isBuffer(buffer) || buffer.length !== expected) {
+          return fail(
+            400,
+            `La parte ${index} debe tener ${expected} bytes (llegaron ${
+              Buffer.isBuffer(buffer) ? buffer.length : 0
+            }).`
+          );
+        }
+        if (checksum && sha256(buffer) !== checksum.toLowerCase()) {
+          return fail(422, `El checksum de la parte ${index} no coincide.`);
+        }
+
+        const handle = await fs.promises.open(dataFile(uploadId), "r+");
+        try {
+          await handle.write(
+            buffer,
+            0,
+            buffer.length,
+            index * manifest.chunkSize
+          );
+        } finally {
+          await handle.close();
+        }
+
+        if (!manifest.received.includes(index)) {
+          manifest.received.push(index);
+          manifest.received.sort((a, b) => a - b);
+        }
+        await writeManifest(manifest);
+        return { data: toView(manifest), error: null };
+      });
+    },
+
+    /**
+     * Cierra la subida: exige todas las partes y, si se indicó, que el
+     * sha256 del archivo completo coincida.
+     */
+    complete(uploadId, userId) {
+      return withLock(uploadId, async () => {
+        const { data: manifest, error } = await load(uploadId, userId);
+        if (error) return { data: null, error };
+        if (manifest.completed) return { data: toView(manifest), error: null };
+
+        if (manifest.received.length !== manifest.totalChunks) {
+          const view = toView(manifest);
+          return {
+            data: null,
+            error: {
+              status: 409,
+              message: `Faltan ${view.missingChunks.length} partes.`,
+              missingChunks: view.missingChunks,
+            },
+          };
+        }
+
+        const digest = await fileSha256(dataFile(uploadId));
+        if (manifest.sha256 && digest !== manifest.sha256) {
+          return fail(422, "El checksum del archivo completo no coincide.");
+        }
+
+        manifest.sha256 = digest;
+        manifest.completed = true;
+        await writeManifest(manifest);
+        return { data: toView(manifest), error: null };
+      });
+    },
+
+    /**
+     * Entrega una subida completada como archivo en `destPath` (con la
+     * forma de req.file de multer) y elimina la subida.
+     */
+    take(uploadId, userId, destPath) {
+      return withLock(uploadId, async () => {
+        const { data: manifest, error } = await load(uploadId, userId);
+        if (error) return { data: null, error };
+        if (!manifest.completed) {
+          return fail(409, "La subida no está completa.");
+        }
+
+        await fs.promises.rename(dataFile(uploadId), destPath);
+        await fs.promises.rm(sessionDir(uploadId), {
+          recursive: true,
+          force: true,
+        });
+        return {
+          data: {
+            fieldname: "model",
+            originalname: manifest.fileName,
+            path: destPath,
+            size: manifest.size,
+          },
+          error: null,
+        };
+      });
+    },
+
+    abort(uploadId, userId) {
+      return withLock(uploadId, async () => {
+        const { error } = await load(uploadId, userId);
+        if (error) return { data: null, error };
+        await fs.promises.rm(sessionDir(uploadId), {
+          recursive: true,
+          force: true,
+        });
+        return { data: null, error: null };
+      });
+    },
+
+    /**
+     * Borra las subidas sin actividad en los últimos `ttlMs`.
+     * Devuelve cuántas se borraron.
+     */
+    async cleanup() {
+      const limit = Date.now() - ttlMs;
+      let removed = 0;
+      for (const entry of await fs.promises.readdir(dir)) {
+        const manifest = await readManifest(entry).catch(() => null);
+        const updatedAt = manifest
+          ? Date.parse(manifest.updatedAt)
+          : (await fs.promises.stat(path.join(dir, entry))).mtimeMs;
+        if (updatedAt < limit) {
+          await withLock(entry, () =>
+            fs.promises.rm(path.join(dir, entry), {
+              recursive: true,
+              force: true,
+            })
+          );
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+module.exports = { createChunkedUploads };
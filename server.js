@@ -7,26 +7,161 @@ const path = require("path");
 const fs = require("fs");
 const crypto = require("crypto");
 const XLSX = require("xlsx");
-const mime = require("mime");
-const { createClient } = require("@supabase/supabase-js");
+const { createStorage } = require("./lib/storage");
+const {
+  FORMATS,
+  detectFormat,
+  inspectModelFile,
+} = require("./lib/models/inspect");
+const {
+  parseOptimizations,
+  loadModelDocument,
+  convertModelToGlb,
+} = require("./lib/models/convert");
+const { renderThumbnail } = require("./lib/models/thumbnail");
+const { createChunkedUploads } = require("./lib/uploads");
+const { createProjectChannels } = require("./lib/realtime");
+const {
+  normalizeQuoteItem,
+  applyCatalogPrices,
+  buildBillOfMaterials,
+  findMissingParts,
+} = require("./lib/quotes/items");
+const {
+  normalizeCatalogItem,
+  parseCatalogWorkbook,
+  findOutdatedQuoteItems,
+} = require("./lib/catalog");
+const {
+  parseProjectListQuery,
+  projectListQuery,
+  hasTextFilters,
+  matchesTextFilters,
+  projectListPage,
+  TEXT_FILTER_COLUMNS,
+} = require("./lib/projectList");
+const {
+  normalizeTags,
+  normalizeFolder,
+  normalizeCustomer,
+} = require("./lib/organization");
+const {
+  MAIN_OBJECT_ID,
+  normalizeSceneObject,
+  checkSceneOrder,
+  buildSceneDocument,
+  sceneObjectRowToView,
+} = require("./lib/scene");
+const {
+  ANNOTATION_STATUSES,
+  normalizeAnnotation,
+  normalizeReply,
+  normalizeMeasurement,
+  measurementDistance,
+  normalizeCameraView,
+} = require("./lib/review");
+const {
+  createShareToken,
+  normalizeShare,
+  shareStatus,
+} = require("./lib/shares");
+const {
+  parseTaxes,
+  normalizeQuoteSettings,
+  computeQuoteTotals,
+} = require("./lib/quotes/totals");
+const {
+  QUOTE_STATUSES,
+  canTransition,
+  parseDate,
+  addDays,
+  effectiveStatus,
+} = require("./lib/quotes/status");
+const { diffQuoteRevisions } = require("./lib/quotes/diff");
+const { renderQuotePdf } = require("./lib/quotes/pdf");
+const {
+  buildQuoteWorkbook,
+  parseQuoteWorkbook,
+} = require("./lib/quotes/excel");
+const {
+  DEFAULT_PART_META,
+  extractParts,
+  seedPartsMeta,
+} = require("./lib/models/parts");
+const {
+  hashPassword,
+  verifyPassword,
+  createTokenService,
+  getBearerToken,
+} = require("./lib/auth");
 
 /* ============================
-   Config Supabase
+   Config almacenamiento (Supabase o local)
 ============================ */
 
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const SUPABASE_MODELS_BUCKET =
-  process.env.SUPABASE_MODELS_BUCKET || "models";
+let storageBackend;
+try {
+  storageBackend = createStorage(process.env);
+} catch (err) {
+  console.error("ERROR:", err.message);
+  process.exit(1);
+}
+
+const { db, files } = storageBackend;
+console.log(`Backend de almacenamiento: ${storageBackend.name}`);
+
+/* ============================
+   Config sesiones (tokens Bearer)
+============================ */
 
-if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  console.error(
-    "ERROR: SUPABASE_URL o SUPABASE_SERVICE_ROLE_KEY no están definidos en .env"
+let AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET;
+if (!AUTH_TOKEN_SECRET) {
+  AUTH_TOKEN_SECRET = crypto.randomBytes(32).toString("hex");
+  console.warn(
+    "AUTH_TOKEN_SECRET no está definido: se usa uno aleatorio y los tokens caducan al reiniciar."
   );
-  process.exit(1);
 }
 
-const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+const tokens = createTokenService({
+  secret: AUTH_TOKEN_SECRET,
+  ttlSeconds: (Number(process.env.AUTH_TOKEN_TTL_MINUTES) || 60) * 60,
+});
+
+/* ============================
+   Archivos privados
+============================ */
+
+// Con PRIVATE_FILES=true el bucket (o public/ en local) no es público: las
+// vistas llevan URLs de /api/files firmadas que caducan a los
+// SIGNED_URL_TTL_SECONDS y solo las reciben quienes tienen acceso.
+const PRIVATE_FILES = process.env.PRIVATE_FILES === "true";
+const SIGNED_URL_TTL_SECONDS =
+  Number(process.env.SIGNED_URL_TTL_SECONDS) || 900;
+// Base de las URLs de /api/files (vacía = relativas al backend)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// Otro secreto para que un token de archivo no valga como sesión
+const fileTokens = createTokenService({
+  secret: `${AUTH_TOKEN_SECRET}:files`,
+  ttlSeconds: SIGNED_URL_TTL_SECONDS,
+});
+
+// URL de una ruta de esta API (absoluta si hay PUBLIC_BASE_URL)
+function apiUrl(route) {
+  return `${PUBLIC_BASE_URL}${route}`;
+}
+
+/**
+ * URL de un archivo de storage para las vistas: la pública o, con
+ * PRIVATE_FILES, una firmada de /api/files.
+ */
+function fileUrl(objectPath) {
+  if (!PRIVATE_FILES) return files.getPublicUrl(objectPath);
+
+  const { token } = fileTokens.issue({ typ: "file", sub: objectPath });
+  const name = encodeURIComponent(path.basename(objectPath));
+  return apiUrl(`/api/files/${token}/${name}`);
+}
 
 /* ============================
    Helpers
@@ -45,10 +180,6 @@ function slugify(str) {
   );
 }
 
-function hashPassword(password) {
-  return crypto.createHash("sha256").update(password).digest("hex");
-}
-
 /**
  * Convierte un row de la tabla projects al formato que usas en el front.
  */
@@ -57,14 +188,12 @@ function projectRowToView(row) {
 
   let modelUrl = null;
   if (row.model_path) {
-    const { data } = supabase.storage
-      .from(SUPABASE_MODELS_BUCKET)
-      .getPublicUrl(row.model_path);
-    modelUrl = data.publicUrl;
+    modelUrl = fileUrl(row.model_path);
   }
 
   return {
     id: row.id,
+    revision: projectRevision(row),
     name: row.name,
     author: row.author || "",
     date: row.project_date || "",
@@ -72,41 +201,66 @@ function projectRowToView(row) {
     rotation: row.rotation || { x: 0, y: 0, z: 0 },
     modelFile: row.model_filename || null,
     modelUrl,
+    // Archivo tal como se subió (sin convertir); si no hubo conversión es
+    // el mismo modelo
+    originalModelFile:
+      row.original_model_filename || row.model_filename || null,
+    originalModelUrl: row.original_model_path
+      ? fileUrl(row.original_model_path)
+      : modelUrl,
+    modelVersion: row.active_model_version || null,
+    modelInfo: row.model_info || null,
+    thumbnailUrl: row.thumbnail_path ? fileUrl(row.thumbnail_path) : null,
     pendingNotes: row.pending_notes || "",
     partsMeta: row.parts_meta || {},
+    claimed: Boolean(row.owner_id),
+    isTemplate: Boolean(row.is_template),
+    sourceProjectId: row.source_project_id || null,
+    tags: row.tags || [],
+    folderId: row.folder_id || null,
+    customerId: row.customer_id || null,
   };
 }
 
+// Columnas que lee projectRowToSummary
+const PROJECT_SUMMARY_COLUMNS = [
+  "id",
+  "name",
+  "author",
+  "project_date",
+  "model_filename",
+  "active_model_version",
+  "thumbnail_path",
+  "owner_id",
+  "is_template",
+  "source_project_id",
+  "tags",
+  "folder_id",
+  "customer_id",
+  "created_at",
+];
+
 /**
- * Construye un workbook de Excel en memoria a partir de una cotización.
- * (SIN columna de links)
+ * Vista ligera para listados: sin transformación, modelInfo, notas ni
+ * parts_meta.
  */
-function buildQuoteWorkbook(quoteDoc) {
-  const rows = (quoteDoc.items || []).map((it) => {
-    const cantidad = Number(it.cantidad) || 0;
-    const precio = Number(it.precio) || 0;
-    return {
-      Concepto: it.concepto,
-      Cantidad: cantidad,
-      Precio: precio,
-      Importe: cantidad * precio,
-    };
-  });
-
-  rows.push({});
-  rows.push({
-    Concepto: "TOTAL",
-    Cantidad: "",
-    Precio: "",
-    Importe: Number(quoteDoc.total) || 0,
-  });
-
-  const wb = XLSX.utils.book_new();
-  const ws = XLSX.utils.json_to_sheet(rows, {
-    header: ["Concepto", "Cantidad", "Precio", "Importe"],
-  });
-  XLSX.utils.book_append_sheet(wb, ws, "Cotización");
-  return wb;
+function projectRowToSummary(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    author: row.author || "",
+    date: row.project_date || "",
+    modelFile: row.model_filename || null,
+    modelVersion: row.active_model_version || null,
+    thumbnailUrl: row.thumbnail_path ? fileUrl(row.thumbnail_path) : null,
+    claimed: Boolean(row.owner_id),
+    isTemplate: Boolean(row.is_template),
+    sourceProjectId: row.source_project_id || null,
+    tags: row.tags || [],
+    folderId: row.folder_id || null,
+    customerId: row.customer_id || null,
+    createdAt: row.created_at || null,
+  };
 }
 
 /* ============================
@@ -146,10 +300,19 @@ app.use(
       console.warn("CORS bloqueó origen:", origin);
       return callback(new Error("Not allowed by CORS: " + origin));
     },
+    // Para la concurrencia optimista (If-Match) de las rutas de edición
+    exposedHeaders: ["ETag"],
   })
 );
 
 app.use(express.json());
+app.use(authenticate);
+
+// En modo local los modelos se sirven desde public/ bajo /files (salvo
+// con PRIVATE_FILES: entonces solo por /api/files)
+if (files.rootDir && !PRIVATE_FILES) {
+  app.use("/files", express.static(files.rootDir));
+}
 
 // Carpeta temporal para subidas
 const uploadTmpDir = path.join(__dirname, "tmp_uploads");
@@ -167,744 +330,7357 @@ const storage = multer.diskStorage({
   },
 });
 
-const upload = multer({ storage });
+const MAX_MODEL_SIZE_MB = Number(process.env.MAX_MODEL_SIZE_MB) || 200;
+const MODEL_OPTIMIZATIONS = parseOptimizations(process.env.MODEL_OPTIMIZE);
+const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE) || 256;
+const UPLOAD_CHUNK_SIZE_MB = Number(process.env.UPLOAD_CHUNK_SIZE_MB) || 8;
+const UPLOAD_TTL_MS = (Number(process.env.UPLOAD_TTL_HOURS) || 24) * 3600000;
 
-/* ============================
-   Helpers DB
-============================ */
+// Configuración por defecto de las cotizaciones (cada cotización puede
+// cambiarla en `settings`).
+const QUOTE_DEFAULTS = {
+  currency: process.env.QUOTE_CURRENCY || "MXN",
+  taxes: parseTaxes(
+    process.env.QUOTE_TAXES === undefined ? "IVA:16" : process.env.QUOTE_TAXES
+  ),
+  rounding: {
+    decimals:
+      process.env.QUOTE_ROUNDING_DECIMALS === undefined
+        ? 2
+        : Number(process.env.QUOTE_ROUNDING_DECIMALS),
+    mode: process.env.QUOTE_ROUNDING_MODE || "half-up",
+  },
+};
+// Cabecera y condiciones del PDF de cotización. COMPANY_DETAILS son líneas
+// separadas por "|" (dirección, RFC, teléfono...).
+const QUOTE_BRANDING = {
+  companyName: process.env.COMPANY_NAME || "",
+  companyDetails: (process.env.COMPANY_DETAILS || "")
+    .split("|")
+    .map((line) => line.trim())
+    .filter(Boolean),
+  logo: null,
+  terms: (process.env.QUOTE_TERMS || "").replace(/\\n/g, "\n"),
+};
+if (process.env.COMPANY_LOGO_PATH) {
+  try {
+    QUOTE_BRANDING.logo = fs.readFileSync(
+      path.resolve(__dirname, process.env.COMPANY_LOGO_PATH)
+    );
+  } catch (err) {
+    console.warn(
+      `No se pudo leer COMPANY_LOGO_PATH (${process.env.COMPANY_LOGO_PATH}): el PDF sale sin logo.`
+    );
+  }
+}
 
-async function getProjectById(id) {
-  const { data, error } = await supabase
-    .from("projects")
-    .select("*")
-    .eq("id", id)
-    .single();
+// Días de validez de una cotización enviada sin fecha de validez.
+const QUOTE_VALIDITY_DAYS = Number(process.env.QUOTE_VALIDITY_DAYS) || 30;
+
+// Caducidad de los enlaces para compartir (por defecto y máxima), en días.
+const SHARE_DEFAULT_DAYS = Number(process.env.SHARE_DEFAULT_DAYS) || 30;
+const SHARE_MAX_DAYS = Number(process.env.SHARE_MAX_DAYS) || 365;
+
+{
+  const { error } = normalizeQuoteSettings({}, QUOTE_DEFAULTS);
   if (error) {
-    return { error };
+    console.error("ERROR: configuración de cotizaciones:", error.message);
+    process.exit(1);
   }
-  return { data };
 }
 
-/* ============================
-   Rutas de proyectos
-============================ */
+const upload = multer({
+  storage,
+  limits: { fileSize: Math.floor(MAX_MODEL_SIZE_MB * 1024 * 1024) },
+});
 
 /**
- * POST /api/projects
- * Crea un proyecto nuevo y sube el modelo 3D a Supabase Storage.
+ * upload.single("model") respondiendo en JSON cuando multer falla
+ * (413 si el archivo supera MAX_MODEL_SIZE_MB).
  */
-app.post("/api/projects", upload.single("model"), async (req, res) => {
-  try {
-    const { projectName, author, date, password, position, rotation } =
-      req.body;
-
-    if (!projectName || !password || !req.file) {
-      if (req.file) fs.unlinkSync(req.file.path);
-      return res.status(400).json({
+function uploadModel(req, res, next) {
+  upload.single("model")(req, res, (err) => {
+    if (!err) return next();
+    discardUpload(req);
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
         ok: false,
-        error: "projectName, password y model son obligatorios.",
+        error: `El modelo supera el tamaño máximo de ${MAX_MODEL_SIZE_MB} MB.`,
       });
     }
+    console.error("Error recibiendo archivo:", err);
+    return res
+      .status(400)
+      .json({ ok: false, error: "No se pudo recibir el archivo." });
+  });
+}
 
-    const folderSlug = slugify(projectName);
-
-    // parse position / rotation
-    let positionObj = { x: 0, y: 0, z: 0 };
-    let rotationObj = { x: 0, y: 0, z: 0 };
-    try {
-      if (position) positionObj = JSON.parse(position);
-    } catch {
-      console.warn("position no es JSON válido, se usa por defecto.");
-    }
-    try {
-      if (rotation) rotationObj = JSON.parse(rotation);
-    } catch {
-      console.warn("rotation no es JSON válido, se usa por defecto.");
-    }
+const SPREADSHEET_MAX_MB = 5;
 
-    // Subir modelo a Supabase Storage
-    const ext = path.extname(req.file.originalname) || "";
-    const modelFileName = "modelo" + ext;
-    const objectPath = `${folderSlug}/${modelFileName}`;
-    const fileBuffer = fs.readFileSync(req.file.path);
-    const contentType =
-      req.file.mimetype || mime.getType(ext) || "application/octet-stream";
+const spreadsheetUpload = multer({
+  storage,
+  limits: { fileSize: SPREADSHEET_MAX_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) =>
+    cb(null, /\.(xlsx|csv)$/i.test(file.originalname)),
+});
 
-    const { error: uploadError } = await supabase.storage
-      .from(SUPABASE_MODELS_BUCKET)
-      .upload(objectPath, fileBuffer, {
-        upsert: true,
-        contentType,
+/**
+ * spreadsheetUpload.single("file") para las importaciones de Excel/CSV
+ * (POST /api/quotes/:id/import y POST /api/catalog/import).
+ */
+function uploadSpreadsheet(req, res, next) {
+  spreadsheetUpload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    discardUpload(req);
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        ok: false,
+        error: `El archivo supera el tamaño máximo de ${SPREADSHEET_MAX_MB} MB.`,
       });
-
-    fs.unlinkSync(req.file.path);
-
-    if (uploadError) {
-      console.error("Error subiendo modelo a Supabase:", uploadError);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Error al subir el modelo." });
     }
+    console.error("Error recibiendo archivo:", err);
+    return res
+      .status(400)
+      .json({ ok: false, error: "No se pudo recibir el archivo." });
+  });
+}
 
-    const passwordHash = hashPassword(password);
+// Subidas por partes (ver "Rutas de subidas por partes")
+const chunkedUploads = createChunkedUploads({
+  dir: path.join(uploadTmpDir, "chunks"),
+  chunkSize: Math.floor(UPLOAD_CHUNK_SIZE_MB * 1024 * 1024),
+  maxSize: Math.floor(MAX_MODEL_SIZE_MB * 1024 * 1024),
+  ttlMs: UPLOAD_TTL_MS,
+});
 
-    const { data: inserted, error: insertError } = await supabase
-      .from("projects")
-      .insert([
-        {
-          id: folderSlug,
-          name: projectName,
-          author: author || "",
-          project_date: date || new Date().toISOString().slice(0, 10),
-          password_hash: passwordHash,
-          position: positionObj,
-          rotation: rotationObj,
-          model_path: objectPath,
-          model_filename: modelFileName,
-          pending_notes: "",
-          parts_meta: {},
-        },
-      ])
-      .select()
-      .single();
+const rawChunk = express.raw({
+  type: () => true,
+  limit: chunkedUploads.chunkSize,
+});
 
-    if (insertError) {
-      console.error("Error insertando proyecto:", insertError);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Error interno al crear el proyecto." });
+/**
+ * Cuerpo binario de una parte (413 en JSON si supera el tamaño de parte).
+ */
+function receiveChunk(req, res, next) {
+  rawChunk(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({
+        ok: false,
+        error: `Cada parte puede tener como máximo ${chunkedUploads.chunkSize} bytes.`,
+      });
     }
-
-    const view = projectRowToView(inserted);
-
-    return res.status(201).json({
-      ok: true,
-      message: "Proyecto creado.",
-      projectId: inserted.id,
-      project: view,
-    });
-  } catch (err) {
-    console.error("Error en POST /api/projects:", err);
+    console.error("Error recibiendo parte:", err);
     return res
-      .status(500)
-      .json({ ok: false, error: "Error interno del servidor." });
-  }
-});
+      .status(400)
+      .json({ ok: false, error: "No se pudo recibir la parte." });
+  });
+}
 
 /**
- * GET /api/projects
- * Lista todos los proyectos.
+ * Borra las subidas por partes abandonadas y los temporales sueltos de
+ * tmp_uploads/ (p. ej. de peticiones cortadas) más antiguos que
+ * UPLOAD_TTL_HOURS.
  */
-app.get("/api/projects", async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("projects")
-      .select("*")
-      .order("created_at", { ascending: false });
-
-    if (error) {
-      console.error("Error listando projects:", error);
-      return res.status(500).json({ ok: false, error: "Error interno." });
+async function cleanupAbandonedUploads() {
+  let removed = await chunkedUploads.cleanup();
+  const limit = Date.now() - UPLOAD_TTL_MS;
+  const entries = await fs.promises.readdir(uploadTmpDir, {
+    withFileTypes: true,
+  });
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const file = path.join(uploadTmpDir, entry.name);
+    const { mtimeMs } = await fs.promises.stat(file);
+    if (mtimeMs < limit) {
+      await fs.promises.rm(file, { force: true });
+      removed++;
     }
-
-    const projects = (data || []).map(projectRowToView);
-    return res.json({ ok: true, projects });
-  } catch (err) {
-    console.error("Error en GET /api/projects:", err);
-    return res.status(500).json({ ok: false, error: "Error interno." });
   }
-});
+  if (removed) {
+    console.log(`Subidas abandonadas eliminadas: ${removed}`);
+  }
+}
+
+function scheduleUploadCleanup() {
+  const run = () =>
+    cleanupAbandonedUploads().catch((err) =>
+      console.error("Error limpiando subidas abandonadas:", err)
+    );
+  run();
+  setInterval(run, Math.min(UPLOAD_TTL_MS, 3600000)).unref();
+}
+
+/* ============================
+   Helpers DB
+============================ */
 
 /**
- * GET /api/projects/:id
+ * Devuelve { data: row | null, error }. data es null si no existe.
  */
-app.get("/api/projects/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { data, error } = await getProjectById(id);
+async function getProjectById(id) {
+  return db.getOne("projects", { id });
+}
 
-    if (error && error.code === "PGRST116") {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
-    }
-    if (error) {
-      console.error("Error obteniendo proyecto:", error);
-      return res.status(500).json({ ok: false, error: "Error interno." });
-    }
+// ids que chocan con rutas bajo /api/projects/
+const RESERVED_PROJECT_IDS = new Set(["availability"]);
+const PROJECT_ID_MAX_SUFFIX = 20;
 
-    const view = projectRowToView(data);
-    return res.json({ ok: true, project: view });
-  } catch (err) {
-    console.error("Error en GET /api/projects/:id:", err);
-    return res.status(500).json({ ok: false, error: "Error interno." });
+function withSlugSuffix(base, suffix) {
+  const tail = `-${suffix}`;
+  return base.substring(0, 40 - tail.length).replace(/-+$/, "") + tail;
+}
+
+/**
+ * Devuelve { data: true } si ningún proyecto usa `id` (ni es reservado).
+ */
+async function isProjectIdAvailable(id) {
+  if (RESERVED_PROJECT_IDS.has(id)) return { data: false };
+  const { data, error } = await getProjectById(id);
+  if (error) return { error };
+  return { data: !data };
+}
+
+/**
+ * id libre para un proyecto nuevo: el slug de `name` o, si ya existe, con
+ * sufijo -2, -3... Tras PROJECT_ID_MAX_SUFFIX intentos el sufijo es
+ * aleatorio. Otro proyecto puede tomarlo antes del insert (ver
+ * isDuplicateKey).
+ */
+async function uniqueProjectId(name) {
+  const base = slugify(name);
+  for (let n = 1; n <= PROJECT_ID_MAX_SUFFIX; n++) {
+    const id = n === 1 ? base : withSlugSuffix(base, n);
+    const { data: available, error } = await isProjectIdAvailable(id);
+    if (error) return { error };
+    if (available) return { data: id };
   }
-});
+  return { data: withSlugSuffix(base, crypto.randomBytes(3).toString("hex")) };
+}
 
 /**
- * PUT /api/projects/:id/transform
- * Actualiza posición y rotación.
+ * id del proyecto a crear: `slug` si viene (tiene que ser un slug válido y
+ * estar libre) o uno libre a partir de `name`. Devuelve { id } o
+ * { status, error }.
  */
-app.put("/api/projects/:id/transform", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { password, position, rotation } = req.body || {};
+async function resolveNewProjectId(slug, name) {
+  if (slug === undefined || slug === null || slug === "") {
+    const { data: id, error } = await uniqueProjectId(name);
+    if (error) throw error;
+    return { id };
+  }
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
-    }
-    if (error) {
-      console.error("Error obteniendo proyecto:", error);
-      return res.status(500).json({ ok: false, error: "Error interno." });
-    }
+  const id = String(slug);
+  if (slugify(id) !== id) {
+    return {
+      status: 400,
+      error:
+        "slug solo admite minúsculas, números y guiones (máximo 40 caracteres).",
+    };
+  }
+  const { data: available, error } = await isProjectIdAvailable(id);
+  if (error) throw error;
+  if (!available) {
+    return { status: 409, error: `El id "${id}" ya está en uso.` };
+  }
+  return { id };
+}
 
-    if (password) {
-      const hash = hashPassword(password);
-      if (hash !== project.password_hash) {
-        return res
-          .status(403)
-          .json({ ok: false, error: "Contraseña incorrecta." });
-      }
-    }
+// Error de clave duplicada al insertar (el mismo código en ambos backends)
+function isDuplicateKey(error) {
+  return Boolean(error && error.code === "23505");
+}
 
-    const newPosition = position || project.position || { x: 0, y: 0, z: 0 };
-    const newRotation = rotation || project.rotation || { x: 0, y: 0, z: 0 };
+/* ============================
+   Revisiones del proyecto (concurrencia optimista)
+============================ */
 
-    const { data: updated, error: updateError } = await supabase
-      .from("projects")
-      .update({
-        position: newPosition,
-        rotation: newRotation,
-      })
-      .eq("id", id)
-      .select()
-      .single();
+// Intentos de updateProject cuando otro cambia el proyecto a la vez
+const PROJECT_WRITE_ATTEMPTS = 5;
 
-    if (updateError) {
-      console.error("Error actualizando transform:", updateError);
-      return res.status(500).json({ ok: false, error: "Error interno." });
-    }
+// Las filas anteriores a las revisiones no tienen `revision`: cuentan como 1
+function projectRevision(row) {
+  return row.revision || 1;
+}
 
-    const view = projectRowToView(updated);
-    return res.json({ ok: true, project: view });
-  } catch (err) {
-    console.error("Error en PUT /api/projects/:id/transform:", err);
-    return res.status(500).json({ ok: false, error: "Error interno." });
+function projectEtag(row) {
+  return `"${projectRevision(row)}"`;
+}
+
+/**
+ * Revisión que el cliente tenía al editar: cabecera If-Match ("3" o
+ * W/"3") o `revision` en el body. null si no la manda (o If-Match: *);
+ * NaN si no es un número.
+ */
+function requestedRevision(req) {
+  const header = req.get("If-Match");
+  if (header && header.trim() !== "*") {
+    return Number(header.replace(/^W\//, "").replace(/"/g, "").trim());
   }
-});
+  const body = req.body || {};
+  if (body.revision !== undefined && body.revision !== null) {
+    return Number(body.revision);
+  }
+  return null;
+}
 
 /**
- * PUT /api/projects/:id/model
- * Reemplaza el modelo 3D en Supabase Storage con NOMBRE ÚNICO
- * para evitar problemas de caché.
+ * Aplica `patch` solo si el proyecto sigue en la revisión de `project` y
+ * sube la revisión. Devuelve { data } con la fila nueva, { conflict: true }
+ * si otro lo cambió entretanto o { error }.
  */
-app.put("/api/projects/:id/model", upload.single("model"), async (req, res) => {
-  try {
-    const { id } = req.params;
+async function updateProjectAt(project, patch) {
+  const { data, error } = await db.update(
+    "projects",
+    { id: project.id, revision: project.revision || null },
+    { ...patch, revision: projectRevision(project) + 1 }
+  );
+  if (error) return { error };
+  if (!data.length) return { conflict: true };
+  return { data: data[0] };
+}
 
-    if (!req.file) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Archivo de modelo requerido." });
-    }
+/**
+ * Actualiza el proyecto sobre su última revisión: si otro lo cambia entre
+ * la lectura y la escritura, se vuelve a leer y se reintenta. `patch`
+ * puede ser una función (fila actual) => patch para los cambios que
+ * dependen de lo guardado, como una clave de parts_meta.
+ */
+async function updateProject(id, patch) {
+  for (let attempt = 0; attempt < PROJECT_WRITE_ATTEMPTS; attempt++) {
+    const { data: current, error } = await getProjectById(id);
+    if (error) return { error };
+    if (!current) return { data: null };
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
-      fs.unlinkSync(req.file.path);
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
-    }
-    if (error) {
-      fs.unlinkSync(req.file.path);
-      console.error("Error obteniendo proyecto:", error);
-      return res.status(500).json({ ok: false, error: "Error interno." });
-    }
+    const result = await updateProjectAt(
+      current,
+      typeof patch === "function" ? patch(current) : patch
+    );
+    if (!result.conflict) return result;
+  }
+  return { error: { message: "El proyecto cambia demasiado a la vez." } };
+}
 
-    // 1) Borrar modelo anterior si existe
-    if (project.model_path) {
-      await supabase.storage
-        .from(SUPABASE_MODELS_BUCKET)
-        .remove([project.model_path]);
-    }
+/**
+ * Escritura de las rutas de edición del visor. Si la petición trae la
+ * revisión que tenía el cliente y el proyecto ya va por otra, no escribe
+ * y devuelve { conflict: true }; sin ella, el cambio se aplica sobre la
+ * última revisión (ver updateProject).
+ */
+async function saveProjectEdit(req, patch) {
+  const expected = requestedRevision(req);
+  if (expected === null) return updateProject(req.project.id, patch);
+  if (expected !== req.projectRevision) return { conflict: true };
+
+  return updateProjectAt(
+    req.project,
+    typeof patch === "function" ? patch(req.project) : patch
+  );
+}
 
-    // 2) Subir nuevo modelo con nombre único para romper caché
-    const ext = path.extname(req.file.originalname) || "";
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e6);
-    const modelFileName = `modelo-${uniqueSuffix}${ext}`;
-    const objectPath = `${id}/${modelFileName}`;
+/**
+ * 409 con el proyecto tal como está ahora, para que el cliente fusione o
+ * avise antes de reintentar.
+ */
+async function sendProjectConflict(res, projectId) {
+  const { data: current, error } = await getProjectById(projectId);
+  if (error) {
+    console.error("Error obteniendo proyecto:", error);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+  if (current) res.set("ETag", projectEtag(current));
+  return res.status(409).json({
+    ok: false,
+    error: "El proyecto ha cambiado desde que lo cargaste.",
+    project: projectRowToView(current),
+  });
+}
 
-    const fileBuffer = fs.readFileSync(req.file.path);
-    const contentType =
-      req.file.mimetype || mime.getType(ext) || "application/octet-stream";
+/* ============================
+   Versiones de modelo
+============================ */
 
-    const { error: uploadError } = await supabase.storage
-      .from(SUPABASE_MODELS_BUCKET)
-      .upload(objectPath, fileBuffer, {
-        upsert: true,
-        contentType,
-      });
+// Versiones que se conservan por proyecto (además de la activa).
+const MODEL_VERSIONS_KEEP = Math.max(
+  1,
+  Number(process.env.MODEL_VERSIONS_KEEP) || 10
+);
 
-    fs.unlinkSync(req.file.path);
+function fileChecksum(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
 
-    if (uploadError) {
-      console.error("Error subiendo modelo:", uploadError);
-      return res
-        .status(500)
-        .json({ ok: false, error: "Error al subir el modelo." });
-    }
+function modelVersionRowToView(row, activeVersion) {
+  return {
+    version: row.version,
+    fileName: row.model_filename,
+    url: fileUrl(row.model_path),
+    originalFileName: row.original_model_filename || row.model_filename,
+    originalUrl: fileUrl(row.original_model_path || row.model_path),
+    thumbnailUrl: row.thumbnail_path ? fileUrl(row.thumbnail_path) : null,
+    size: row.size_bytes === undefined ? null : row.size_bytes,
+    checksum: row.checksum || null,
+    comment: row.comment || "",
+    modelInfo: row.model_info || null,
+    uploadedBy: row.uploaded_by || null,
+    uploader: row.uploader || "",
+    createdAt: row.created_at || null,
+    active: row.version === activeVersion,
+  };
+}
 
-    // 3) Guardar nueva ruta y nombre en la tabla projects
-    const { data: updated, error: updateError } = await supabase
-      .from("projects")
-      .update({
-        model_path: objectPath,
-        model_filename: modelFileName,
-      })
-      .eq("id", id)
-      .select()
-      .single();
+/**
+ * Historial de versiones del modelo, de la más reciente a la más antigua.
+ * Los proyectos anteriores al historial registran su modelo actual como
+ * versión 1 la primera vez que se consulta.
+ */
+async function listModelVersions(project) {
+  const { data, error } = await db.list("model_versions", {
+    match: { project_id: project.id },
+    orderBy: "version",
+    ascending: false,
+  });
+  if (error) return { error };
+  if (data.length || !project.model_path) return { data };
 
-    if (updateError) {
-      console.error("Error guardando ruta de modelo:", updateError);
-      return res.status(500).json({ ok: false, error: "Error interno." });
+  const { data: initial, error: insertError } = await db.insert(
+    "model_versions",
+    {
+      project_id: project.id,
+      version: 1,
+      model_path: project.model_path,
+      model_filename: project.model_filename,
+      original_model_path: project.original_model_path || null,
+      original_model_filename: project.original_model_filename || null,
+      thumbnail_path: project.thumbnail_path || null,
+      size_bytes: null,
+      checksum: null,
+      model_info: project.model_info || null,
+      comment: "",
+      uploaded_by: null,
+      uploader: "",
+    }
+  );
+  if (insertError) return { error: insertError };
+
+  const { data: updated, error: updateError } = await updateProject(
+    project.id,
+    { active_model_version: 1 }
+  );
+  if (updateError) return { error: updateError };
+  project.active_model_version = 1;
+  if (updated) project.revision = updated.revision;
+
+  return { data: [initial] };
+}
+
+/**
+ * Renderiza la miniatura PNG de un modelo y la sube junto a él.
+ * `rotation` es la rotación del proyecto. Devuelve { data: objectPath }.
+ */
+async function createThumbnail(
+  projectId,
+  version,
+  filePath,
+  modelInfo,
+  rotation
+) {
+  const tmpPath = path.join(uploadTmpDir, `thumb-${crypto.randomUUID()}.png`);
+  try {
+    const doc = await loadModelDocument(filePath, modelInfo);
+    const { data: png, error } = renderThumbnail(doc, {
+      rotation,
+      size: THUMBNAIL_SIZE,
+    });
+    if (error) return { error };
+
+    const objectPath = `${projectId}/miniatura-v${version}-${Date.now()}.png`;
+    await fs.promises.writeFile(tmpPath, png);
+    const { error: uploadError } = await files.upload(objectPath, tmpPath, {
+      upsert: false,
+      contentType: "image/png",
+    });
+    if (uploadError) return { error: uploadError };
+    return { data: objectPath };
+  } catch (err) {
+    return { error: err };
+  } finally {
+    fs.promises.unlink(tmpPath).catch(() => {});
+  }
+}
+
+/**
+ * Sube el modelo de la petición (req.file, req.modelInfo y
+ * req.convertedModel) como versión `version`, con su miniatura.
+ * Si se convirtió a GLB, se sube el GLB como modelo y el archivo de multer
+ * como original. Cada versión tiene sus propios objetos (nombre único, sin
+ * upsert), así que nunca pisa versiones anteriores. No borra los temporales.
+ * `namePrefix` se antepone a los nombres de archivo (objetos de escena,
+ * que además van sin miniatura: `thumbnail: false`).
+ */
+async function uploadModelFile(
+  projectId,
+  version,
+  req,
+  rotation,
+  { namePrefix = "", thumbnail = true } = {}
+) {
+  const { file, modelInfo, convertedModel: converted } = req;
+  const stamp = Date.now();
+  const modelFilePath = converted ? converted.path : file.path;
+  // Extensión y content-type salen del formato detectado, no del navegador
+  const ext = FORMATS[modelInfo.format].ext;
+  const modelFileName = `${namePrefix}modelo-v${version}-${stamp}${ext}`;
+  const objectPath = `${projectId}/${modelFileName}`;
+  const { contentType } = modelInfo;
+
+  const [size, checksum] = await Promise.all([
+    fs.promises.stat(modelFilePath).then((st) => st.size),
+    fileChecksum(modelFilePath),
+  ]);
+
+  const { error } = await files.upload(objectPath, modelFilePath, {
+    upsert: false,
+    contentType,
+  });
+  if (error) return { error };
+
+  let originalPath = null;
+  let originalFileName = null;
+  if (converted) {
+    const { source } = modelInfo;
+    originalFileName = `${namePrefix}original-v${version}-${stamp}${
+      FORMATS[source.format].ext
+    }`;
+    originalPath = `${projectId}/${originalFileName}`;
+    const { error: originalError } = await files.upload(
+      originalPath,
+      file.path,
+      { upsert: false, contentType: source.contentType }
+    );
+    if (originalError) {
+      await files.remove([objectPath]);
+      return { error: originalError };
+    }
+  }
+
+  // Sin miniatura la versión se guarda igual
+  const { data: thumbnailPath, error: thumbnailError } = thumbnail
+    ? await createThumbnail(
+        projectId,
+        version,
+        modelFilePath,
+        modelInfo,
+        rotation
+      )
+    : { data: null };
+  if (thumbnailError) {
+    console.error("Error generando miniatura:", thumbnailError);
+  }
+
+  return {
+    data: {
+      objectPath,
+      modelFileName,
+      originalPath,
+      originalFileName,
+      thumbnailPath: thumbnailPath || null,
+      size,
+      checksum,
+      modelInfo,
+    },
+  };
+}
+
+// Objetos de storage de una versión (modelo, original y miniatura).
+function modelObjectPaths(row) {
+  return [row.model_path, row.original_model_path, row.thumbnail_path].filter(
+    Boolean
+  );
+}
+
+/**
+ * Registra en model_versions un archivo ya subido con uploadModelFile.
+ * Si falla el insert, borra el objeto para no dejarlo huérfano.
+ */
+async function insertModelVersion(req, projectId, version, uploaded) {
+  const { data, error } = await db.insert("model_versions", {
+    project_id: projectId,
+    version,
+    model_path: uploaded.objectPath,
+    model_filename: uploaded.modelFileName,
+    original_model_path: uploaded.originalPath,
+    original_model_filename: uploaded.originalFileName,
+    thumbnail_path: uploaded.thumbnailPath,
+    size_bytes: uploaded.size,
+    checksum: uploaded.checksum,
+    model_info: uploaded.modelInfo,
+    comment: ((req.body || {}).comment || "").toString(),
+    uploaded_by: req.user ? req.user.id : null,
+    uploader: req.user ? req.user.email : "",
+  });
+  if (error) {
+    await files.remove(
+      [
+        uploaded.objectPath,
+        uploaded.originalPath,
+        uploaded.thumbnailPath,
+      ].filter(Boolean)
+    );
+  }
+  return { data, error };
+}
+
+/**
+ * Aplica la política de retención: conserva las MODEL_VERSIONS_KEEP
+ * versiones más recientes y siempre la activa; borra el resto.
+ */
+async function pruneModelVersions(projectId, activeVersion) {
+  const { data, error } = await db.list("model_versions", {
+    match: { project_id: projectId },
+    orderBy: "version",
+    ascending: false,
+  });
+  if (error) {
+    console.error("Error listando versiones para podar:", error);
+    return;
+  }
+
+  const stale = data
+    .slice(MODEL_VERSIONS_KEEP)
+    .filter((v) => v.version !== activeVersion);
+  if (!stale.length) return;
+
+  const { error: removeError } = await files.remove(
+    stale.flatMap(modelObjectPaths)
+  );
+  if (removeError) {
+    console.error("Error borrando versiones antiguas:", removeError);
+    return;
+  }
+  for (const v of stale) {
+    await db.remove("model_versions", { id: v.id });
+  }
+}
+
+/**
+ * Devuelve el modelInfo del proyecto. Los modelos subidos antes de la
+ * inspección se descargan y analizan una vez y se guarda el resultado.
+ */
+async function ensureModelInfo(project) {
+  if (project.model_info || !project.model_path) {
+    return { data: project.model_info || null };
+  }
+
+  return withModelFile(project, async (tmpPath) => {
+    const { data: info, error: inspectError } = await inspectModelFile(
+      tmpPath,
+      project.model_path
+    );
+    if (inspectError) {
+      console.warn(
+        `No se pudo analizar el modelo de ${project.id}:`,
+        inspectError.message
+      );
+      return { data: null };
+    }
+
+    const { data: updated, error: updateError } = await updateProject(
+      project.id,
+      { model_info: info }
+    );
+    if (updateError) return { error: updateError };
+    project.model_info = info;
+    if (updated) project.revision = updated.revision;
+    return { data: info };
+  });
+}
+
+// Descarga el modelo activo a un temporal, llama a fn(tmpPath) y lo borra.
+async function withModelFile(project, fn) {
+  const { data: buffer, error } = await files.download(project.model_path);
+  if (error) return { error };
+
+  const tmpPath = path.join(
+    uploadTmpDir,
+    `modelo-${Date.now()}-${path.basename(project.model_path)}`
+  );
+  await fs.promises.writeFile(tmpPath, buffer);
+  try {
+    return await fn(tmpPath);
+  } finally {
+    fs.promises.unlink(tmpPath).catch(() => {});
+  }
+}
+
+/**
+ * Vuelve a renderizar la miniatura del modelo activo con la rotación actual
+ * del proyecto, la guarda en el proyecto y en su versión y borra la
+ * anterior. Devuelve { data: row actualizado }.
+ */
+async function refreshThumbnail(project) {
+  if (!project.model_path) return { data: project };
+
+  const { data: modelInfo, error: infoError } = await ensureModelInfo(project);
+  if (infoError) return { error: infoError };
+  if (!modelInfo) return { error: { message: "Modelo no analizable." } };
+
+  const version = project.active_model_version || 1;
+  const { data: thumbnailPath, error } = await withModelFile(project, (tmp) =>
+    createThumbnail(project.id, version, tmp, modelInfo, project.rotation)
+  );
+  if (error) return { error };
+
+  const { data: updated, error: updateError } = await updateProject(
+    project.id,
+    { thumbnail_path: thumbnailPath }
+  );
+  if (updateError) {
+    await files.remove([thumbnailPath]);
+    return { error: updateError };
+  }
+  await db.update(
+    "model_versions",
+    { project_id: project.id, version },
+    { thumbnail_path: thumbnailPath }
+  );
+
+  if (project.thumbnail_path) {
+    await files.remove([project.thumbnail_path]);
+  }
+  return { data: updated };
+}
+
+/* ============================
+   Helpers de autenticación
+============================ */
+
+const PROJECT_ROLES = ["viewer", "editor", "owner"];
+
+function roleRank(role) {
+  return PROJECT_ROLES.indexOf(role);
+}
+
+function normalizeEmail(email) {
+  return (email || "").toString().trim().toLowerCase();
+}
+
+function userRowToView(row) {
+  if (!row) return null;
+  return { id: row.id, email: row.email, name: row.name || "" };
+}
+
+function issueProjectToken(project) {
+  return tokens.issue({
+    typ: "project",
+    sub: project.id,
+    pwv: tokens.fingerprint(project.password_hash),
+  });
+}
+
+function issueUserToken(user) {
+  return tokens.issue({
+    typ: "user",
+    sub: user.id,
+    pwv: tokens.fingerprint(user.password_hash),
+  });
+}
+
+/**
+ * Lee el token Bearer (si lo hay): deja el payload en req.auth y, si es
+ * de una cuenta, el usuario en req.user. No rechaza la petición; si el
+ * token no vale lo anota en req.authError para que decidan las rutas.
+ */
+async function authenticate(req, res, next) {
+  req.auth = null;
+  req.user = null;
+  req.authError = null;
+
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  const payload = tokens.verify(token);
+  if (!payload) {
+    req.authError = "Token inválido o expirado.";
+    return next();
+  }
+
+  try {
+    if (payload.typ === "user") {
+      const { data: user, error } = await db.getOne("users", {
+        id: payload.sub,
+      });
+      if (error) throw error;
+      if (!user || payload.pwv !== tokens.fingerprint(user.password_hash)) {
+        req.authError = "Token inválido o expirado.";
+        return next();
+      }
+      req.user = user;
+    }
+    req.auth = payload;
+    return next();
+  } catch (err) {
+    console.error("Error autenticando token:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+function requireUser(req, res, next) {
+  if (req.authError) {
+    return res.status(401).json({ ok: false, error: req.authError });
+  }
+  if (!req.user) {
+    return res
+      .status(401)
+      .json({ ok: false, error: "Inicia sesión con tu cuenta." });
+  }
+  return next();
+}
+
+// Contraseña del proyecto: cabecera X-Project-Password o, como antes,
+// `password` en el body
+function projectPassword(req) {
+  return req.get("X-Project-Password") || (req.body && req.body.password);
+}
+
+/**
+ * Calcula el rol de quien llama sobre un proyecto:
+ *  - con cuenta: owner si es el dueño, o su rol en project_members;
+ *  - proyectos sin dueño (anteriores a las cuentas): la contraseña o el
+ *    token de proyecto dan rol owner y cualquiera tiene rol viewer.
+ * Una vez reclamado, la contraseña del proyecto deja de dar acceso.
+ * Devuelve { role } (role puede ser null) o { status, error }.
+ */
+async function resolveProjectRole(req, project) {
+  if (req.authError) {
+    return { status: 401, error: req.authError };
+  }
+
+  let role = null;
+  if (req.user) {
+    if (project.owner_id === req.user.id) return { role: "owner" };
+
+    const { data: member, error } = await db.getOne("project_members", {
+      project_id: project.id,
+      user_id: req.user.id,
+    });
+    if (error) throw error;
+    if (member) role = member.role;
+  }
+
+  if (project.owner_id) return { role };
+
+  if (req.auth && req.auth.typ === "project") {
+    if (
+      req.auth.sub !== project.id ||
+      req.auth.pwv !== tokens.fingerprint(project.password_hash)
+    ) {
+      return { status: 401, error: "Token inválido o expirado." };
+    }
+    return { role: "owner" };
+  }
+
+  const password = projectPassword(req);
+  if (password) {
+    const { ok } = await verifyPassword(password, project.password_hash);
+    if (!ok) {
+      return { status: 403, error: "Contraseña incorrecta." };
+    }
+    return { role: "owner" };
+  }
+
+  return { role: roleRank(role) > roleRank("viewer") ? role : "viewer" };
+}
+
+/* ============================
+   Middlewares de proyecto
+============================ */
+
+// Borra los temporales de la subida (multer y GLB convertido) si la
+// petición se rechaza antes de usarlos o cuando ya se subieron.
+function discardUpload(req) {
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+  if (req.convertedModel) {
+    fs.unlink(req.convertedModel.path, () => {});
+  }
+}
+
+/**
+ * Carga el proyecto de :id en req.project (404 si no existe).
+ */
+async function loadProject(req, res, next) {
+  try {
+    const { data: project, error } = await getProjectById(req.params.id);
+    if (error) {
+      discardUpload(req);
+      console.error("Error obteniendo proyecto:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!project) {
+      discardUpload(req);
+      return res
+        .status(404)
+        .json({ ok: false, error: "Proyecto no encontrado." });
+    }
+
+    req.project = project;
+    // La que se compara con If-Match aunque la ruta toque antes la fila
+    req.projectRevision = projectRevision(project);
+    return next();
+  } catch (err) {
+    discardUpload(req);
+    console.error("Error cargando proyecto:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+/**
+ * Exige al menos `minRole` sobre req.project (debe ir después de
+ * loadProject). Deja el rol efectivo en req.projectRole.
+ */
+function requireProjectRole(minRole) {
+  return async function (req, res, next) {
+    try {
+      const access = await resolveProjectRole(req, req.project);
+      if (access.error) {
+        discardUpload(req);
+        return res
+          .status(access.status)
+          .json({ ok: false, error: access.error });
+      }
+
+      if (roleRank(access.role) >= roleRank(minRole)) {
+        req.projectRole = access.role;
+        return next();
+      }
+
+      discardUpload(req);
+      if (!req.auth && !projectPassword(req)) {
+        return res
+          .status(401)
+          .json({ ok: false, error: "Contraseña o token requeridos." });
+      }
+      return res
+        .status(403)
+        .json({ ok: false, error: "Permisos insuficientes." });
+    } catch (err) {
+      discardUpload(req);
+      console.error("Error verificando credenciales:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  };
+}
+
+/**
+ * Valida el modelo recibido por multer y deja sus datos en req.modelInfo.
+ * Responde 400 si el formato no está soportado o el archivo está corrupto.
+ * Sin archivo no hace nada (cada ruta decide si es obligatorio).
+ */
+async function inspectUploadedModel(req, res, next) {
+  if (!req.file) return next();
+  try {
+    const { data, error } = await inspectModelFile(
+      req.file.path,
+      req.file.originalname
+    );
+    if (error) {
+      discardUpload(req);
+      return res
+        .status(400)
+        .json({ ok: false, error: `Modelo inválido: ${error.message}` });
+    }
+    req.modelInfo = data;
+    return next();
+  } catch (err) {
+    discardUpload(req);
+    console.error("Error inspeccionando modelo:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+/**
+ * Convierte el modelo ya inspeccionado a un GLB optimizado (MODEL_OPTIMIZE)
+ * y deja el temporal en req.convertedModel. req.modelInfo pasa a describir
+ * el GLB, que es lo que carga el visor; el original queda en
+ * modelInfo.source. Un GLB sin optimizaciones se guarda tal cual.
+ */
+async function convertUploadedModel(req, res, next) {
+  if (!req.file) return next();
+  try {
+    const { data: converted, error } = await convertModelToGlb(
+      req.file.path,
+      req.modelInfo,
+      `${req.file.path}.glb`,
+      MODEL_OPTIMIZATIONS
+    );
+    if (error) {
+      discardUpload(req);
+      return res
+        .status(400)
+        .json({ ok: false, error: `Modelo inválido: ${error.message}` });
+    }
+    if (!converted) return next();
+    req.convertedModel = converted;
+
+    const { data: info, error: inspectError } = await inspectModelFile(
+      converted.path,
+      "modelo.glb"
+    );
+    if (inspectError) {
+      discardUpload(req);
+      console.error("GLB convertido inválido:", inspectError.message);
+      return res
+        .status(500)
+        .json({ ok: false, error: "Error al convertir el modelo." });
+    }
+
+    const source = req.modelInfo;
+    req.modelInfo = {
+      ...info,
+      // OBJ/STL no definen unidades y la conversión no escala
+      units: source.units,
+      generator: source.generator,
+      optimizations: converted.optimizations,
+      source: {
+        format: source.format,
+        contentType: source.contentType,
+        size: req.file.size,
+        triangles: source.triangles,
+        vertices: source.vertices,
+      },
+    };
+    return next();
+  } catch (err) {
+    discardUpload(req);
+    console.error("Error convirtiendo modelo:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+const projectReadAccess = [loadProject, requireProjectRole("viewer")];
+// Todas las rutas que modifican un proyecto pasan por aquí.
+const projectWriteAccess = [loadProject, requireProjectRole("editor")];
+const projectOwnerAccess = [loadProject, requireProjectRole("owner")];
+
+/**
+ * Permite mandar el modelo como `uploadId` de una subida por partes ya
+ * completada en lugar de como archivo multipart. Deja el archivo en
+ * req.file igual que multer; la subida se consume.
+ */
+async function useChunkedUpload(req, res, next) {
+  const uploadId = req.body && req.body.uploadId;
+  if (req.file || !uploadId) return next();
+  try {
+    const { data: file, error } = await chunkedUploads.take(
+      String(uploadId),
+      req.user ? req.user.id : null,
+      path.join(uploadTmpDir, `${Date.now()}-${crypto.randomUUID()}`)
+    );
+    if (error) {
+      return res.status(error.status).json({ ok: false, error: error.message });
+    }
+    req.file = file;
+    return next();
+  } catch (err) {
+    console.error("Error usando subida por partes:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+/* ============================
+   Rutas de subidas por partes
+============================ */
+
+// Responde con el error de lib/uploads.js (lleva su status HTTP).
+function sendUploadError(res, error) {
+  const { status, message, ...extra } = error;
+  return res
+    .status(status || 500)
+    .json({ ok: false, error: message, ...extra });
+}
+
+/**
+ * POST /api/uploads
+ * Inicia una subida por partes: { fileName, size, sha256? }.
+ * Devuelve uploadId, chunkSize y totalChunks.
+ */
+app.post("/api/uploads", async (req, res) => {
+  try {
+    const { fileName, size, sha256 } = req.body || {};
+
+    if (fileName && !detectFormat(fileName)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Formato no soportado. Formatos válidos: ${Object.values(FORMATS)
+          .map((f) => f.ext)
+          .join(", ")}.`,
+      });
+    }
+
+    const { data, error } = await chunkedUploads.init({
+      fileName,
+      size: Number(size),
+      sha256,
+      userId: req.user ? req.user.id : null,
+    });
+    if (error) return sendUploadError(res, error);
+
+    return res.status(201).json({ ok: true, upload: data });
+  } catch (err) {
+    console.error("Error en POST /api/uploads:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Estado de la subida; missingChunks indica qué partes reenviar al
+ * reanudar.
+ */
+app.get("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const { data, error } = await chunkedUploads.status(
+      req.params.uploadId,
+      req.user ? req.user.id : null
+    );
+    if (error) return sendUploadError(res, error);
+
+    return res.json({ ok: true, upload: data });
+  } catch (err) {
+    console.error("Error en GET /api/uploads/:uploadId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/uploads/:uploadId/chunks/:index
+ * Cuerpo binario con la parte `index` (desde 0). Cabecera opcional
+ * X-Chunk-Sha256 con el sha256 hex de la parte.
+ */
+app.put(
+  "/api/uploads/:uploadId/chunks/:index",
+  receiveChunk,
+  async (req, res) => {
+    try {
+      const { data, error } = await chunkedUploads.writeChunk(
+        req.params.uploadId,
+        req.user ? req.user.id : null,
+        Number(req.params.index),
+        req.body,
+        req.get("X-Chunk-Sha256")
+      );
+      if (error) return sendUploadError(res, error);
+
+      return res.json({ ok: true, upload: data });
+    } catch (err) {
+      console.error("Error en PUT /api/uploads/:uploadId/chunks/:index:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * POST /api/uploads/:uploadId/complete
+ * Verifica que estén todas las partes (y el sha256 si se indicó). Después
+ * se usa `uploadId` en POST /api/projects o PUT /api/projects/:id/model.
+ */
+app.post("/api/uploads/:uploadId/complete", async (req, res) => {
+  try {
+    const { data, error } = await chunkedUploads.complete(
+      req.params.uploadId,
+      req.user ? req.user.id : null
+    );
+    if (error) return sendUploadError(res, error);
+
+    return res.json({ ok: true, upload: data });
+  } catch (err) {
+    console.error("Error en POST /api/uploads/:uploadId/complete:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Cancela la subida y borra las partes recibidas.
+ */
+app.delete("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const { error } = await chunkedUploads.abort(
+      req.params.uploadId,
+      req.user ? req.user.id : null
+    );
+    if (error) return sendUploadError(res, error);
+
+    return res.json({ ok: true, message: "Subida cancelada." });
+  } catch (err) {
+    console.error("Error en DELETE /api/uploads/:uploadId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/* ============================
+   Rutas de cuentas de usuario
+============================ */
+
+/**
+ * POST /api/auth/register
+ * Crea una cuenta y devuelve su token.
+ */
+app.post("/api/auth/register", async (req, res) => {
+  try {
+    const { password, name } = req.body || {};
+    const email = normalizeEmail((req.body || {}).email);
+
+    if (!email || !password) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "email y password son obligatorios." });
+    }
+
+    const { data: existing, error } = await db.getOne("users", { email });
+    if (error) {
+      console.error("Error buscando usuario:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (existing) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Ya existe una cuenta con ese email." });
+    }
+
+    const { data: user, error: insertError } = await db.insert("users", {
+      email,
+      name: name || "",
+      password_hash: await hashPassword(password),
+    });
+    if (insertError) {
+      console.error("Error creando usuario:", insertError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const { token, expiresAt } = issueUserToken(user);
+    return res.status(201).json({
+      ok: true,
+      user: userRowToView(user),
+      token,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error("Error en POST /api/auth/register:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ */
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    const email = normalizeEmail((req.body || {}).email);
+
+    if (!email || !password) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "email y password son obligatorios." });
+    }
+
+    let { data: user, error } = await db.getOne("users", { email });
+    if (error) {
+      console.error("Error buscando usuario:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const { ok, needsRehash } = await verifyPassword(
+      password,
+      user && user.password_hash
+    );
+    if (!user || !ok) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "Email o contraseña incorrectos." });
+    }
+
+    if (needsRehash) {
+      const { data: upgraded } = await db.update(
+        "users",
+        { id: user.id },
+        { password_hash: await hashPassword(password) }
+      );
+      if (upgraded && upgraded[0]) user = upgraded[0];
+    }
+
+    const { token, expiresAt } = issueUserToken(user);
+    return res.json({ ok: true, user: userRowToView(user), token, expiresAt });
+  } catch (err) {
+    console.error("Error en POST /api/auth/login:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ */
+app.get("/api/auth/me", requireUser, (req, res) => {
+  return res.json({ ok: true, user: userRowToView(req.user) });
+});
+
+/* ============================
+   Rutas de proyectos
+============================ */
+
+/**
+ * Responde al crear un proyecto (nuevo, duplicado o desde plantilla).
+ * Sin dueño devuelve también un token de proyecto.
+ */
+function sendCreatedProject(res, row, message) {
+  const { token, expiresAt } = row.owner_id ? {} : issueProjectToken(row);
+  return res.status(201).json({
+    ok: true,
+    message,
+    projectId: row.id,
+    project: projectRowToView(row),
+    token,
+    expiresAt,
+  });
+}
+
+/**
+ * POST /api/projects
+ * Crea un proyecto nuevo y sube el modelo 3D al storage configurado. Con
+ * templateId (y sin model) lo crea copiando esa plantilla.
+ */
+app.post(
+  "/api/projects",
+  uploadModel,
+  useChunkedUpload,
+  inspectUploadedModel,
+  convertUploadedModel,
+  async (req, res) => {
+    try {
+      const {
+        projectName,
+        slug,
+        author,
+        date,
+        password,
+        position,
+        rotation,
+        templateId,
+      } = req.body;
+
+      if (templateId && !req.file) {
+        return createFromTemplate(req, res);
+      }
+
+      // Con cuenta de usuario el proyecto queda a su nombre y la contraseña
+      // es opcional; sin cuenta sigue siendo obligatoria.
+      if (!projectName || (!password && !req.user) || !req.file) {
+        discardUpload(req);
+        return res.status(400).json({
+          ok: false,
+          error: "projectName, password y model son obligatorios.",
+        });
+      }
+
+      // El id se reserva antes de subir nada: nunca se escribe en la
+      // carpeta de otro proyecto
+      const target = await resolveNewProjectId(slug, projectName);
+      if (target.error) {
+        discardUpload(req);
+        return res
+          .status(target.status)
+          .json({ ok: false, error: target.error });
+      }
+      const projectId = target.id;
+
+      // parse position / rotation
+      let positionObj = { x: 0, y: 0, z: 0 };
+      let rotationObj = { x: 0, y: 0, z: 0 };
+      try {
+        if (position) {
+          positionObj =
+            typeof position === "string" ? JSON.parse(position) : position;
+        }
+      } catch {
+        console.warn("position no es JSON válido, se usa por defecto.");
+      }
+      try {
+        if (rotation) {
+          rotationObj =
+            typeof rotation === "string" ? JSON.parse(rotation) : rotation;
+        }
+      } catch {
+        console.warn("rotation no es JSON válido, se usa por defecto.");
+      }
+
+      // Subir modelo al storage como versión 1
+      const { data: uploaded, error: uploadError } = await uploadModelFile(
+        projectId,
+        1,
+        req,
+        rotationObj
+      );
+
+      discardUpload(req);
+
+      if (uploadError) {
+        console.error("Error subiendo modelo al storage:", uploadError);
+        return res
+          .status(500)
+          .json({ ok: false, error: "Error al subir el modelo." });
+      }
+
+      const passwordHash = password ? await hashPassword(password) : null;
+
+      const { data: inserted, error: insertError } = await db.insert(
+        "projects",
+        {
+          id: projectId,
+          name: projectName,
+          author: author || "",
+          project_date: date || new Date().toISOString().slice(0, 10),
+          password_hash: passwordHash,
+          owner_id: req.user ? req.user.id : null,
+          position: positionObj,
+          rotation: rotationObj,
+          model_path: uploaded.objectPath,
+          model_filename: uploaded.modelFileName,
+          original_model_path: uploaded.originalPath,
+          original_model_filename: uploaded.originalFileName,
+          thumbnail_path: uploaded.thumbnailPath,
+          active_model_version: 1,
+          model_info: req.modelInfo,
+          pending_notes: "",
+          parts_meta: seedPartsMeta({}, extractParts(req.modelInfo)).partsMeta,
+        }
+      );
+
+      if (insertError) {
+        // Sin proyecto los objetos subidos quedarían huérfanos
+        await files.remove(
+          [
+            uploaded.objectPath,
+            uploaded.originalPath,
+            uploaded.thumbnailPath,
+          ].filter(Boolean)
+        );
+        if (isDuplicateKey(insertError)) {
+          return res.status(409).json({
+            ok: false,
+            error: `El id "${projectId}" ya está en uso; inténtalo de nuevo.`,
+          });
+        }
+        console.error("Error insertando proyecto:", insertError);
+        return res
+          .status(500)
+          .json({ ok: false, error: "Error interno al crear el proyecto." });
+      }
+
+      const { error: versionError } = await insertModelVersion(
+        req,
+        inserted.id,
+        1,
+        uploaded
+      );
+      if (versionError) {
+        console.error("Error registrando versión de modelo:", versionError);
+      }
+
+      return sendCreatedProject(res, inserted, "Proyecto creado.");
+    } catch (err) {
+      console.error("Error en POST /api/projects:", err);
+      return res
+        .status(500)
+        .json({ ok: false, error: "Error interno del servidor." });
+    }
+  }
+);
+
+/**
+ * Proyectos que puede ver quien llama (los que aún no tienen dueño más,
+ * con cuenta, los suyos, en los que es miembro y las plantillas) con los
+ * filtros, el orden y la página de `options` (parseProjectListQuery).
+ * Devuelve { data: { entries: [{ row, role }], total, nextCursor } } o
+ * { error }.
+ */
+async function listVisibleProjects(user, options) {
+  const roles = new Map();
+  const visibility = [{ owner_id: null }];
+  if (user) {
+    const { data: memberships, error } = await db.list("project_members", {
+      match: { user_id: user.id },
+    });
+    if (error) return { error };
+    memberships.forEach((m) => roles.set(m.project_id, m.role));
+    visibility.push({ owner_id: user.id }, { is_template: true });
+    if (roles.size) visibility.push({ id: [...roles.keys()] });
+  }
+
+  const { match, or, orderBy, ascending } = projectListQuery(options);
+  const textFilters = hasTextFilters(options);
+  const columns =
+    options.view === "summary"
+      ? [...PROJECT_SUMMARY_COLUMNS, ...(textFilters ? ["pending_notes"] : [])]
+      : undefined;
+  const { data: rows, error } = await db.list("projects", {
+    match,
+    or: [visibility, ...or],
+    columns,
+    orderBy,
+    ascending,
+    // Uno de más para saber si hay otra página; con filtros de texto se
+    // corta después de aplicarlos
+    limit: !textFilters && options.limit ? options.limit + 1 : undefined,
+  });
+  if (error) return { error };
+
+  const matching = textFilters
+    ? rows.filter((row) => matchesTextFilters(row, options))
+    : rows;
+  const { rows: page, nextCursor } = projectListPage(matching, options);
+
+  // total cuenta todos los que cumplen los filtros, no solo los que
+  // quedan desde el cursor
+  let total = matching.length;
+  if (options.cursor || (!textFilters && nextCursor)) {
+    const base = { match, or: [visibility] };
+    const { data, error: totalError } = textFilters
+      ? await db.list("projects", { ...base, columns: TEXT_FILTER_COLUMNS })
+      : await db.count("projects", base);
+    if (totalError) return { error: totalError };
+    total = textFilters
+      ? data.filter((row) => matchesTextFilters(row, options)).length
+      : data;
+  }
+
+  const entries = page.map((row) => ({
+    row,
+    role:
+      user && row.owner_id === user.id ? "owner" : roles.get(row.id) || null,
+  }));
+  return { data: { entries, total, nextCursor } };
+}
+
+/**
+ * Vista de un proyecto del listado con el rol de quien llama. Las
+ * plantillas de otros (con dueño y sin rol) van siempre en resumen y sin
+ * su carpeta ni cliente, porque GET /api/projects/:id no deja abrirlas:
+ * solo sirven para crear proyectos a partir de ellas.
+ */
+function listedProjectView({ row, role }, view) {
+  if (row.owner_id && !role) {
+    return {
+      ...projectRowToSummary(row),
+      folderId: null,
+      customerId: null,
+      role,
+    };
+  }
+  const toView = view === "summary" ? projectRowToSummary : projectRowToView;
+  return { ...toView(row), role };
+}
+
+/**
+ * GET /api/projects
+ * Lista los proyectos visibles para quien llama. Parámetros (ver
+ * lib/projectList.js): q, author, from, to, template=true, tag, folder,
+ * customer, sort (created, name, author, date), order, limit, cursor y
+ * view=summary.
+ */
+app.get("/api/projects", async (req, res) => {
+  try {
+    if (req.authError) {
+      return res.status(401).json({ ok: false, error: req.authError });
+    }
+
+    const { data: options, error: queryError } = parseProjectListQuery(
+      req.query
+    );
+    if (queryError) {
+      return res.status(400).json({ ok: false, error: queryError.message });
+    }
+
+    const { data, error } = await listVisibleProjects(req.user, options);
+
+    if (error) {
+      console.error("Error listando projects:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const { entries, total, nextCursor } = data;
+    const projects = entries.map((entry) =>
+      listedProjectView(entry, options.view)
+    );
+    return res.json({ ok: true, projects, total, nextCursor });
+  } catch (err) {
+    console.error("Error en GET /api/projects:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/projects/availability?name=...&slug=...
+ * Comprueba si el id de un proyecto nuevo está libre: `slug` si viene o el
+ * slug de `name`. suggestedId es el id que se usaría al crearlo sin slug.
+ */
+app.get("/api/projects/availability", async (req, res) => {
+  try {
+    const { name, slug } = req.query;
+    if (!name && !slug) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "name o slug es obligatorio." });
+    }
+
+    const id = slug ? String(slug) : slugify(name);
+    const valid = slugify(id) === id;
+    let available = false;
+    if (valid) {
+      const { data, error } = await isProjectIdAvailable(id);
+      if (error) throw error;
+      available = data;
+    }
+
+    const { data: suggestedId, error } = available
+      ? { data: id }
+      : await uniqueProjectId(name || id);
+    if (error) throw error;
+
+    return res.json({ ok: true, slug: id, valid, available, suggestedId });
+  } catch (err) {
+    console.error("Error en GET /api/projects/availability:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/projects/:id
+ */
+app.get("/api/projects/:id", projectReadAccess, async (req, res) => {
+  try {
+    const view = projectRowToView(req.project);
+    // Con URLs firmadas un 304 devolvería URLs ya caducadas
+    if (!PRIVATE_FILES) res.set("ETag", projectEtag(req.project));
+    return res.json({ ok: true, project: view });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/projects/:id/login
+ * Verifica la contraseña y devuelve un token de sesión (Bearer).
+ * Si el hash guardado es el SHA-256 antiguo, se reemplaza por scrypt.
+ */
+app.post("/api/projects/:id/login", loadProject, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "password es obligatorio." });
+    }
+
+    let { project } = req;
+
+    if (project.owner_id) {
+      return res.status(409).json({
+        ok: false,
+        error:
+          "Este proyecto pertenece a una cuenta: inicia sesión con tu usuario.",
+      });
+    }
+
+    const { ok, needsRehash } = await verifyPassword(
+      password,
+      project.password_hash
+    );
+    if (!ok) {
+      return res
+        .status(403)
+        .json({ ok: false, error: "Contraseña incorrecta." });
+    }
+
+    if (needsRehash) {
+      const { data: upgraded, error: upgradeError } = await updateProject(id, {
+        password_hash: await hashPassword(password),
+      });
+      if (upgradeError) {
+        console.error("Error actualizando hash de contraseña:", upgradeError);
+      } else if (upgraded) {
+        project = upgraded;
+      }
+    }
+
+    const { token, expiresAt } = issueProjectToken(project);
+    return res.json({ ok: true, token, expiresAt });
+  } catch (err) {
+    console.error("Error en POST /api/projects/:id/login:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/password
+ * Cambia la contraseña. Los tokens emitidos antes dejan de ser válidos.
+ */
+app.put("/api/projects/:id/password", projectOwnerAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newPassword } = req.body || {};
+
+    if (!newPassword) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "newPassword es obligatorio." });
+    }
+
+    const { data: updated, error: updateError } = await updateProject(id, {
+      password_hash: await hashPassword(newPassword),
+    });
+
+    if (updateError) {
+      console.error("Error cambiando contraseña:", updateError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const { token, expiresAt } = issueProjectToken(updated);
+    return res.json({
+      ok: true,
+      message: "Contraseña actualizada.",
+      token,
+      expiresAt,
+    });
+  } catch (err) {
+    console.error("Error en PUT /api/projects/:id/password:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/transform
+ * Actualiza posición y rotación. Como todas las rutas de edición del visor,
+ * admite If-Match (o `revision`) y responde 409 si el proyecto cambió.
+ */
+app.put("/api/projects/:id/transform", projectWriteAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { position, rotation } = req.body || {};
+
+    const { project } = req;
+
+    const newPosition = position || project.position || { x: 0, y: 0, z: 0 };
+    const newRotation = rotation || project.rotation || { x: 0, y: 0, z: 0 };
+
+    const {
+      data: updated,
+      conflict,
+      error: updateError,
+    } = await saveProjectEdit(req, {
+      position: newPosition,
+      rotation: newRotation,
+    });
+
+    if (conflict) return sendProjectConflict(res, id);
+    if (updateError) {
+      console.error("Error actualizando transform:", updateError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    // La miniatura encuadra el modelo, así que solo depende de la rotación
+    let current = updated;
+    if (JSON.stringify(newRotation) !== JSON.stringify(project.rotation)) {
+      const { data: refreshed, error: thumbnailError } = await refreshThumbnail(
+        updated
+      );
+      if (thumbnailError) {
+        console.error("Error generando miniatura:", thumbnailError);
+      } else {
+        current = refreshed;
+      }
+    }
+
+    publishProjectChange(req, "transform", current);
+    const view = projectRowToView(current);
+    res.set("ETag", projectEtag(current));
+    return res.json({ ok: true, project: view });
+  } catch (err) {
+    console.error("Error en PUT /api/projects/:id/transform:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/model
+ * Sube un modelo nuevo como siguiente versión y la deja activa.
+ * Las versiones anteriores se conservan (ver MODEL_VERSIONS_KEEP).
+ * Campo opcional `comment` en el form-data.
+ */
+app.put(
+  "/api/projects/:id/model",
+  uploadModel,
+  projectWriteAccess,
+  useChunkedUpload,
+  inspectUploadedModel,
+  convertUploadedModel,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Archivo de modelo requerido." });
+      }
+
+      const { project } = req;
+
+      const { data: versions, error: versionsError } = await listModelVersions(
+        project
+      );
+      if (versionsError) {
+        discardUpload(req);
+        console.error("Error obteniendo versiones:", versionsError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      const nextVersion = versions.length ? versions[0].version + 1 : 1;
+
+      // 1) Subir nuevo modelo con nombre único (rompe caché y no pisa nada)
+      const { data: uploaded, error: uploadError } = await uploadModelFile(
+        id,
+        nextVersion,
+        req,
+        project.rotation
+      );
+
+      discardUpload(req);
+
+      if (uploadError) {
+        console.error("Error subiendo modelo:", uploadError);
+        return res
+          .status(500)
+          .json({ ok: false, error: "Error al subir el modelo." });
+      }
+
+      // 2) Registrar la versión
+      const { data: versionRow, error: versionError } =
+        await insertModelVersion(req, id, nextVersion, uploaded);
+
+      if (versionError) {
+        console.error("Error registrando versión de modelo:", versionError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      // 3) Activarla en la tabla projects, sembrando parts_meta para las
+      // piezas nuevas
+      let partsReport;
+      const {
+        data: updated,
+        conflict,
+        error: updateError,
+      } = await saveProjectEdit(req, (current) => {
+        partsReport = seedPartsMeta(
+          current.parts_meta,
+          extractParts(req.modelInfo)
+        );
+        return {
+          model_path: uploaded.objectPath,
+          model_filename: uploaded.modelFileName,
+          original_model_path: uploaded.originalPath,
+          original_model_filename: uploaded.originalFileName,
+          thumbnail_path: uploaded.thumbnailPath,
+          active_model_version: nextVersion,
+          model_info: req.modelInfo,
+          parts_meta: partsReport.partsMeta,
+        };
+      });
+
+      // La versión queda en el historial; se puede activar después
+      if (conflict) return sendProjectConflict(res, id);
+      if (updateError) {
+        console.error("Error guardando ruta de modelo:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      await pruneModelVersions(id, nextVersion);
+
+      publishProjectChange(req, "model", updated, { version: nextVersion });
+      const view = projectRowToView(updated);
+      res.set("ETag", projectEtag(updated));
+      return res.json({
+        ok: true,
+        message: "Modelo reemplazado.",
+        project: view,
+        version: modelVersionRowToView(versionRow, nextVersion),
+        parts: {
+          added: partsReport.added,
+          orphanedMeta: partsReport.orphaned,
+        },
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/model:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/models
+ * Historial de versiones del modelo.
+ */
+app.get("/api/projects/:id/models", projectReadAccess, async (req, res) => {
+  try {
+    const { project } = req;
+
+    const { data, error } = await listModelVersions(project);
+    if (error) {
+      console.error("Error listando versiones:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({
+      ok: true,
+      activeVersion: project.active_model_version || null,
+      versions: data.map((v) =>
+        modelVersionRowToView(v, project.active_model_version)
+      ),
+    });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/models:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/models/active
+ * Rollback: activa una versión anterior ({ version }).
+ */
+app.put(
+  "/api/projects/:id/models/active",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const version = Number((req.body || {}).version);
+
+      if (!Number.isInteger(version) || version < 1) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "version (entero) es obligatorio." });
+      }
+
+      const { error: versionsError } = await listModelVersions(req.project);
+      if (versionsError) {
+        console.error("Error obteniendo versiones:", versionsError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { data: target, error } = await db.getOne("model_versions", {
+        project_id: id,
+        version,
+      });
+      if (error) {
+        console.error("Error obteniendo versión:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!target) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Versión no encontrada." });
+      }
+
+      let partsReport;
+      const {
+        data: updated,
+        conflict,
+        error: updateError,
+      } = await saveProjectEdit(req, (current) => {
+        partsReport = seedPartsMeta(
+          current.parts_meta,
+          extractParts(target.model_info)
+        );
+        return {
+          model_path: target.model_path,
+          model_filename: target.model_filename,
+          original_model_path: target.original_model_path || null,
+          original_model_filename: target.original_model_filename || null,
+          thumbnail_path: target.thumbnail_path || null,
+          active_model_version: version,
+          model_info: target.model_info || null,
+          parts_meta: partsReport.partsMeta,
+        };
+      });
+
+      if (conflict) return sendProjectConflict(res, id);
+      if (updateError) {
+        console.error("Error activando versión:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      // La miniatura guardada puede ser de otra rotación
+      let current = updated;
+      const { data: refreshed, error: thumbnailError } = await refreshThumbnail(
+        updated
+      );
+      if (thumbnailError) {
+        console.error("Error generando miniatura:", thumbnailError);
+      } else {
+        current = refreshed;
+        target.thumbnail_path = refreshed.thumbnail_path;
+      }
+
+      publishProjectChange(req, "model", current, { version });
+      res.set("ETag", projectEtag(current));
+      return res.json({
+        ok: true,
+        message: `Versión ${version} activada.`,
+        project: projectRowToView(current),
+        version: modelVersionRowToView(target, version),
+        parts: {
+          added: partsReport.added,
+          orphanedMeta: partsReport.orphaned,
+        },
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/models/active:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:id/thumbnail
+ * Regenera la miniatura del modelo activo (p. ej. proyectos anteriores a
+ * las miniaturas).
+ */
+app.post(
+  "/api/projects/:id/thumbnail",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { data: updated, error } = await refreshThumbnail(req.project);
+      if (error) {
+        console.error("Error generando miniatura:", error);
+        return res
+          .status(500)
+          .json({ ok: false, error: "No se pudo generar la miniatura." });
+      }
+
+      return res.json({ ok: true, project: projectRowToView(updated) });
+    } catch (err) {
+      console.error("Error en POST /api/projects/:id/thumbnail:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/parts
+ * Catálogo de piezas del modelo activo y claves de parts_meta que ya no
+ * corresponden a ninguna pieza.
+ */
+app.get("/api/projects/:id/parts", projectReadAccess, async (req, res) => {
+  try {
+    const { project } = req;
+
+    const { data: modelInfo, error } = await ensureModelInfo(project);
+    if (error) {
+      console.error("Error obteniendo datos del modelo:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const parts = extractParts(modelInfo);
+    const partsMeta = project.parts_meta || {};
+    const { orphaned } = seedPartsMeta(partsMeta, parts);
+
+    return res.json({
+      ok: true,
+      modelVersion: project.active_model_version || null,
+      parts: parts.map((part) => ({
+        ...part,
+        meta: partsMeta[part.partId] || null,
+      })),
+      orphanedMeta: orphaned,
+    });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/parts:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/rename
+ */
+app.put("/api/projects/:id/rename", projectWriteAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body || {};
+
+    if (!name) {
+      return res.status(400).json({ ok: false, error: "name es obligatorio." });
+    }
+
+    const {
+      data: updated,
+      conflict,
+      error: updateError,
+    } = await saveProjectEdit(req, { name });
+
+    if (conflict) return sendProjectConflict(res, id);
+    if (updateError) {
+      console.error("Error renombrando proyecto:", updateError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    publishProjectChange(req, "rename", updated);
+    const view = projectRowToView(updated);
+    res.set("ETag", projectEtag(updated));
+    return res.json({
+      ok: true,
+      message: "Proyecto renombrado.",
+      project: view,
+    });
+  } catch (err) {
+    console.error("Error en PUT /api/projects/:id/rename:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/notes
+ */
+app.put("/api/projects/:id/notes", projectWriteAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body || {};
+
+    if (typeof notes !== "string") {
+      return res.status(400).json({
+        ok: false,
+        error: "notes (string) es obligatorio.",
+      });
+    }
+
+    const {
+      data: updated,
+      conflict,
+      error: updateError,
+    } = await saveProjectEdit(req, { pending_notes: notes });
+
+    if (conflict) return sendProjectConflict(res, id);
+    if (updateError) {
+      console.error("Error guardando notas:", updateError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    publishProjectChange(req, "notes", updated);
+    const view = projectRowToView(updated);
+    res.set("ETag", projectEtag(updated));
+    return res.json({
+      ok: true,
+      message: "Notas guardadas.",
+      project: view,
+    });
+  } catch (err) {
+    console.error("Error en PUT /api/projects/:id/notes:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/parts-meta
+ */
+app.put(
+  "/api/projects/:id/parts-meta",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { partId, name, notes, color, materialPreset } = req.body || {};
+
+      if (partId === undefined) {
+        return res.status(400).json({
+          ok: false,
+          error: "partId es obligatorio.",
+        });
+      }
+
+      const key = String(partId);
+
+      // Se fusiona sobre el parts_meta guardado en el momento de escribir,
+      // así dos personas editando piezas distintas no se pisan
+      const {
+        data: updated,
+        conflict,
+        error: updateError,
+      } = await saveProjectEdit(req, (current) => {
+        const currentMeta = { ...(current.parts_meta || {}) };
+        const oldMeta = currentMeta[key] || {};
+
+        currentMeta[key] = {
+          name: name !== undefined ? name : oldMeta.name || "",
+          notes: notes !== undefined ? notes : oldMeta.notes || "",
+          color:
+            color !== undefined
+              ? color
+              : oldMeta.color || DEFAULT_PART_META.color,
+          materialPreset:
+            materialPreset !== undefined
+              ? materialPreset
+              : oldMeta.materialPreset || DEFAULT_PART_META.materialPreset,
+        };
+        return { parts_meta: currentMeta };
+      });
+
+      if (conflict) return sendProjectConflict(res, id);
+      if (updateError) {
+        console.error("Error guardando parts-meta:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      publishProjectChange(req, "parts-meta", updated, { partId: key });
+      const view = projectRowToView(updated);
+      res.set("ETag", projectEtag(updated));
+      return res.json({
+        ok: true,
+        message: "Metadatos de pieza guardados.",
+        project: view,
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/parts-meta:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id
+ */
+app.delete("/api/projects/:id", projectOwnerAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { project } = req;
+
+    // Borrar todas las versiones del modelo en storage
+    const { data: versions, error: versionsError } = await db.list(
+      "model_versions",
+      { match: { project_id: id } }
+    );
+    if (versionsError) {
+      console.error("Error listando versiones:", versionsError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const { data: sceneObjects, error: sceneError } = await db.list(
+      "scene_objects",
+      { match: { project_id: id } }
+    );
+    if (sceneError) {
+      console.error("Error listando objetos de escena:", sceneError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const objectPaths = new Set(
+      [...versions, ...sceneObjects].flatMap(modelObjectPaths)
+    );
+    modelObjectPaths(project).forEach((p) => objectPaths.add(p));
+    if (objectPaths.size) {
+      await files.remove([...objectPaths]);
+    }
+    await db.remove("model_versions", { project_id: id });
+    await db.remove("scene_objects", { project_id: id });
+    for (const table of [
+      "annotation_replies",
+      "annotations",
+      "measurements",
+      "camera_views",
+      "project_shares",
+    ]) {
+      await db.remove(table, { project_id: id });
+    }
+
+    const { error: membersError } = await db.remove("project_members", {
+      project_id: id,
+    });
+    if (membersError) {
+      console.error("Error eliminando miembros:", membersError);
+    }
+
+    await db.remove("quote_revisions", { project_id: id });
+    const { error: quotesError } = await db.remove("quotes", {
+      project_id: id,
+    });
+    if (quotesError) {
+      console.error("Error eliminando cotizaciones:", quotesError);
+    }
+
+    const { error: delError } = await db.remove("projects", { id });
+
+    if (delError) {
+      console.error("Error eliminando proyecto:", delError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    projectChannels.close(id, "deleted", {
+      projectId: id,
+      by: changeAuthor(req),
+    });
+    return res.json({ ok: true, message: "Proyecto eliminado." });
+  } catch (err) {
+    console.error("Error en DELETE /api/projects/:id:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/* ============================
+   Tiempo real: cambios y presencia por proyecto (ver lib/realtime.js)
+============================ */
+
+const projectChannels = createProjectChannels();
+
+// Quién hizo un cambio; su visor lo reconoce por el clientId de `hello`
+function changeAuthor(req) {
+  return {
+    clientId: req.get("X-Client-Id") || null,
+    name: req.user ? req.user.name || req.user.email : "",
+    userId: req.user ? req.user.id : null,
+  };
+}
+
+/**
+ * Avisa a los visores del proyecto de un cambio en su fila (`event`:
+ * transform, parts-meta, notes, rename, model) con el proyecto ya
+ * actualizado y su revisión.
+ */
+function publishProjectChange(req, event, row, extra = {}) {
+  projectChannels.publish(row.id, event, {
+    projectId: row.id,
+    revision: projectRevision(row),
+    by: changeAuthor(req),
+    project: projectRowToView(row),
+    ...extra,
+  });
+}
+
+function publishQuoteChange(req, quote) {
+  projectChannels.publish(quote.project_id, "quote", {
+    projectId: quote.project_id,
+    by: changeAuthor(req),
+    quote: quoteRowToView(quote),
+  });
+}
+
+// EventSource no puede mandar cabeceras: el token llega en ?token=
+function useQueryToken(req, res, next) {
+  if (req.headers.authorization || !req.query.token) return next();
+  req.headers.authorization = `Bearer ${req.query.token}`;
+  return authenticate(req, res, next);
+}
+
+/**
+ * GET /api/projects/:id/events?token=&name=
+ * Stream SSE del proyecto. Eventos: hello ({ clientId }), presence
+ * ({ users }), transform, parts-meta, notes, rename, model, quote y
+ * deleted. `name` es el nombre que ven los demás si no hay cuenta.
+ */
+app.get(
+  "/api/projects/:id/events",
+  useQueryToken,
+  projectReadAccess,
+  (req, res) => {
+    try {
+      const guestName = (req.query.name || "").toString().trim().slice(0, 80);
+      projectChannels.subscribe(req.project.id, res, {
+        name: req.user
+          ? req.user.name || req.user.email
+          : guestName || "Invitado",
+        userId: req.user ? req.user.id : null,
+        role: req.projectRole,
+      });
+    } catch (err) {
+      console.error("Error en GET /api/projects/:id/events:", err);
+      if (!res.headersSent) {
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      return res.end();
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/presence
+ * Quién tiene el proyecto abierto ahora mismo.
+ */
+app.get("/api/projects/:id/presence", projectReadAccess, (req, res) => {
+  return res.json({
+    ok: true,
+    users: projectChannels.presence(req.project.id),
+  });
+});
+
+/* ============================
+   Escena: varios modelos por proyecto (ver lib/scene.js)
+============================ */
+
+async function getSceneObject(projectId, objectId) {
+  if (!UUID_RE.test(objectId)) return { data: null };
+  return db.getOne("scene_objects", { id: objectId, project_id: projectId });
+}
+
+/**
+ * Los objetos de escena van en su propia tabla; cada cambio sube la
+ * revisión del proyecto con saveProjectEdit para pasar por el mismo
+ * If-Match que el resto de ediciones. Devuelve lo mismo que
+ * saveProjectEdit.
+ */
+function claimSceneEdit(req) {
+  return saveProjectEdit(req, {});
+}
+
+/**
+ * Relee la escena y la envía a los visores del proyecto (evento `scene`).
+ * `project` es la fila ya en su revisión nueva. Devuelve { data: scene }
+ * o { error }.
+ */
+async function publishSceneChange(req, project, extra = {}) {
+  const { data: rows, error } = await db.list("scene_objects", {
+    match: { project_id: project.id },
+  });
+  if (error) return { error };
+
+  const scene = buildSceneDocument(project, rows, fileUrl);
+  projectChannels.publish(project.id, "scene", {
+    projectId: project.id,
+    revision: projectRevision(project),
+    by: changeAuthor(req),
+    scene,
+    ...extra,
+  });
+  return { data: scene };
+}
+
+function sendSceneObjectNotFound(res, objectId) {
+  if (objectId === MAIN_OBJECT_ID) {
+    return res.status(400).json({
+      ok: false,
+      error:
+        "El modelo principal se cambia con /transform y /model y no se puede borrar.",
+    });
+  }
+  return res
+    .status(404)
+    .json({ ok: false, error: "Objeto de escena no encontrado." });
+}
+
+/**
+ * GET /api/projects/:id/scene
+ * Documento de escena: modelo principal y objetos con su transformación,
+ * visibilidad, padre y orden.
+ */
+app.get("/api/projects/:id/scene", projectReadAccess, async (req, res) => {
+  try {
+    const { data: rows, error } = await db.list("scene_objects", {
+      match: { project_id: req.project.id },
+    });
+    if (error) {
+      console.error("Error listando objetos de escena:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    res.set("ETag", projectEtag(req.project));
+    return res.json({
+      ok: true,
+      scene: buildSceneDocument(req.project, rows, fileUrl),
+    });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/scene:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/projects/:id/scene/objects
+ * Añade un modelo a la escena (form-data: model o uploadId, y opcionales
+ * name, position, rotation, scale, visible, parentId). Se valida y
+ * convierte igual que el modelo principal; va al final del orden.
+ */
+app.post(
+  "/api/projects/:id/scene/objects",
+  uploadModel,
+  projectWriteAccess,
+  useChunkedUpload,
+  inspectUploadedModel,
+  convertUploadedModel,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      if (!req.file) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "Archivo de modelo requerido." });
+      }
+
+      const { data: objects, error: listError } = await db.list(
+        "scene_objects",
+        { match: { project_id: project.id } }
+      );
+      if (listError) {
+        discardUpload(req);
+        console.error("Error listando objetos de escena:", listError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const body = req.body || {};
+      const { data: fields, error: fieldsError } = normalizeSceneObject(
+        {
+          ...body,
+          name: body.name || path.parse(req.file.originalname || "").name,
+        },
+        objects
+      );
+      if (fieldsError) {
+        discardUpload(req);
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const objectId = crypto.randomUUID();
+      const { data: uploaded, error: uploadError } = await uploadModelFile(
+        project.id,
+        1,
+        req,
+        fields.rotation,
+        { namePrefix: `objetos/${objectId}-`, thumbnail: false }
+      );
+
+      discardUpload(req);
+
+      if (uploadError) {
+        console.error("Error subiendo objeto de escena:", uploadError);
+        return res
+          .status(500)
+          .json({ ok: false, error: "Error al subir el modelo." });
+      }
+
+      const uploadedPaths = [uploaded.objectPath, uploaded.originalPath].filter(
+        Boolean
+      );
+      const {
+        data: updated,
+        conflict,
+        error: revisionError,
+      } = await claimSceneEdit(req);
+      if (conflict || revisionError) await files.remove(uploadedPaths);
+      if (conflict) return sendProjectConflict(res, project.id);
+      if (revisionError) {
+        console.error("Error guardando revisión del proyecto:", revisionError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const lastOrder = Math.max(0, ...objects.map((o) => o.sort_order || 0));
+      const { data: inserted, error: insertError } = await db.insert(
+        "scene_objects",
+        {
+          id: objectId,
+          project_id: project.id,
+          name: fields.name,
+          model_path: uploaded.objectPath,
+          model_filename: path.basename(uploaded.objectPath),
+          original_model_path: uploaded.originalPath,
+          original_model_filename: uploaded.originalPath
+            ? path.basename(uploaded.originalPath)
+            : null,
+          model_info: uploaded.modelInfo,
+          size_bytes: uploaded.size,
+          checksum: uploaded.checksum,
+          position: fields.position,
+          rotation: fields.rotation,
+          scale: fields.scale,
+          visible: fields.visible,
+          parent_id: fields.parentId,
+          sort_order: lastOrder + 1,
+          uploaded_by: req.user ? req.user.id : null,
+          updated_at: new Date().toISOString(),
+        }
+      );
+      if (insertError) {
+        await files.remove(uploadedPaths);
+        console.error("Error guardando objeto de escena:", insertError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { error: publishError } = await publishSceneChange(req, updated, {
+        objectId: inserted.id,
+      });
+      if (publishError) {
+        console.error("Error avisando del cambio de escena:", publishError);
+      }
+
+      res.set("ETag", projectEtag(updated));
+      return res.status(201).json({
+        ok: true,
+        message: "Objeto añadido a la escena.",
+        object: sceneObjectRowToView(inserted, fileUrl),
+      });
+    } catch (err) {
+      console.error("Error en POST /api/projects/:id/scene/objects:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/scene/objects/:objectId
+ * { name, position, rotation, scale, visible, parentId } (todo opcional).
+ */
+app.put(
+  "/api/projects/:id/scene/objects/:objectId",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { objectId } = req.params;
+
+      const { data: current, error } = await getSceneObject(
+        project.id,
+        objectId
+      );
+      if (error) {
+        console.error("Error obteniendo objeto de escena:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) return sendSceneObjectNotFound(res, objectId);
+
+      const { data: objects, error: listError } = await db.list(
+        "scene_objects",
+        { match: { project_id: project.id } }
+      );
+      if (listError) {
+        console.error("Error listando objetos de escena:", listError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { data: fields, error: fieldsError } = normalizeSceneObject(
+        req.body || {},
+        objects,
+        current
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const {
+        data: updated,
+        conflict,
+        error: revisionError,
+      } = await claimSceneEdit(req);
+      if (conflict) return sendProjectConflict(res, project.id);
+      if (revisionError) {
+        console.error("Error guardando revisión del proyecto:", revisionError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { data: saved, error: updateError } = await db.update(
+        "scene_objects",
+        { id: current.id },
+        {
+          name: fields.name,
+          position: fields.position,
+          rotation: fields.rotation,
+          scale: fields.scale,
+          visible: fields.visible,
+          parent_id: fields.parentId,
+          updated_at: new Date().toISOString(),
+        }
+      );
+      if (updateError) {
+        console.error("Error actualizando objeto de escena:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { error: publishError } = await publishSceneChange(req, updated, {
+        objectId: current.id,
+      });
+      if (publishError) {
+        console.error("Error avisando del cambio de escena:", publishError);
+      }
+
+      res.set("ETag", projectEtag(updated));
+      return res.json({
+        ok: true,
+        message: "Objeto actualizado.",
+        object: sceneObjectRowToView(saved[0], fileUrl),
+      });
+    } catch (err) {
+      console.error(
+        "Error en PUT /api/projects/:id/scene/objects/:objectId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/scene/objects/:objectId
+ * Borra el objeto y su archivo; sus hijos pasan a su padre.
+ */
+app.delete(
+  "/api/projects/:id/scene/objects/:objectId",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { objectId } = req.params;
+
+      const { data: current, error } = await getSceneObject(
+        project.id,
+        objectId
+      );
+      if (error) {
+        console.error("Error obteniendo objeto de escena:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) return sendSceneObjectNotFound(res, objectId);
+
+      const {
+        data: updated,
+        conflict,
+        error: revisionError,
+      } = await claimSceneEdit(req);
+      if (conflict) return sendProjectConflict(res, project.id);
+      if (revisionError) {
+        console.error("Error guardando revisión del proyecto:", revisionError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { error: moveError } = await db.update(
+        "scene_objects",
+        { project_id: project.id, parent_id: current.id },
+        { parent_id: current.parent_id || null }
+      );
+      if (moveError) {
+        console.error("Error moviendo hijos del objeto:", moveError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { error: deleteError } = await db.remove("scene_objects", {
+        id: current.id,
+      });
+      if (deleteError) {
+        console.error("Error borrando objeto de escena:", deleteError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      await files.remove(modelObjectPaths(current));
+
+      const { error: publishError } = await publishSceneChange(req, updated, {
+        objectId: current.id,
+      });
+      if (publishError) {
+        console.error("Error avisando del cambio de escena:", publishError);
+      }
+
+      res.set("ETag", projectEtag(updated));
+      return res.json({ ok: true, message: "Objeto eliminado de la escena." });
+    } catch (err) {
+      console.error(
+        "Error en DELETE /api/projects/:id/scene/objects/:objectId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/scene/order
+ * { objectIds: [...] } con todos los objetos (sin "main") en el orden
+ * nuevo.
+ */
+app.put(
+  "/api/projects/:id/scene/order",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { objectIds } = req.body || {};
+
+      const { data: objects, error } = await db.list("scene_objects", {
+        match: { project_id: project.id },
+      });
+      if (error) {
+        console.error("Error listando objetos de escena:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { error: orderError } = checkSceneOrder(objectIds, objects);
+      if (orderError) {
+        return res.status(400).json({ ok: false, error: orderError.message });
+      }
+
+      const {
+        data: updated,
+        conflict,
+        error: revisionError,
+      } = await claimSceneEdit(req);
+      if (conflict) return sendProjectConflict(res, project.id);
+      if (revisionError) {
+        console.error("Error guardando revisión del proyecto:", revisionError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      for (const [i, objectId] of objectIds.entries()) {
+        const { error: updateError } = await db.update(
+          "scene_objects",
+          { id: objectId },
+          { sort_order: i + 1 }
+        );
+        if (updateError) {
+          console.error("Error reordenando escena:", updateError);
+          return res.status(500).json({ ok: false, error: "Error interno." });
+        }
+      }
+
+      const { data: scene, error: reloadError } = await publishSceneChange(
+        req,
+        updated
+      );
+      if (reloadError) {
+        console.error("Error listando objetos de escena:", reloadError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      res.set("ETag", projectEtag(updated));
+      return res.json({ ok: true, message: "Escena reordenada.", scene });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/scene/order:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/* ============================
+   Revisión: anotaciones, medidas y vistas (ver lib/review.js)
+============================ */
+
+function reviewAuthor(req) {
+  if (req.user) {
+    return { author: req.user.name || req.user.email, authorId: req.user.id };
+  }
+  const author = ((req.body && req.body.author) || "").toString().trim();
+  return { author: author.slice(0, 120), authorId: null };
+}
+
+// Una anotación o respuesta la cambia o borra su autor (con cuenta) o
+// alguien con rol de editor
+function canChangeReviewRow(req, row) {
+  if (roleRank(req.projectRole) >= roleRank("editor")) return true;
+  return Boolean(req.user && row.author_id && row.author_id === req.user.id);
+}
+
+function sendNotReviewAuthor(res) {
+  return res.status(403).json({
+    ok: false,
+    error: "Solo su autor o un editor del proyecto pueden cambiarla.",
+  });
+}
+
+function replyRowToView(row) {
+  return {
+    id: row.id,
+    text: row.text,
+    author: row.author || "",
+    authorId: row.author_id || null,
+    createdAt: row.created_at,
+  };
+}
+
+function annotationRowToView(row, replies = []) {
+  return {
+    id: row.id,
+    text: row.text,
+    status: row.status,
+    point: row.point || null,
+    partId: row.part_id || null,
+    objectId: row.object_id || null,
+    author: row.author || "",
+    authorId: row.author_id || null,
+    resolvedAt: row.resolved_at || null,
+    replies: replies.map(replyRowToView),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function measurementRowToView(row) {
+  return {
+    id: row.id,
+    name: row.name || "",
+    from: row.from_point,
+    to: row.to_point,
+    unit: row.unit || "",
+    distance: measurementDistance({ from: row.from_point, to: row.to_point }),
+    author: row.author || "",
+    authorId: row.author_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function cameraViewRowToView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    position: row.position,
+    target: row.target,
+    up: row.up,
+    fov: row.fov,
+    author: row.author || "",
+    authorId: row.author_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+// Fila de `table` que pertenece al proyecto (null si no existe)
+async function getReviewRow(table, projectId, rowId) {
+  if (!UUID_RE.test(rowId)) return { data: null };
+  return db.getOne(table, { id: rowId, project_id: projectId });
+}
+
+function sortByCreation(rows) {
+  return [...rows].sort((a, b) =>
+    String(a.created_at || "").localeCompare(String(b.created_at || ""))
+  );
+}
+
+// objectId de una anotación: "main" o un objeto de la escena
+async function checkAnnotationObject(projectId, objectId) {
+  if (!objectId || objectId === MAIN_OBJECT_ID) return {};
+  const { data, error } = await getReviewRow(
+    "scene_objects",
+    projectId,
+    objectId
+  );
+  if (error) return { error };
+  if (!data)
+    return { status: 400, message: "El objeto no existe en la escena." };
+  return {};
+}
+
+/**
+ * GET /api/projects/:id/annotations?status=open|resolved
+ * Anotaciones del modelo con sus respuestas, de la más antigua a la más
+ * reciente.
+ */
+app.get(
+  "/api/projects/:id/annotations",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { status } = req.query;
+      if (status && !ANNOTATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          ok: false,
+          error: `status debe ser ${ANNOTATION_STATUSES.join(" o ")}.`,
+        });
+      }
+
+      const match = { project_id: project.id };
+      if (status) match.status = status;
+      const { data: rows, error } = await db.list("annotations", { match });
+      if (error) {
+        console.error("Error listando anotaciones:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { data: replies, error: repliesError } = await db.list(
+        "annotation_replies",
+        { match: { project_id: project.id } }
+      );
+      if (repliesError) {
+        console.error("Error listando respuestas:", repliesError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const byAnnotation = new Map();
+      for (const reply of sortByCreation(replies)) {
+        if (!byAnnotation.has(reply.annotation_id)) {
+          byAnnotation.set(reply.annotation_id, []);
+        }
+        byAnnotation.get(reply.annotation_id).push(reply);
+      }
+
+      return res.json({
+        ok: true,
+        annotations: sortByCreation(rows).map((row) =>
+          annotationRowToView(row, byAnnotation.get(row.id))
+        ),
+      });
+    } catch (err) {
+      console.error("Error en GET /api/projects/:id/annotations:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:id/annotations
+ * { text, point, partId, objectId, status, author }. Necesita point (x, y,
+ * z en coordenadas de la escena) o partId; objectId indica el objeto de la
+ * escena ("main" o vacío = modelo principal). Basta con poder ver el
+ * proyecto.
+ */
+app.post(
+  "/api/projects/:id/annotations",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data: fields, error: fieldsError } = normalizeAnnotation(
+        req.body || {}
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const objectCheck = await checkAnnotationObject(
+        project.id,
+        fields.objectId
+      );
+      if (objectCheck.error) {
+        console.error("Error obteniendo objeto de escena:", objectCheck.error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (objectCheck.status) {
+        return res
+          .status(objectCheck.status)
+          .json({ ok: false, error: objectCheck.message });
+      }
+
+      const { author, authorId } = reviewAuthor(req);
+      const now = new Date().toISOString();
+      const { data: inserted, error } = await db.insert("annotations", {
+        id: crypto.randomUUID(),
+        project_id: project.id,
+        text: fields.text,
+        status: fields.status,
+        point: fields.point,
+        part_id: fields.partId,
+        object_id: fields.objectId,
+        author,
+        author_id: authorId,
+        resolved_at: fields.status === "resolved" ? now : null,
+        updated_at: now,
+      });
+      if (error) {
+        console.error("Error guardando anotación:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.status(201).json({
+        ok: true,
+        message: "Anotación creada.",
+        annotation: annotationRowToView(inserted),
+      });
+    } catch (err) {
+      console.error("Error en POST /api/projects/:id/annotations:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/annotations/:annotationId
+ * { text, status, point, partId, objectId } (todo opcional). Con
+ * status "resolved" / "open" se resuelve o se reabre. Solo su autor o un
+ * editor.
+ */
+app.put(
+  "/api/projects/:id/annotations/:annotationId",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data: current, error } = await getReviewRow(
+        "annotations",
+        project.id,
+        req.params.annotationId
+      );
+      if (error) {
+        console.error("Error obteniendo anotación:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Anotación no encontrada." });
+      }
+      if (!canChangeReviewRow(req, current)) return sendNotReviewAuthor(res);
+
+      const { data: fields, error: fieldsError } = normalizeAnnotation(
+        req.body || {},
+        annotationRowToView(current)
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const objectCheck = await checkAnnotationObject(
+        project.id,
+        fields.objectId
+      );
+      if (objectCheck.error) {
+        console.error("Error obteniendo objeto de escena:", objectCheck.error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (objectCheck.status) {
+        return res
+          .status(objectCheck.status)
+          .json({ ok: false, error: objectCheck.message });
+      }
+
+      const now = new Date().toISOString();
+      let resolvedAt = current.resolved_at || null;
+      if (fields.status !== current.status) {
+        resolvedAt = fields.status === "resolved" ? now : null;
+      }
+
+      const { data: saved, error: updateError } = await db.update(
+        "annotations",
+        { id: current.id },
+        {
+          text: fields.text,
+          status: fields.status,
+          point: fields.point,
+          part_id: fields.partId,
+          object_id: fields.objectId,
+          resolved_at: resolvedAt,
+          updated_at: now,
+        }
+      );
+      if (updateError) {
+        console.error("Error actualizando anotación:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { data: replies, error: repliesError } = await db.list(
+        "annotation_replies",
+        { match: { annotation_id: current.id } }
+      );
+      if (repliesError) {
+        console.error("Error listando respuestas:", repliesError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        message: "Anotación actualizada.",
+        annotation: annotationRowToView(saved[0], sortByCreation(replies)),
+      });
+    } catch (err) {
+      console.error(
+        "Error en PUT /api/projects/:id/annotations/:annotationId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/annotations/:annotationId
+ * Borra la anotación y sus respuestas. Solo su autor o un editor.
+ */
+app.delete(
+  "/api/projects/:id/annotations/:annotationId",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data: current, error } = await getReviewRow(
+        "annotations",
+        project.id,
+        req.params.annotationId
+      );
+      if (error) {
+        console.error("Error obteniendo anotación:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Anotación no encontrada." });
+      }
+      if (!canChangeReviewRow(req, current)) return sendNotReviewAuthor(res);
+
+      await db.remove("annotation_replies", { annotation_id: current.id });
+      const { error: deleteError } = await db.remove("annotations", {
+        id: current.id,
+      });
+      if (deleteError) {
+        console.error("Error borrando anotación:", deleteError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({ ok: true, message: "Anotación eliminada." });
+    } catch (err) {
+      console.error(
+        "Error en DELETE /api/projects/:id/annotations/:annotationId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:id/annotations/:annotationId/replies
+ * { text, author }
+ */
+app.post(
+  "/api/projects/:id/annotations/:annotationId/replies",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+
+      const { data: annotation, error } = await getReviewRow(
+        "annotations",
+        project.id,
+        req.params.annotationId
+      );
+      if (error) {
+        console.error("Error obteniendo anotación:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!annotation) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Anotación no encontrada." });
+      }
+
+      const { data: fields, error: fieldsError } = normalizeReply(
+        req.body || {}
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const { author, authorId } = reviewAuthor(req);
+      const { data: inserted, error: insertError } = await db.insert(
+        "annotation_replies",
+        {
+          id: crypto.randomUUID(),
+          project_id: project.id,
+          annotation_id: annotation.id,
+          text: fields.text,
+          author,
+          author_id: authorId,
+        }
+      );
+      if (insertError) {
+        console.error("Error guardando respuesta:", insertError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      await db.update(
+        "annotations",
+        { id: annotation.id },
+        { updated_at: new Date().toISOString() }
+      );
+
+      return res.status(201).json({
+        ok: true,
+        message: "Respuesta añadida.",
+        reply: replyRowToView(inserted),
+      });
+    } catch (err) {
+      console.error(
+        "Error en POST /api/projects/:id/annotations/:annotationId/replies:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/annotations/:annotationId/replies/:replyId
+ * Solo su autor o un editor.
+ */
+app.delete(
+  "/api/projects/:id/annotations/:annotationId/replies/:replyId",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { project } = req;
+      const { annotationId, replyId } = req.params;
+
+      const { data: reply, error } = await getReviewRow(
+        "annotation_replies",
+        project.id,
+        replyId
+      );
+      if (error) {
+        console.error("Error obteniendo respuesta:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!reply || reply.annotation_id !== annotationId) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Respuesta no encontrada." });
+      }
+      if (!canChangeReviewRow(req, reply)) return sendNotReviewAuthor(res);
+
+      const { error: deleteError } = await db.remove("annotation_replies", {
+        id: reply.id,
+      });
+      if (deleteError) {
+        console.error("Error borrando respuesta:", deleteError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({ ok: true, message: "Respuesta eliminada." });
+    } catch (err) {
+      console.error(
+        "Error en DELETE /api/projects/:id/annotations/:annotationId/replies/:replyId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/measurements
+ */
+app.get(
+  "/api/projects/:id/measurements",
+  projectReadAccess,
+  async (req, res) => {
+    try {
+      const { data: rows, error } = await db.list("measurements", {
+        match: { project_id: req.project.id },
+      });
+      if (error) {
+        console.error("Error listando medidas:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        measurements: sortByCreation(rows).map(measurementRowToView),
+      });
+    } catch (err) {
+      console.error("Error en GET /api/projects/:id/measurements:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * POST /api/projects/:id/measurements
+ * { name, from, to, unit, author }. La distancia se calcula al leerla.
+ */
+app.post(
+  "/api/projects/:id/measurements",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { data: fields, error: fieldsError } = normalizeMeasurement(
+        req.body || {}
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const { author, authorId } = reviewAuthor(req);
+      const { data: inserted, error } = await db.insert("measurements", {
+        id: crypto.randomUUID(),
+        project_id: req.project.id,
+        name: fields.name,
+        from_point: fields.from,
+        to_point: fields.to,
+        unit: fields.unit,
+        author,
+        author_id: authorId,
+        updated_at: new Date().toISOString(),
+      });
+      if (error) {
+        console.error("Error guardando medida:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.status(201).json({
+        ok: true,
+        message: "Medida guardada.",
+        measurement: measurementRowToView(inserted),
+      });
+    } catch (err) {
+      console.error("Error en POST /api/projects/:id/measurements:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * PUT /api/projects/:id/measurements/:measurementId
+ * { name, from, to, unit } (todo opcional).
+ */
+app.put(
+  "/api/projects/:id/measurements/:measurementId",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getReviewRow(
+        "measurements",
+        req.project.id,
+        req.params.measurementId
+      );
+      if (error) {
+        console.error("Error obteniendo medida:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Medida no encontrada." });
+      }
+
+      const { data: fields, error: fieldsError } = normalizeMeasurement(
+        req.body || {},
+        measurementRowToView(current)
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const { data: saved, error: updateError } = await db.update(
+        "measurements",
+        { id: current.id },
+        {
+          name: fields.name,
+          from_point: fields.from,
+          to_point: fields.to,
+          unit: fields.unit,
+          updated_at: new Date().toISOString(),
+        }
+      );
+      if (updateError) {
+        console.error("Error actualizando medida:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        message: "Medida actualizada.",
+        measurement: measurementRowToView(saved[0]),
+      });
+    } catch (err) {
+      console.error(
+        "Error en PUT /api/projects/:id/measurements/:measurementId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/measurements/:measurementId
+ */
+app.delete(
+  "/api/projects/:id/measurements/:measurementId",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getReviewRow(
+        "measurements",
+        req.project.id,
+        req.params.measurementId
+      );
+      if (error) {
+        console.error("Error obteniendo medida:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Medida no encontrada." });
+      }
+
+      const { error: deleteError } = await db.remove("measurements", {
+        id: current.id,
+      });
+      if (deleteError) {
+        console.error("Error borrando medida:", deleteError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({ ok: true, message: "Medida eliminada." });
+    } catch (err) {
+      console.error(
+        "Error en DELETE /api/projects/:id/measurements/:measurementId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/views
+ * Vistas de cámara guardadas, por nombre.
+ */
+app.get("/api/projects/:id/views", projectReadAccess, async (req, res) => {
+  try {
+    const { data: rows, error } = await db.list("camera_views", {
+      match: { project_id: req.project.id },
+      orderBy: "name",
+    });
+    if (error) {
+      console.error("Error listando vistas:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({ ok: true, views: rows.map(cameraViewRowToView) });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/views:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/projects/:id/views
+ * { name, position, target, up, fov, author }. target por defecto es el
+ * origen, up el eje Y y fov 50 grados.
+ */
+app.post("/api/projects/:id/views", projectWriteAccess, async (req, res) => {
+  try {
+    const { data: fields, error: fieldsError } = normalizeCameraView(
+      req.body || {}
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
+    }
+
+    const { author, authorId } = reviewAuthor(req);
+    const { data: inserted, error } = await db.insert("camera_views", {
+      id: crypto.randomUUID(),
+      project_id: req.project.id,
+      name: fields.name,
+      position: fields.position,
+      target: fields.target,
+      up: fields.up,
+      fov: fields.fov,
+      author,
+      author_id: authorId,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) {
+      console.error("Error guardando vista:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.status(201).json({
+      ok: true,
+      message: "Vista guardada.",
+      view: cameraViewRowToView(inserted),
+    });
+  } catch (err) {
+    console.error("Error en POST /api/projects/:id/views:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/views/:viewId
+ * { name, position, target, up, fov } (todo opcional).
+ */
+app.put(
+  "/api/projects/:id/views/:viewId",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getReviewRow(
+        "camera_views",
+        req.project.id,
+        req.params.viewId
+      );
+      if (error) {
+        console.error("Error obteniendo vista:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Vista no encontrada." });
+      }
+
+      const { data: fields, error: fieldsError } = normalizeCameraView(
+        req.body || {},
+        cameraViewRowToView(current)
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const { data: saved, error: updateError } = await db.update(
+        "camera_views",
+        { id: current.id },
+        {
+          name: fields.name,
+          position: fields.position,
+          target: fields.target,
+          up: fields.up,
+          fov: fields.fov,
+          updated_at: new Date().toISOString(),
+        }
+      );
+      if (updateError) {
+        console.error("Error actualizando vista:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        message: "Vista actualizada.",
+        view: cameraViewRowToView(saved[0]),
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/views/:viewId:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/views/:viewId
+ */
+app.delete(
+  "/api/projects/:id/views/:viewId",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getReviewRow(
+        "camera_views",
+        req.project.id,
+        req.params.viewId
+      );
+      if (error) {
+        console.error("Error obteniendo vista:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Vista no encontrada." });
+      }
+
+      const { error: deleteError } = await db.remove("camera_views", {
+        id: current.id,
+      });
+      if (deleteError) {
+        console.error("Error borrando vista:", deleteError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({ ok: true, message: "Vista eliminada." });
+    } catch (err) {
+      console.error("Error en DELETE /api/projects/:id/views/:viewId:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/* ============================
+   Archivos privados: URLs firmadas
+============================ */
+
+/**
+ * Entrega un archivo de storage. Si el backend da URL firmada (Supabase)
+ * redirige a ella; el local lo sirve el propio servidor desde su carpeta.
+ * Devuelve { error } si no se pudo (sin haber respondido).
+ */
+async function sendStoredFile(res, objectPath) {
+  const { data: signedUrl, error } = await files.getSignedUrl(
+    objectPath,
+    SIGNED_URL_TTL_SECONDS
+  );
+  if (error) return { error };
+  if (signedUrl) {
+    res.redirect(302, signedUrl);
+    return {};
+  }
+
+  return new Promise((resolve) => {
+    res.sendFile(
+      objectPath,
+      {
+        root: files.rootDir,
+        headers: {
+          "Cache-Control": `private, max-age=${SIGNED_URL_TTL_SECONDS}`,
+        },
+      },
+      (err) => resolve(err && !res.headersSent ? { error: err } : {})
+    );
+  });
+}
+
+/**
+ * GET /api/files/:token/:name
+ * URL de archivo que dan las vistas con PRIVATE_FILES=true. El token
+ * (firmado, caduca a los SIGNED_URL_TTL_SECONDS) dice qué archivo es;
+ * `name` solo está para que la URL acabe en el nombre del archivo.
+ */
+app.get("/api/files/:token/:name?", async (req, res) => {
+  try {
+    const payload = fileTokens.verify(req.params.token);
+    if (!payload || payload.typ !== "file") {
+      return res.status(403).json({
+        ok: false,
+        error: "El enlace del archivo no es válido o ha caducado.",
+      });
+    }
+
+    const { error } = await sendStoredFile(res, payload.sub);
+    if (error) {
+      if (error.code === "ENOENT" || error.status === 404) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Archivo no encontrado." });
+      }
+      console.error("Error sirviendo archivo:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  } catch (err) {
+    console.error("Error en GET /api/files/:token:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+});
+
+/* ============================
+   Enlaces para compartir (ver lib/shares.js)
+============================ */
+
+const SHARE_TOKEN_RE = /^[A-Za-z0-9_-]{32}$/;
+
+// Contadores de acceso de cada enlace
+const SHARE_COUNTERS = {
+  view: "view_count",
+  model: "model_downloads",
+  comment: "comment_count",
+  denied: "denied_count",
+};
+
+function shareRowToView(row) {
+  return {
+    id: row.id,
+    token: row.token,
+    url: apiUrl(`/api/share/${row.token}`),
+    label: row.label || "",
+    permissions: row.permissions || [],
+    quoteId: row.quote_id || null,
+    hasPassword: Boolean(row.password_hash),
+    status: shareStatus(row),
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at || null,
+    stats: {
+      views: row.view_count || 0,
+      modelDownloads: row.model_downloads || 0,
+      comments: row.comment_count || 0,
+      denied: row.denied_count || 0,
+      lastAccessAt: row.last_accessed_at || null,
+    },
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Suma 1 al contador con una escritura condicional sobre el valor leído,
+ * como las revisiones del proyecto: si otro acceso lo cambió entretanto,
+ * se relee y se reintenta, así no se pierden accesos simultáneos.
+ */
+async function countShareAccess(share, counter) {
+  const column = SHARE_COUNTERS[counter];
+  let current = share;
+  for (let attempt = 0; attempt < PROJECT_WRITE_ATTEMPTS; attempt++) {
+    const count = current[column] || 0;
+    const patch = { [column]: count + 1 };
+    if (counter !== "denied") patch.last_accessed_at = new Date().toISOString();
+
+    const { data, error } = await db.update(
+      "project_shares",
+      { id: share.id, [column]: count },
+      patch
+    );
+    if (error) {
+      console.error("Error contando acceso al enlace:", error);
+      return;
+    }
+    if (data.length) return;
+
+    const { data: reloaded, error: reloadError } = await db.getOne(
+      "project_shares",
+      { id: share.id }
+    );
+    if (reloadError) {
+      console.error("Error contando acceso al enlace:", reloadError);
+      return;
+    }
+    if (!reloaded) return;
+    current = reloaded;
+  }
+  console.error("No se pudo contar el acceso al enlace:", share.id);
+}
+
+function sharePermission(permission) {
+  return function (req, res, next) {
+    if ((req.share.permissions || []).includes(permission)) return next();
+    return res
+      .status(403)
+      .json({ ok: false, error: "El enlace no permite esta acción." });
+  };
+}
+
+/**
+ * Carga el enlace de :token y su proyecto en req.share y req.project. 404
+ * si no existe, 410 si caducó o se revocó y 401 si tiene contraseña y no
+ * llega bien en la cabecera X-Share-Password.
+ */
+async function loadShare(req, res, next) {
+  try {
+    const { token } = req.params;
+    if (!SHARE_TOKEN_RE.test(token)) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Enlace no encontrado." });
+    }
+
+    const { data: share, error } = await db.getOne("project_shares", {
+      token,
+    });
+    if (error) {
+      console.error("Error obteniendo enlace:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!share) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Enlace no encontrado." });
+    }
+
+    const status = shareStatus(share);
+    if (status !== "active") {
+      return res.status(410).json({
+        ok: false,
+        error:
+          status === "revoked"
+            ? "El enlace se ha revocado."
+            : "El enlace ha caducado.",
+      });
+    }
+
+    if (share.password_hash) {
+      const password = req.get("X-Share-Password");
+      if (!password) {
+        return res.status(401).json({
+          ok: false,
+          error: "El enlace necesita contraseña.",
+          passwordRequired: true,
+        });
+      }
+      const { ok } = await verifyPassword(password, share.password_hash);
+      if (!ok) {
+        await countShareAccess(share, "denied");
+        return res.status(403).json({
+          ok: false,
+          error: "Contraseña incorrecta.",
+          passwordRequired: true,
+        });
+      }
+    }
+
+    const { data: project, error: projectError } = await getProjectById(
+      share.project_id
+    );
+    if (projectError) {
+      console.error("Error obteniendo proyecto:", projectError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!project) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Enlace no encontrado." });
+    }
+
+    req.share = share;
+    req.project = project;
+    return next();
+  } catch (err) {
+    console.error("Error cargando enlace:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+/**
+ * Proyecto en modo lectura para un enlace: sin notas internas, cliente,
+ * etiquetas ni carpetas. Lo que sale del modelo (miniatura, archivo,
+ * transformación, piezas) solo va con el permiso "model", y los archivos
+ * se sirven a través del enlace, así dejan de estar accesibles al
+ * revocarlo.
+ */
+function sharedProjectView(project, share) {
+  const view = {
+    id: project.id,
+    name: project.name,
+    author: project.author || "",
+    date: project.project_date || "",
+  };
+  if (!(share.permissions || []).includes("model")) return view;
+
+  const base = apiUrl(`/api/share/${share.token}`);
+  return {
+    ...view,
+    position: project.position || { x: 0, y: 0, z: 0 },
+    rotation: project.rotation || { x: 0, y: 0, z: 0 },
+    thumbnailUrl: project.thumbnail_path ? `${base}/thumbnail` : null,
+    modelFile: project.model_filename || null,
+    modelUrl: project.model_path ? `${base}/model` : null,
+    modelInfo: project.model_info || null,
+    partsMeta: project.parts_meta || {},
+  };
+}
+
+/**
+ * POST /api/projects/:id/shares
+ * Crea un enlace: { label, permissions (model, quote, comment),
+ * expiresAt o expiresInDays, sharePassword, quoteId }. Solo el dueño.
+ * `password` sigue siendo la del proyecto (proyectos sin cuenta).
+ */
+app.post("/api/projects/:id/shares", projectOwnerAccess, async (req, res) => {
+  try {
+    const { project } = req;
+    const body = req.body || {};
+
+    const { data: fields, error: fieldsError } = normalizeShare(
+      { ...body, password: body.sharePassword },
+      { defaultDays: SHARE_DEFAULT_DAYS, maxDays: SHARE_MAX_DAYS }
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
+    }
+
+    let quoteId = null;
+    if (fields.permissions.includes("quote")) {
+      const { data: quote, error } = body.quoteId
+        ? UUID_RE.test(body.quoteId)
+          ? await db.getOne("quotes", {
+              id: body.quoteId,
+              project_id: project.id,
+            })
+          : { data: null }
+        : await getDefaultQuote(project.id);
+      if (error) {
+        console.error("Error obteniendo cotización:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!quote) {
+        return res.status(400).json({
+          ok: false,
+          error: "El proyecto no tiene esa cotización para compartir.",
+        });
+      }
+      quoteId = quote.id;
+    }
+
+    const { data: inserted, error } = await db.insert("project_shares", {
+      id: crypto.randomUUID(),
+      project_id: project.id,
+      token: createShareToken(),
+      label: fields.label,
+      permissions: fields.permissions,
+      quote_id: quoteId,
+      password_hash: fields.password
+        ? await hashPassword(fields.password)
+        : null,
+      expires_at: fields.expiresAt,
+      revoked_at: null,
+      view_count: 0,
+      model_downloads: 0,
+      comment_count: 0,
+      denied_count: 0,
+      last_accessed_at: null,
+      created_by: req.user ? req.user.id : null,
+    });
+    if (error) {
+      console.error("Error creando enlace:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.status(201).json({
+      ok: true,
+      message: "Enlace creado.",
+      share: shareRowToView(inserted),
+    });
+  } catch (err) {
+    console.error("Error en POST /api/projects/:id/shares:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/projects/:id/shares
+ * Enlaces del proyecto (también los caducados y revocados) con sus
+ * estadísticas de acceso.
+ */
+app.get("/api/projects/:id/shares", projectOwnerAccess, async (req, res) => {
+  try {
+    const { data: rows, error } = await db.list("project_shares", {
+      match: { project_id: req.project.id },
+      orderBy: "created_at",
+      ascending: false,
+    });
+    if (error) {
+      console.error("Error listando enlaces:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({ ok: true, shares: rows.map(shareRowToView) });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/shares:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/shares/:shareId
+ * Revoca el enlace al momento. Se conserva con sus estadísticas.
+ */
+app.delete(
+  "/api/projects/:id/shares/:shareId",
+  projectOwnerAccess,
+  async (req, res) => {
+    try {
+      const { shareId } = req.params;
+      const { data: share, error } = UUID_RE.test(shareId)
+        ? await db.getOne("project_shares", {
+            id: shareId,
+            project_id: req.project.id,
+          })
+        : { data: null };
+      if (error) {
+        console.error("Error obteniendo enlace:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!share) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Enlace no encontrado." });
+      }
+
+      const { data: saved, error: updateError } = await db.update(
+        "project_shares",
+        { id: share.id },
+        { revoked_at: share.revoked_at || new Date().toISOString() }
+      );
+      if (updateError) {
+        console.error("Error revocando enlace:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        message: "Enlace revocado.",
+        share: shareRowToView(saved[0]),
+      });
+    } catch (err) {
+      console.error("Error en DELETE /api/projects/:id/shares/:shareId:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/share/:token
+ * Vista de solo lectura del proyecto para un enlace (contraseña del
+ * enlace, si la tiene, en X-Share-Password). Según los permisos incluye
+ * la cotización compartida y las anotaciones.
+ */
+app.get("/api/share/:token", loadShare, async (req, res) => {
+  try {
+    const { share, project } = req;
+    const permissions = share.permissions || [];
+
+    let quote = null;
+    if (permissions.includes("quote") && share.quote_id) {
+      const { data, error } = await db.getOne("quotes", {
+        id: share.quote_id,
+        project_id: project.id,
+      });
+      if (error) {
+        console.error("Error obteniendo cotización:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (data) {
+        const view = quoteRowToView(await expireQuote(data));
+        delete view.customerId;
+        quote = view;
+      }
+    }
+
+    let annotations = null;
+    if (permissions.includes("comment")) {
+      const { data: rows, error } = await db.list("annotations", {
+        match: { project_id: project.id },
+      });
+      if (error) {
+        console.error("Error listando anotaciones:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      annotations = sortByCreation(rows).map((row) => annotationRowToView(row));
+    }
+
+    await countShareAccess(share, "view");
+
+    return res.json({
+      ok: true,
+      share: {
+        label: share.label || "",
+        permissions,
+        expiresAt: share.expires_at,
+      },
+      project: sharedProjectView(project, share),
+      quote,
+      annotations,
+    });
+  } catch (err) {
+    console.error("Error en GET /api/share/:token:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/share/:token/model
+ * Archivo del modelo activo (para el visor embebido).
+ */
+app.get(
+  "/api/share/:token/model",
+  loadShare,
+  sharePermission("model"),
+  async (req, res) => {
+    try {
+      const { share, project } = req;
+      if (!project.model_path) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "El proyecto no tiene modelo." });
+      }
+
+      await countShareAccess(share, "model");
+
+      const { error } = await sendStoredFile(res, project.model_path);
+      if (error) {
+        console.error("Error sirviendo modelo:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+    } catch (err) {
+      console.error("Error en GET /api/share/:token/model:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/share/:token/thumbnail
+ * Miniatura del modelo activo.
+ */
+app.get(
+  "/api/share/:token/thumbnail",
+  loadShare,
+  sharePermission("model"),
+  async (req, res) => {
+    try {
+      const { project } = req;
+      if (!project.thumbnail_path) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "El proyecto no tiene miniatura." });
+      }
+
+      const { error } = await sendStoredFile(res, project.thumbnail_path);
+      if (error) {
+        console.error("Error sirviendo miniatura:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+    } catch (err) {
+      console.error("Error en GET /api/share/:token/thumbnail:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * POST /api/share/:token/annotations
+ * Comentario desde un enlace con permiso "comment": { text, point,
+ * partId, objectId, author }. Siempre se crea abierto.
+ */
+app.post(
+  "/api/share/:token/annotations",
+  loadShare,
+  sharePermission("comment"),
+  async (req, res) => {
+    try {
+      const { share, project } = req;
+
+      const { data: fields, error: fieldsError } = normalizeAnnotation({
+        ...(req.body || {}),
+        status: "open",
+      });
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const objectCheck = await checkAnnotationObject(
+        project.id,
+        fields.objectId
+      );
+      if (objectCheck.error) {
+        console.error("Error obteniendo objeto de escena:", objectCheck.error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (objectCheck.status) {
+        return res
+          .status(objectCheck.status)
+          .json({ ok: false, error: objectCheck.message });
+      }
+
+      const { author, authorId } = reviewAuthor(req);
+      const { data: inserted, error } = await db.insert("annotations", {
+        id: crypto.randomUUID(),
+        project_id: project.id,
+        text: fields.text,
+        status: "open",
+        point: fields.point,
+        part_id: fields.partId,
+        object_id: fields.objectId,
+        author: author || "Invitado",
+        author_id: authorId,
+        share_id: share.id,
+        resolved_at: null,
+        updated_at: new Date().toISOString(),
+      });
+      if (error) {
+        console.error("Error guardando anotación:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      await countShareAccess(share, "comment");
+
+      return res.status(201).json({
+        ok: true,
+        message: "Comentario añadido.",
+        annotation: annotationRowToView(inserted),
+      });
+    } catch (err) {
+      console.error("Error en POST /api/share/:token/annotations:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/* ============================
+   Duplicar proyectos y plantillas
+============================ */
+
+/**
+ * Puede copiar el proyecto quien lo edita. Una plantilla la puede usar
+ * cualquiera con cuenta o, si no tiene dueño, cualquiera, pero sus
+ * cotizaciones solo se copian a quien puede verlas (rol viewer; en las
+ * plantillas sin dueño, todos).
+ * Devuelve { ok, withQuotes } o { status, error }.
+ */
+async function canCopyProject(req, project) {
+  const access = await resolveProjectRole(req, project);
+  const role = access.error ? null : access.role;
+  if (project.is_template && (!project.owner_id || req.user)) {
+    return {
+      ok: true,
+      withQuotes: !project.owner_id || roleRank(role) >= roleRank("viewer"),
+    };
+  }
+  if (access.error) return access;
+  if (roleRank(role) >= roleRank("editor")) {
+    return { ok: true, withQuotes: true };
+  }
+  return { status: 403, error: "Permisos insuficientes." };
+}
+
+/**
+ * Crea un proyecto copiando de `source` el modelo activo (como versión 1,
+ * con original y miniatura), los objetos de escena, transformación,
+ * parts_meta, notas y, si `withQuotes`, sus cotizaciones (en borrador, con
+ * su contenido actual como revisión 1). `id` es el del proyecto nuevo (ver
+ * resolveNewProjectId).
+ * El dueño es quien llama o, sin cuenta, `password`.
+ * Devuelve { data: projectRow } o { error }.
+ */
+async function duplicateProject(req, source, fields) {
+  const { id, projectName, author, date, password, withQuotes = true } = fields;
+
+  // Copiar los objetos del modelo activo con nombres de versión 1
+  const stamp = Date.now();
+  const copies = {};
+  const copied = [];
+  for (const [column, prefix] of [
+    ["model_path", "modelo"],
+    ["original_model_path", "original"],
+    ["thumbnail_path", "miniatura"],
+  ]) {
+    if (!source[column]) continue;
+    const fileName = `${prefix}-v1-${stamp}${path.extname(source[column])}`;
+    const objectPath = `${id}/${fileName}`;
+    const { error } = await files.copy(source[column], objectPath);
+    if (error) {
+      await files.remove(copied);
+      return { error };
+    }
+    copied.push(objectPath);
+    copies[column] = { objectPath, fileName };
+  }
+
+  const passwordHash = password ? await hashPassword(password) : null;
+  const model = copies.model_path;
+  const original = copies.original_model_path;
+
+  const { data: inserted, error: insertError } = await db.insert("projects", {
+    id,
+    name: projectName,
+    author: author === undefined ? source.author || "" : author,
+    project_date: date || new Date().toISOString().slice(0, 10),
+    password_hash: passwordHash,
+    owner_id: req.user ? req.user.id : null,
+    position: source.position || { x: 0, y: 0, z: 0 },
+    rotation: source.rotation || { x: 0, y: 0, z: 0 },
+    model_path: model ? model.objectPath : null,
+    model_filename: model ? model.fileName : null,
+    original_model_path: original ? original.objectPath : null,
+    original_model_filename: original ? original.fileName : null,
+    thumbnail_path: copies.thumbnail_path
+      ? copies.thumbnail_path.objectPath
+      : null,
+    active_model_version: model ? 1 : null,
+    model_info: source.model_info || null,
+    pending_notes: source.pending_notes || "",
+    parts_meta: source.parts_meta || {},
+    tags: source.tags || [],
+    folder_id: source.folder_id || null,
+    customer_id: source.customer_id || null,
+    is_template: false,
+    source_project_id: source.id,
+  });
+  if (insertError) {
+    await files.remove(copied);
+    return { error: insertError };
+  }
+
+  if (model) {
+    const { data: sourceVersion } = await db.getOne("model_versions", {
+      project_id: source.id,
+      version: source.active_model_version || 1,
+    });
+    const { error: versionError } = await db.insert("model_versions", {
+      project_id: id,
+      version: 1,
+      model_path: model.objectPath,
+      model_filename: model.fileName,
+      original_model_path: original ? original.objectPath : null,
+      original_model_filename: original ? original.fileName : null,
+      thumbnail_path: inserted.thumbnail_path,
+      size_bytes: sourceVersion ? sourceVersion.size_bytes : null,
+      checksum: sourceVersion ? sourceVersion.checksum : null,
+      model_info: source.model_info || null,
+      comment: `Copia de ${source.name || source.id}.`,
+      uploaded_by: req.user ? req.user.id : null,
+      uploader: req.user ? req.user.email : "",
+    });
+    if (versionError) {
+      console.error("Error registrando versión de modelo:", versionError);
+    }
+  }
+
+  // Objetos de escena, con los padres traducidos a los ids nuevos
+  const { data: sceneObjects, error: sceneError } = await db.list(
+    "scene_objects",
+    { match: { project_id: source.id } }
+  );
+  if (sceneError) {
+    console.error("Error leyendo objetos de escena a copiar:", sceneError);
+  }
+  const newObjectIds = new Map(
+    (sceneObjects || []).map((o) => [o.id, crypto.randomUUID()])
+  );
+  for (const object of sceneObjects || []) {
+    const objectId = newObjectIds.get(object.id);
+    const paths = {};
+    for (const column of ["model_path", "original_model_path"]) {
+      if (!object[column]) continue;
+      const fileName = path
+        .basename(object[column])
+        .replace(object.id, objectId);
+      paths[column] = `${id}/objetos/${fileName}`;
+      const { error } = await files.copy(object[column], paths[column]);
+      if (error) console.error("Error copiando objeto de escena:", error);
+    }
+
+    const { error } = await db.insert("scene_objects", {
+      id: objectId,
+      project_id: id,
+      name: object.name,
+      model_path: paths.model_path || null,
+      model_filename: paths.model_path ? path.basename(paths.model_path) : null,
+      original_model_path: paths.original_model_path || null,
+      original_model_filename: paths.original_model_path
+        ? path.basename(paths.original_model_path)
+        : null,
+      model_info: object.model_info || null,
+      size_bytes: object.size_bytes || null,
+      checksum: object.checksum || null,
+      position: object.position,
+      rotation: object.rotation,
+      scale: object.scale,
+      visible: object.visible !== false,
+      parent_id: newObjectIds.get(object.parent_id) || object.parent_id || null,
+      sort_order: object.sort_order || 0,
+      uploaded_by: req.user ? req.user.id : null,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) console.error("Error copiando objeto de escena:", error);
+  }
+
+  if (withQuotes) {
+    const { data: quotes, error: quotesError } = await db.list("quotes", {
+      match: { project_id: source.id },
+      orderBy: "created_at",
+    });
+    if (quotesError) {
+      console.error("Error leyendo cotizaciones a copiar:", quotesError);
+    }
+    for (const quote of quotes || []) {
+      const view = quoteRowToView(quote);
+      const { error } = await createQuote(req, id, {
+        name: view.name,
+        notes: view.notes,
+        customerId: view.customerId,
+        items: view.items,
+        settings: view.settings,
+        comment: `Copia de "${view.name}" de ${source.name || source.id}.`,
+      });
+      if (error) console.error("Error copiando cotización:", error);
+    }
+  }
+
+  return { data: inserted };
+}
+
+/**
+ * Parte de POST /api/projects con templateId: copia la plantilla (modelo,
+ * parts_meta, notas y, si quien llama puede verlas, cotizaciones) en un
+ * proyecto nuevo.
+ */
+async function createFromTemplate(req, res) {
+  const { projectName, slug, author, date, password, templateId } = req.body;
+  if (!projectName || (!password && !req.user)) {
+    return res.status(400).json({
+      ok: false,
+      error: "projectName y password son obligatorios.",
+    });
+  }
+
+  const { data: template, error } = await getProjectById(templateId);
+  if (error) {
+    console.error("Error leyendo plantilla:", error);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+  if (!template || !template.is_template) {
+    return res
+      .status(404)
+      .json({ ok: false, error: "Plantilla no encontrada." });
+  }
+
+  const access = await canCopyProject(req, template);
+  if (access.error) {
+    return res.status(access.status).json({ ok: false, error: access.error });
+  }
+
+  const target = await resolveNewProjectId(slug, projectName);
+  if (target.error) {
+    return res.status(target.status).json({ ok: false, error: target.error });
+  }
+
+  const { data: created, error: createError } = await duplicateProject(
+    req,
+    template,
+    {
+      id: target.id,
+      projectName,
+      author: author || "",
+      date,
+      password,
+      withQuotes: access.withQuotes,
+    }
+  );
+  if (isDuplicateKey(createError)) {
+    return res.status(409).json({
+      ok: false,
+      error: `El id "${target.id}" ya está en uso; inténtalo de nuevo.`,
+    });
+  }
+  if (createError) {
+    console.error("Error creando proyecto desde plantilla:", createError);
+    return res
+      .status(500)
+      .json({ ok: false, error: "Error interno al crear el proyecto." });
+  }
+
+  return sendCreatedProject(res, created, "Proyecto creado desde plantilla.");
+}
+
+/**
+ * POST /api/projects/:id/duplicate
+ * Copia el proyecto: { projectName, slug, newPassword, author, date,
+ * quotes }.
+ * newPassword (la de la copia) es obligatoria sin cuenta; quotes: false no
+ * copia las cotizaciones. Requiere rol editor en el original (password o
+ * token como en el resto de rutas), salvo que sea una plantilla.
+ */
+app.post("/api/projects/:id/duplicate", loadProject, async (req, res) => {
+  try {
+    const { project } = req;
+    const { projectName, slug, newPassword, author, date, quotes } =
+      req.body || {};
+
+    const access = await canCopyProject(req, project);
+    if (access.error) {
+      return res.status(access.status).json({ ok: false, error: access.error });
+    }
+    if (!newPassword && !req.user) {
+      return res.status(400).json({
+        ok: false,
+        error: "newPassword es obligatoria sin cuenta de usuario.",
+      });
+    }
+
+    const name = projectName || `${project.name} (copia)`;
+    const target = await resolveNewProjectId(slug, name);
+    if (target.error) {
+      return res.status(target.status).json({ ok: false, error: target.error });
+    }
+
+    const { data: created, error } = await duplicateProject(req, project, {
+      id: target.id,
+      projectName: name,
+      author,
+      date,
+      password: newPassword,
+      withQuotes: quotes !== false && access.withQuotes,
+    });
+    if (isDuplicateKey(error)) {
+      return res.status(409).json({
+        ok: false,
+        error: `El id "${target.id}" ya está en uso; inténtalo de nuevo.`,
+      });
+    }
+    if (error) {
+      console.error("Error duplicando proyecto:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return sendCreatedProject(res, created, "Proyecto duplicado.");
+  } catch (err) {
+    console.error("Error en POST /api/projects/:id/duplicate:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/template
+ * Marca o desmarca el proyecto como plantilla ({ template: true|false }).
+ * Las plantillas se listan a cualquiera con cuenta y sirven para crear
+ * proyectos (POST /api/projects con templateId).
+ */
+app.put("/api/projects/:id/template", projectOwnerAccess, async (req, res) => {
+  try {
+    const { template } = req.body || {};
+    if (typeof template !== "boolean") {
+      return res
+        .status(400)
+        .json({ ok: false, error: "template (boolean) es obligatorio." });
+    }
+
+    const { data, error } = await updateProject(req.project.id, {
+      is_template: template,
+    });
+    if (error) {
+      console.error("Error actualizando plantilla:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({
+      ok: true,
+      message: template
+        ? "El proyecto ahora es una plantilla."
+        : "El proyecto ya no es una plantilla.",
+      project: projectRowToView(data),
+    });
+  } catch (err) {
+    console.error("Error en PUT /api/projects/:id/template:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/* ============================
+   Dueño y miembros del proyecto
+============================ */
+
+function memberRowToView(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    userId: row.user_id || null,
+    role: row.role,
+    pending: !row.user_id,
+  };
+}
+
+function isInvitableRole(role) {
+  return role === "editor" || role === "viewer";
+}
+
+// Días que vale el enlace de una invitación
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 14;
+
+// Solo se guarda el hash: el token lo ve una vez el dueño al invitar
+function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * POST /api/projects/:id/claim
+ * El usuario autenticado se convierte en dueño de un proyecto sin dueño
+ * presentando su contraseña (o token de proyecto). Desde ese momento la
+ * contraseña del proyecto deja de dar acceso.
+ */
+app.post(
+  "/api/projects/:id/claim",
+  requireUser,
+  projectOwnerAccess,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (req.project.owner_id) {
+        return res
+          .status(409)
+          .json({ ok: false, error: "El proyecto ya tiene dueño." });
+      }
+
+      const { data: updated, error: updateError } = await updateProject(id, {
+        owner_id: req.user.id,
+      });
+
+      if (updateError) {
+        console.error("Error reclamando proyecto:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        message: "Proyecto reclamado.",
+        project: projectRowToView(updated),
+      });
+    } catch (err) {
+      console.error("Error en POST /api/projects/:id/claim:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/projects/:id/members
+ */
+app.get("/api/projects/:id/members", projectOwnerAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await db.list("project_members", {
+      match: { project_id: id },
+      orderBy: "created_at",
+    });
+
+    if (error) {
+      console.error("Error listando miembros:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({
+      ok: true,
+      ownerId: req.project.owner_id || null,
+      members: data.map(memberRowToView),
+    });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/members:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/projects/:id/members
+ * Invita a alguien por email con rol editor o viewer. La invitación queda
+ * pendiente hasta que se acepta con el token que devuelve (el dueño se lo
+ * hace llegar): tener una cuenta con ese email no basta, porque nadie ha
+ * comprobado que sea suya. A un miembro que ya aceptó solo se le cambia el
+ * rol.
+ */
+app.post("/api/projects/:id/members", projectOwnerAccess, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+    const email = normalizeEmail((req.body || {}).email);
+
+    if (!email || !isInvitableRole(role)) {
+      return res.status(400).json({
+        ok: false,
+        error: "email y role (editor o viewer) son obligatorios.",
+      });
+    }
+
+    if (!req.project.owner_id) {
+      return res.status(409).json({
+        ok: false,
+        error: "Reclama el proyecto con una cuenta antes de invitar usuarios.",
+      });
+    }
+    if (req.user && normalizeEmail(req.user.email) === email) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "El dueño ya tiene acceso total." });
+    }
+
+    const { data: existing, error } = await db.getOne("project_members", {
+      project_id: id,
+      email,
+    });
+    if (error) {
+      console.error("Error buscando miembro:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    if (existing && existing.user_id) {
+      const { data, error: updateError } = await db.update(
+        "project_members",
+        { id: existing.id },
+        { role }
+      );
+      if (updateError) {
+        console.error("Error actualizando miembro:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      return res.json({
+        ok: true,
+        message: "El usuario ya es miembro: rol actualizado.",
+        member: memberRowToView(data[0]),
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = new Date(
+      Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const { data: member, error: upsertError } = await db.upsert(
+      "project_members",
+      {
+        project_id: id,
+        email,
+        user_id: null,
+        role,
+        invited_by: req.user ? req.user.id : null,
+        invite_token_hash: hashInviteToken(inviteToken),
+        invite_expires_at: expiresAt,
+      },
+      { onConflict: "project_id,email" }
+    );
+
+    if (upsertError) {
+      console.error("Error invitando miembro:", upsertError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.status(201).json({
+      ok: true,
+      message: "Invitación creada.",
+      member: memberRowToView(member),
+      invite: {
+        token: inviteToken,
+        acceptUrl: `/api/invites/${inviteToken}/accept`,
+        expiresAt,
+      },
+    });
+  } catch (err) {
+    console.error("Error en POST /api/projects/:id/members:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/invites/:token/accept
+ * Con sesión de cuenta, acepta una invitación: el usuario pasa a ser
+ * miembro del proyecto con el rol invitado. El token deja de valer.
+ */
+app.post("/api/invites/:token/accept", requireUser, async (req, res) => {
+  try {
+    const { data: invite, error } = await db.getOne("project_members", {
+      invite_token_hash: hashInviteToken(req.params.token),
+      user_id: null,
+    });
+    if (error) {
+      console.error("Error buscando invitación:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!invite) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Invitación no encontrada." });
+    }
+    if (new Date(invite.invite_expires_at) <= new Date()) {
+      return res
+        .status(410)
+        .json({ ok: false, error: "La invitación ha caducado." });
+    }
+
+    const { data: project, error: projectError } = await getProjectById(
+      invite.project_id
+    );
+    if (projectError) {
+      console.error("Error obteniendo proyecto:", projectError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!project) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Invitación no encontrada." });
+    }
+    if (project.owner_id === req.user.id) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "El dueño ya tiene acceso total." });
+    }
+
+    const { data: current, error: currentError } = await db.getOne(
+      "project_members",
+      { project_id: project.id, user_id: req.user.id }
+    );
+    if (currentError) {
+      console.error("Error buscando miembro:", currentError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (current) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "Ya eres miembro de este proyecto." });
+    }
+
+    const { data, error: updateError } = await db.update(
+      "project_members",
+      { id: invite.id, user_id: null },
+      { user_id: req.user.id, invite_token_hash: null, invite_expires_at: null }
+    );
+    if (updateError) {
+      console.error("Error aceptando invitación:", updateError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!data.length) {
+      return res
+        .status(409)
+        .json({ ok: false, error: "La invitación ya se ha aceptado." });
+    }
+
+    return res.json({
+      ok: true,
+      message: "Invitación aceptada.",
+      projectId: project.id,
+      member: memberRowToView(data[0]),
+    });
+  } catch (err) {
+    console.error("Error en POST /api/invites/:token/accept:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+function sendMemberNotFound(res) {
+  return res.status(404).json({ ok: false, error: "Miembro no encontrado." });
+}
+
+/**
+ * PUT /api/projects/:id/members/:memberId
+ */
+app.put(
+  "/api/projects/:id/members/:memberId",
+  projectOwnerAccess,
+  async (req, res) => {
+    try {
+      const { id, memberId } = req.params;
+      const { role } = req.body || {};
+
+      if (!UUID_RE.test(memberId)) return sendMemberNotFound(res);
+      if (!isInvitableRole(role)) {
+        return res.status(400).json({
+          ok: false,
+          error: "role debe ser editor o viewer.",
+        });
+      }
+
+      const { data, error } = await db.update(
+        "project_members",
+        { id: memberId, project_id: id },
+        { role }
+      );
+
+      if (error) {
+        console.error("Error actualizando miembro:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!data.length) return sendMemberNotFound(res);
+
+      return res.json({ ok: true, member: memberRowToView(data[0]) });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/members/:memberId:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/projects/:id/members/:memberId
+ */
+app.delete(
+  "/api/projects/:id/members/:memberId",
+  projectOwnerAccess,
+  async (req, res) => {
+    try {
+      const { id, memberId } = req.params;
+      if (!UUID_RE.test(memberId)) return sendMemberNotFound(res);
+
+      const { error } = await db.remove("project_members", {
+        id: memberId,
+        project_id: id,
+      });
+
+      if (error) {
+        console.error("Error eliminando miembro:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({ ok: true, message: "Miembro eliminado." });
+    } catch (err) {
+      console.error(
+        "Error en DELETE /api/projects/:id/members/:memberId:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/* ============================
+   CATÁLOGO DE PRECIOS: /api/catalog
+   (compartido entre proyectos; lo lee cualquier cuenta y lo cambian
+   los administradores de CATALOG_ADMINS)
+============================ */
+
+// Emails de las cuentas que pueden cambiar el catálogo, separados por comas
+const CATALOG_ADMINS = new Set(
+  (process.env.CATALOG_ADMINS || "")
+    .split(",")
+    .map(normalizeEmail)
+    .filter(Boolean)
+);
+
+/**
+ * Exige que el usuario (debe ir después de requireUser) esté en
+ * CATALOG_ADMINS.
+ */
+function requireCatalogAdmin(req, res, next) {
+  if (CATALOG_ADMINS.has(normalizeEmail(req.user.email))) return next();
+  return res.status(403).json({
+    ok: false,
+    error: "Solo los administradores del catálogo pueden cambiarlo.",
+  });
+}
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function catalogRowToView(row) {
+  return {
+    id: row.id,
+    sku: row.sku,
+    description: row.description,
+    unit: row.unit || "",
+    price: Number(row.price) || 0,
+    category: row.category || "",
+    supplierUrl: row.supplier_url || "",
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function catalogFieldsToRow(fields, req) {
+  return {
+    sku: fields.sku,
+    description: fields.description,
+    unit: fields.unit,
+    price: fields.price,
+    category: fields.category,
+    supplier_url: fields.supplierUrl,
+    updated_by: req.user ? req.user.id : null,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+async function getCatalogItem(catalogId) {
+  if (!UUID_RE.test(catalogId)) return { data: null };
+  return db.getOne("catalog_items", { id: catalogId });
+}
+
+/**
+ * Normaliza las partidas recibidas tomando del catálogo el precio de las
+ * que lo referencian por primera vez (ver applyCatalogPrices).
+ * Devuelve { data: items } o { status, error }.
+ */
+async function resolveQuoteItems(items) {
+  const ids = [
+    ...new Set(
+      items
+        .filter((it) => it && it.catalogId)
+        .map((it) => String(it.catalogId))
+        .filter((id) => UUID_RE.test(id))
+    ),
+  ];
+
+  let catalog = new Map();
+  if (ids.length) {
+    const { data, error } = await db.list("catalog_items", {
+      match: { id: ids },
+    });
+    if (error) return { status: 500, error };
+    catalog = new Map(
+      data.map((row) => [
+        row.id,
+        { description: row.description, price: Number(row.price) },
+      ])
+    );
+  }
+
+  const { data, error } = applyCatalogPrices(items, catalog);
+  if (error) return { status: 400, error };
+  return { data };
+}
+
+/**
+ * Cotizaciones con partidas de estos artículos cuyo precio guardado ya no
+ * coincide con el del catálogo, solo de proyectos a los que quien llama
+ * tiene acceso. Recorre todas las cotizaciones (el catálogo y las
+ * cotizaciones son pequeños). Devuelve
+ * { data: [{ catalogId, sku, price, quotes: [...] }] }.
+ */
+async function catalogAffectedQuotes(req, catalogRows) {
+  const { data: quotes, error } = await db.list("quotes", {
+    orderBy: "created_at",
+  });
+  if (error) return { error };
+
+  const visible = new Map();
+  async function visibleProject(projectId) {
+    if (!visible.has(projectId)) {
+      const { data: project, error: projectError } = await getProjectById(
+        projectId
+      );
+      if (projectError) throw projectError;
+      const access = project ? await resolveProjectRole(req, project) : {};
+      visible.set(projectId, access.role ? project : null);
+    }
+    return visible.get(projectId);
+  }
+
+  const result = [];
+  for (const row of catalogRows) {
+    const price = Number(row.price);
+    const affected = [];
+    for (const { quote, items } of findOutdatedQuoteItems(
+      quotes,
+      row.id,
+      price
+    )) {
+      const project = await visibleProject(quote.project_id);
+      if (!project) continue;
+      affected.push({
+        projectId: quote.project_id,
+        projectName: project.name,
+        quoteId: quote.id,
+        quoteName: quote.name || "Cotización",
+        status: effectiveStatus(quote.status, quote.valid_until),
+        items: items.map((it) => ({
+          ...it,
+          currentPrice: price,
+        })),
+      });
+    }
+    result.push({ catalogId: row.id, sku: row.sku, price, quotes: affected });
+  }
+  return { data: result };
+}
+
+/**
+ * GET /api/catalog?q=&category=
+ * Artículos del catálogo ordenados por SKU. `q` busca en SKU y
+ * descripción.
+ */
+app.get("/api/catalog", requireUser, async (req, res) => {
+  try {
+    const q = (req.query.q || "").toString().trim().toLowerCase();
+    const category = (req.query.category || "").toString().trim();
+
+    const { data, error } = await db.list("catalog_items", {
+      match: category ? { category } : undefined,
+      orderBy: "sku",
+    });
+    if (error) {
+      console.error("Error listando catálogo:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const items = data
+      .filter(
+        (row) =>
+          !q ||
+          row.sku.toLowerCase().includes(q) ||
+          (row.description || "").toLowerCase().includes(q)
+      )
+      .map(catalogRowToView);
+    return res.json({ ok: true, items });
+  } catch (err) {
+    console.error("Error en GET /api/catalog:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/catalog
+ * Crea un artículo: { sku, description, unit, price, category,
+ * supplierUrl }.
+ */
+app.post("/api/catalog", requireUser, requireCatalogAdmin, async (req, res) => {
+  try {
+    const { data: fields, error: fieldsError } = normalizeCatalogItem(
+      req.body || {}
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
+    }
+
+    const { data: existing, error: skuError } = await db.getOne(
+      "catalog_items",
+      { sku: fields.sku }
+    );
+    if (skuError) {
+      console.error("Error comprobando SKU:", skuError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (existing) {
+      return res.status(409).json({
+        ok: false,
+        error: `Ya existe un artículo con SKU ${fields.sku}.`,
+      });
+    }
+
+    const { data, error } = await db.insert(
+      "catalog_items",
+      catalogFieldsToRow(fields, req)
+    );
+    if (error) {
+      console.error("Error creando artículo:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.status(201).json({
+      ok: true,
+      message: "Artículo creado.",
+      item: catalogRowToView(data),
+    });
+  } catch (err) {
+    console.error("Error en POST /api/catalog:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/catalog/import
+ * Alta/actualización masiva por SKU desde un .xlsx o .csv (campo `file`)
+ * con columnas SKU, Descripción, Unidad, Precio, Categoría y Link
+ * proveedor. Si alguna fila es inválida responde 400 con `rows` y no cambia
+ * nada. `mode`: "upsert" (por defecto) o "preview". Devuelve los cambios de
+ * precio con las cotizaciones afectadas.
+ */
+app.post(
+  "/api/catalog/import",
+  requireUser,
+  requireCatalogAdmin,
+  uploadSpreadsheet,
+  async (req, res) => {
+    try {
+      const mode = (req.body || {}).mode || "upsert";
+
+      if (!req.file) {
+        return res.status(400).json({
+          ok: false,
+          error: "file (.xlsx o .csv) es obligatorio.",
+        });
+      }
+      if (!["preview", "upsert"].includes(mode)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'mode debe ser "preview" o "upsert".',
+        });
+      }
+
+      const buffer = await fs.promises.readFile(req.file.path);
+      const { data: items, error } = parseCatalogWorkbook(
+        buffer,
+        req.file.originalname
+      );
+      if (error) {
+        return res
+          .status(400)
+          .json({ ok: false, error: error.message, rows: error.rows });
+      }
+      if (mode === "preview") {
+        return res.json({ ok: true, items });
+      }
+
+      const { data: existingRows, error: listError } = await db.list(
+        "catalog_items",
+        { match: { sku: items.map((it) => it.sku) } }
+      );
+      if (listError) {
+        console.error("Error leyendo catálogo:", listError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      const bySku = new Map(existingRows.map((row) => [row.sku, row]));
+
+      let created = 0;
+      let updated = 0;
+      const changed = [];
+      for (const fields of items) {
+        const current = bySku.get(fields.sku);
+        const row = catalogFieldsToRow(fields, req);
+        const { data, error: saveError } = current
+          ? await db.update("catalog_items", { id: current.id }, row)
+          : await db.insert("catalog_items", row);
+        if (saveError) {
+          console.error("Error guardando artículo:", saveError);
+          return res.status(500).json({ ok: false, error: "Error interno." });
+        }
+        if (!current) {
+          created++;
+        } else {
+          updated++;
+          if (Number(current.price) !== fields.price) changed.push(data[0]);
+        }
+      }
+
+      const { data: priceChanges, error: affectedError } =
+        await catalogAffectedQuotes(req, changed);
+      if (affectedError) {
+        console.error("Error buscando cotizaciones afectadas:", affectedError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        message: `Catálogo importado: ${created} nuevos, ${updated} actualizados.`,
+        created,
+        updated,
+        priceChanges,
+      });
+    } catch (err) {
+      console.error("Error en POST /api/catalog/import:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    } finally {
+      discardUpload(req);
+    }
+  }
+);
+
+/**
+ * GET /api/catalog/:catalogId
+ */
+app.get("/api/catalog/:catalogId", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await getCatalogItem(req.params.catalogId);
+    if (error) {
+      console.error("Error obteniendo artículo:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!data) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Artículo no encontrado." });
+    }
+    return res.json({ ok: true, item: catalogRowToView(data) });
+  } catch (err) {
+    console.error("Error en GET /api/catalog/:catalogId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/catalog/:catalogId
+ * Actualiza un artículo (los campos que no vienen se conservan). Las
+ * cotizaciones guardan su precio, así que un cambio de precio no las
+ * modifica: la respuesta incluye `affectedQuotes` con las partidas cuyo
+ * precio guardado ya no coincide.
+ */
+app.put(
+  "/api/catalog/:catalogId",
+  requireUser,
+  requireCatalogAdmin,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getCatalogItem(
+        req.params.catalogId
+      );
+      if (error) {
+        console.error("Error obteniendo artículo:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Artículo no encontrado." });
+      }
+
+      const { data: fields, error: fieldsError } = normalizeCatalogItem(
+        req.body || {},
+        catalogRowToView(current)
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      if (fields.sku !== current.sku) {
+        const { data: clash, error: skuError } = await db.getOne(
+          "catalog_items",
+          { sku: fields.sku }
+        );
+        if (skuError) {
+          console.error("Error comprobando SKU:", skuError);
+          return res.status(500).json({ ok: false, error: "Error interno." });
+        }
+        if (clash) {
+          return res.status(409).json({
+            ok: false,
+            error: `Ya existe un artículo con SKU ${fields.sku}.`,
+          });
+        }
+      }
+
+      const { data: saved, error: updateError } = await db.update(
+        "catalog_items",
+        { id: current.id },
+        catalogFieldsToRow(fields, req)
+      );
+      if (updateError) {
+        console.error("Error actualizando artículo:", updateError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      let affectedQuotes = [];
+      if (Number(current.price) !== fields.price) {
+        const { data: affected, error: affectedError } =
+          await catalogAffectedQuotes(req, [saved[0]]);
+        if (affectedError) {
+          console.error(
+            "Error buscando cotizaciones afectadas:",
+            affectedError
+          );
+        } else {
+          affectedQuotes = affected[0].quotes;
+        }
+      }
+
+      return res.json({
+        ok: true,
+        message: "Artículo actualizado.",
+        item: catalogRowToView(saved[0]),
+        affectedQuotes,
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/catalog/:catalogId:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * DELETE /api/catalog/:catalogId
+ * Las partidas que lo usaban conservan su concepto y precio.
+ */
+app.delete(
+  "/api/catalog/:catalogId",
+  requireUser,
+  requireCatalogAdmin,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getCatalogItem(
+        req.params.catalogId
+      );
+      if (error) {
+        console.error("Error obteniendo artículo:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Artículo no encontrado." });
+      }
+
+      const { error: removeError } = await db.remove("catalog_items", {
+        id: current.id,
+      });
+      if (removeError) {
+        console.error("Error eliminando artículo:", removeError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({ ok: true, message: "Artículo eliminado." });
+    } catch (err) {
+      console.error("Error en DELETE /api/catalog/:catalogId:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/catalog/:catalogId/affected-quotes
+ * Cotizaciones con partidas de este artículo cuyo precio guardado no
+ * coincide con el precio actual del catálogo.
+ */
+app.get(
+  "/api/catalog/:catalogId/affected-quotes",
+  requireUser,
+  async (req, res) => {
+    try {
+      const { data: current, error } = await getCatalogItem(
+        req.params.catalogId
+      );
+      if (error) {
+        console.error("Error obteniendo artículo:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!current) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Artículo no encontrado." });
+      }
+
+      const { data, error: affectedError } = await catalogAffectedQuotes(req, [
+        current,
+      ]);
+      if (affectedError) {
+        console.error("Error buscando cotizaciones afectadas:", affectedError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      return res.json({
+        ok: true,
+        item: catalogRowToView(current),
+        quotes: data[0].quotes,
+      });
+    } catch (err) {
+      console.error(
+        "Error en GET /api/catalog/:catalogId/affected-quotes:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/* ============================
+   CLIENTES Y CARPETAS: /api/customers, /api/folders
+   (de la cuenta que los crea; se asignan a los proyectos que puede editar)
+============================ */
+
+function customerRowToView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    company: row.company || "",
+    contact: row.contact || "",
+    email: row.email || "",
+    phone: row.phone || "",
+    notes: row.notes || "",
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function folderRowToView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id || null,
+    createdAt: row.created_at || null,
+  };
+}
+
+// Sin comprobar de quién es: para mostrar el cliente de un proyecto o
+// cotización a quien ya puede verlos
+async function getCustomer(customerId) {
+  if (!UUID_RE.test(customerId)) return { data: null };
+  return db.getOne("customers", { id: customerId });
+}
+
+async function getOwnCustomer(user, customerId) {
+  if (!user || !UUID_RE.test(customerId)) return { data: null };
+  return db.getOne("customers", { id: customerId, created_by: user.id });
+}
+
+async function getOwnFolder(user, folderId) {
+  if (!user || !UUID_RE.test(folderId)) return { data: null };
+  return db.getOne("folders", { id: folderId, created_by: user.id });
+}
+
+function listOwnFolders(user, options = {}) {
+  return db.list("folders", { ...options, match: { created_by: user.id } });
+}
+
+// Cuántos de estos proyectos no puede editar quien llama
+async function countNotWritable(req, projects) {
+  let count = 0;
+  for (const project of projects) {
+    const access = await resolveProjectRole(req, project);
+    if (access.error || roleRank(access.role) < roleRank("editor")) count += 1;
+  }
+  return count;
+}
+
+/**
+ * Proyectos con `column` = `value` (la carpeta o el cliente que se va a
+ * borrar) y, en `blocked`, cuántos de ellos no puede editar quien llama.
+ * Devuelve { data: { rows, blocked } } o { error }.
+ */
+async function projectsToReassign(req, column, value) {
+  const { data: rows, error } = await db.list("projects", {
+    match: { [column]: value },
+  });
+  if (error) return { error };
+  return { data: { rows, blocked: await countNotWritable(req, rows) } };
+}
+
+function sendReassignBlocked(res, blocked, what) {
+  return res.status(409).json({
+    ok: false,
+    error: `${what} se usa en ${blocked} proyecto(s) que no puedes editar.`,
+  });
+}
+
+/**
+ * Cambia `column` de estos proyectos a `value` como las demás ediciones:
+ * sube su revisión y avisa a sus visores (evento `organization`).
+ */
+async function reassignProjects(req, rows, column, value) {
+  for (const row of rows) {
+    const { data, error } = await updateProject(row.id, { [column]: value });
+    if (error) return { error };
+    if (data) publishProjectChange(req, "organization", data);
+  }
+  return {};
+}
+
+/**
+ * GET /api/customers?q=
+ * q busca en nombre, empresa, contacto y email.
+ */
+app.get("/api/customers", requireUser, async (req, res) => {
+  try {
+    const q = (req.query.q || "").toString().trim().toLowerCase();
+
+    const { data, error } = await db.list("customers", {
+      match: { created_by: req.user.id },
+      orderBy: "name",
+    });
+    if (error) {
+      console.error("Error listando clientes:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const customers = data
+      .filter(
+        (row) =>
+          !q ||
+          [row.name, row.company, row.contact, row.email].some((value) =>
+            (value || "").toLowerCase().includes(q)
+          )
+      )
+      .map(customerRowToView);
+    return res.json({ ok: true, customers });
+  } catch (err) {
+    console.error("Error en GET /api/customers:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/customers
+ * Crea un cliente: { name, company, contact, email, phone, notes }.
+ */
+app.post("/api/customers", requireUser, async (req, res) => {
+  try {
+    const { data: fields, error: fieldsError } = normalizeCustomer(
+      req.body || {}
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
+    }
+
+    const { data: created, error } = await db.insert("customers", {
+      ...fields,
+      created_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) {
+      console.error("Error creando cliente:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.status(201).json({
+      ok: true,
+      message: "Cliente creado.",
+      customer: customerRowToView(created),
+    });
+  } catch (err) {
+    console.error("Error en POST /api/customers:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/customers/:customerId
+ */
+app.get("/api/customers/:customerId", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await getOwnCustomer(
+      req.user,
+      req.params.customerId
+    );
+    if (error) {
+      console.error("Error obteniendo cliente:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!data) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Cliente no encontrado." });
+    }
+    return res.json({ ok: true, customer: customerRowToView(data) });
+  } catch (err) {
+    console.error("Error en GET /api/customers/:customerId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/customers/:customerId
+ * Los campos que no vienen se conservan.
+ */
+app.put("/api/customers/:customerId", requireUser, async (req, res) => {
+  try {
+    const { data: current, error } = await getOwnCustomer(
+      req.user,
+      req.params.customerId
+    );
+    if (error) {
+      console.error("Error obteniendo cliente:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!current) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Cliente no encontrado." });
+    }
+
+    const { data: fields, error: fieldsError } = normalizeCustomer(
+      req.body || {},
+      customerRowToView(current)
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
+    }
+
+    const { data: saved, error: updateError } = await db.update(
+      "customers",
+      { id: current.id },
+      { ...fields, updated_at: new Date().toISOString() }
+    );
+    if (updateError) {
+      console.error("Error actualizando cliente:", updateError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
     }
 
-    const view = projectRowToView(updated);
     return res.json({
       ok: true,
-      message: "Modelo reemplazado.",
-      project: view,
+      message: "Cliente actualizado.",
+      customer: customerRowToView(saved[0]),
+    });
+  } catch (err) {
+    console.error("Error en PUT /api/customers/:customerId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * DELETE /api/customers/:customerId
+ * Los proyectos y cotizaciones del cliente se quedan sin cliente; 409 si
+ * alguno es de un proyecto que quien llama no puede editar.
+ */
+app.delete("/api/customers/:customerId", requireUser, async (req, res) => {
+  try {
+    const { data: current, error } = await getOwnCustomer(
+      req.user,
+      req.params.customerId
+    );
+    if (error) {
+      console.error("Error obteniendo cliente:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!current) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Cliente no encontrado." });
+    }
+
+    const { data: linked, error: linkedError } = await projectsToReassign(
+      req,
+      "customer_id",
+      current.id
+    );
+    const { data: quotes, error: quotesError } = await db.list("quotes", {
+      match: { customer_id: current.id },
+    });
+    if (linkedError || quotesError) {
+      console.error(
+        "Error buscando proyectos del cliente:",
+        linkedError || quotesError
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    // Las cotizaciones se editan con los permisos de su proyecto
+    const quoteProjectIds = [...new Set(quotes.map((q) => q.project_id))];
+    const { data: quoteProjects, error: quoteProjectsError } =
+      quoteProjectIds.length
+        ? await db.list("projects", { match: { id: quoteProjectIds } })
+        : { data: [] };
+    if (quoteProjectsError) {
+      console.error(
+        "Error buscando proyectos del cliente:",
+        quoteProjectsError
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    const blocked =
+      linked.blocked + (await countNotWritable(req, quoteProjects));
+    if (blocked) return sendReassignBlocked(res, blocked, "El cliente");
+
+    const { error: unlinkError } = await reassignProjects(
+      req,
+      linked.rows,
+      "customer_id",
+      null
+    );
+    if (unlinkError) {
+      console.error("Error desvinculando cliente de projects:", unlinkError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    for (const quote of quotes) {
+      const { data, error: quoteError } = await db.update(
+        "quotes",
+        { id: quote.id },
+        { customer_id: null }
+      );
+      if (quoteError) {
+        console.error("Error desvinculando cliente de quotes:", quoteError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (data[0]) publishQuoteChange(req, data[0]);
+    }
+
+    const { error: deleteError } = await db.remove("customers", {
+      id: current.id,
+    });
+    if (deleteError) {
+      console.error("Error borrando cliente:", deleteError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({ ok: true, message: "Cliente eliminado." });
+  } catch (err) {
+    console.error("Error en DELETE /api/customers/:customerId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * GET /api/customers/:customerId/projects
+ * Proyectos del cliente visibles para quien llama; admite los mismos
+ * parámetros que GET /api/projects.
+ */
+app.get(
+  "/api/customers/:customerId/projects",
+  requireUser,
+  async (req, res) => {
+    try {
+      const { data: customer, error: customerError } = await getOwnCustomer(
+        req.user,
+        req.params.customerId
+      );
+      if (customerError) {
+        console.error("Error obteniendo cliente:", customerError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!customer) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Cliente no encontrado." });
+      }
+
+      const { data: options, error: queryError } = parseProjectListQuery({
+        ...req.query,
+        customer: customer.id,
+      });
+      if (queryError) {
+        return res.status(400).json({ ok: false, error: queryError.message });
+      }
+
+      const { data, error } = await listVisibleProjects(req.user, options);
+      if (error) {
+        console.error("Error listando projects:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { entries, total, nextCursor } = data;
+      return res.json({
+        ok: true,
+        customer: customerRowToView(customer),
+        projects: entries.map((entry) =>
+          listedProjectView(entry, options.view)
+        ),
+        total,
+        nextCursor,
+      });
+    } catch (err) {
+      console.error("Error en GET /api/customers/:customerId/projects:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/**
+ * GET /api/folders
+ * Las carpetas de quien llama (lista plana con parentId).
+ */
+app.get("/api/folders", requireUser, async (req, res) => {
+  try {
+    const { data, error } = await listOwnFolders(req.user, {
+      orderBy: "name",
     });
+    if (error) {
+      console.error("Error listando carpetas:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    return res.json({ ok: true, folders: data.map(folderRowToView) });
   } catch (err) {
-    console.error("Error en PUT /api/projects/:id/model:", err);
+    console.error("Error en GET /api/folders:", err);
     return res.status(500).json({ ok: false, error: "Error interno." });
   }
 });
 
 /**
- * PUT /api/projects/:id/rename
+ * POST /api/folders
+ * Crea una carpeta: { name, parentId } (parentId null = en la raíz).
  */
-app.put("/api/projects/:id/rename", async (req, res) => {
+app.post("/api/folders", requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name, password } = req.body || {};
+    const { data: folders, error } = await listOwnFolders(req.user);
+    if (error) {
+      console.error("Error listando carpetas:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
 
-    if (!name || !password) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "name y password son obligatorios." });
+    const { data: fields, error: fieldsError } = normalizeFolder(
+      req.body || {},
+      folders
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
     }
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
+    const { data: created, error: insertError } = await db.insert("folders", {
+      name: fields.name,
+      parent_id: fields.parentId,
+      created_by: req.user.id,
+    });
+    if (insertError) {
+      console.error("Error creando carpeta:", insertError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
     }
+
+    return res.status(201).json({
+      ok: true,
+      message: "Carpeta creada.",
+      folder: folderRowToView(created),
+    });
+  } catch (err) {
+    console.error("Error en POST /api/folders:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/folders/:folderId
+ * Renombra o mueve la carpeta: { name, parentId }.
+ */
+app.put("/api/folders/:folderId", requireUser, async (req, res) => {
+  try {
+    const { data: current, error } = await getOwnFolder(
+      req.user,
+      req.params.folderId
+    );
     if (error) {
-      console.error("Error obteniendo proyecto:", error);
+      console.error("Error obteniendo carpeta:", error);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
-
-    const hash = hashPassword(password);
-    if (hash !== project.password_hash) {
+    if (!current) {
       return res
-        .status(403)
-        .json({ ok: false, error: "Contraseña incorrecta." });
+        .status(404)
+        .json({ ok: false, error: "Carpeta no encontrada." });
+    }
+
+    const { data: folders, error: listError } = await listOwnFolders(req.user);
+    if (listError) {
+      console.error("Error listando carpetas:", listError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
     }
 
-    const { data: updated, error: updateError } = await supabase
-      .from("projects")
-      .update({ name })
-      .eq("id", id)
-      .select()
-      .single();
+    const { data: fields, error: fieldsError } = normalizeFolder(
+      req.body || {},
+      folders,
+      current
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
+    }
 
+    const { data: saved, error: updateError } = await db.update(
+      "folders",
+      { id: current.id },
+      { name: fields.name, parent_id: fields.parentId }
+    );
     if (updateError) {
-      console.error("Error renombrando proyecto:", updateError);
+      console.error("Error actualizando carpeta:", updateError);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
 
-    const view = projectRowToView(updated);
     return res.json({
       ok: true,
-      message: "Proyecto renombrado.",
-      project: view,
+      message: "Carpeta actualizada.",
+      folder: folderRowToView(saved[0]),
     });
   } catch (err) {
-    console.error("Error en PUT /api/projects/:id/rename:", err);
+    console.error("Error en PUT /api/folders/:folderId:", err);
     return res.status(500).json({ ok: false, error: "Error interno." });
   }
 });
 
 /**
- * PUT /api/projects/:id/notes
+ * DELETE /api/folders/:folderId
+ * Sus subcarpetas y proyectos pasan a la carpeta padre; 409 si tiene
+ * proyectos que quien llama no puede editar.
  */
-app.put("/api/projects/:id/notes", async (req, res) => {
+app.delete("/api/folders/:folderId", requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { notes, password } = req.body || {};
+    const { data: current, error } = await getOwnFolder(
+      req.user,
+      req.params.folderId
+    );
+    if (error) {
+      console.error("Error obteniendo carpeta:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!current) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Carpeta no encontrada." });
+    }
 
-    if (typeof notes !== "string" || !password) {
-      return res.status(400).json({
-        ok: false,
-        error: "notes (string) y password son obligatorios.",
+    const { data: contents, error: contentsError } = await projectsToReassign(
+      req,
+      "folder_id",
+      current.id
+    );
+    if (contentsError) {
+      console.error("Error buscando proyectos de la carpeta:", contentsError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (contents.blocked) {
+      return sendReassignBlocked(res, contents.blocked, "La carpeta");
+    }
+
+    const parentId = current.parent_id || null;
+    const { error: moveError } = await db.update(
+      "folders",
+      { parent_id: current.id, created_by: req.user.id },
+      { parent_id: parentId }
+    );
+    const { error: moveProjectsError } = moveError
+      ? {}
+      : await reassignProjects(req, contents.rows, "folder_id", parentId);
+    if (moveError || moveProjectsError) {
+      console.error(
+        "Error moviendo el contenido de la carpeta:",
+        moveError || moveProjectsError
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    const { error: deleteError } = await db.remove("folders", {
+      id: current.id,
+    });
+    if (deleteError) {
+      console.error("Error borrando carpeta:", deleteError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+
+    return res.json({ ok: true, message: "Carpeta eliminada." });
+  } catch (err) {
+    console.error("Error en DELETE /api/folders/:folderId:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * Comprueba que la carpeta y el cliente que se van a asignar existan y
+ * sean de quien llama (null los quita). Devuelve { ok } o
+ * { status, error }.
+ */
+async function checkOrganizationRefs(req, { folderId, customerId }) {
+  const checks = [
+    [folderId, getOwnFolder, "La carpeta no existe."],
+    [customerId, getOwnCustomer, "El cliente no existe."],
+  ];
+  for (const [id, load, message] of checks) {
+    if (!id) continue;
+    const { data, error } = await load(req.user, String(id));
+    if (error) throw error;
+    if (!data) return { status: 400, error: message };
+  }
+  return { ok: true };
+}
+
+/**
+ * PUT /api/projects/:id/organization
+ * { tags, folderId, customerId } (todo opcional; null quita la carpeta o
+ * el cliente).
+ */
+app.put(
+  "/api/projects/:id/organization",
+  projectWriteAccess,
+  async (req, res) => {
+    try {
+      const { tags, folderId, customerId } = req.body || {};
+      const patch = {};
+
+      if (tags !== undefined) {
+        const { data, error } = normalizeTags(tags);
+        if (error) {
+          return res.status(400).json({ ok: false, error: error.message });
+        }
+        patch.tags = data;
+      }
+
+      const refs = await checkOrganizationRefs(req, { folderId, customerId });
+      if (refs.error) {
+        return res.status(refs.status).json({ ok: false, error: refs.error });
+      }
+      if (folderId !== undefined) patch.folder_id = folderId || null;
+      if (customerId !== undefined) patch.customer_id = customerId || null;
+
+      if (!Object.keys(patch).length) {
+        return res.status(400).json({
+          ok: false,
+          error: "Indica tags, folderId o customerId.",
+        });
+      }
+
+      const { data, error } = await updateProject(req.project.id, patch);
+      if (error) {
+        console.error("Error actualizando organización:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      publishProjectChange(req, "organization", data);
+      return res.json({
+        ok: true,
+        message: "Organización actualizada.",
+        project: projectRowToView(data),
       });
+    } catch (err) {
+      console.error("Error en PUT /api/projects/:id/organization:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+  }
+);
+
+/* ============================
+   COTIZACIONES
+   /api/projects/:id/quotes/:quoteId (varias por proyecto) y
+   /api/quotes/:id (la primera cotización del proyecto)
+============================ */
+
+// Cada ruta de una cotización responde en las dos formas de URL.
+function quotePaths(suffix = "") {
+  return [
+    `/api/quotes/:id${suffix}`,
+    `/api/projects/:id/quotes/:quoteId${suffix}`,
+  ];
+}
+
+/**
+ * Configuración de una cotización guardada; si lo guardado ya no es válido
+ * (p. ej. cambió QUOTE_DEFAULTS) se usan los valores por defecto.
+ */
+function quoteRowSettings(row) {
+  const { data } = normalizeQuoteSettings(row && row.settings, QUOTE_DEFAULTS);
+  return data || normalizeQuoteSettings({}, QUOTE_DEFAULTS).data;
+}
+
+function quoteContentToView(row) {
+  const items = (row.items || []).map(normalizeQuoteItem);
+  const settings = quoteRowSettings(row);
+  const { lines, breakdown } = computeQuoteTotals(items, settings);
+  return { items, settings, lines, breakdown, total: breakdown.total };
+}
+
+function quoteRowToView(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    name: row.name || "Cotización",
+    status: effectiveStatus(row.status, row.valid_until),
+    validUntil: row.valid_until || null,
+    sentAt: row.sent_at || null,
+    notes: row.notes || "",
+    customerId: row.customer_id || null,
+    revision: row.current_revision || null,
+    ...quoteContentToView(row),
+    createdAt: row.created_at || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function quoteRevisionRowToView(row) {
+  return {
+    revision: row.revision,
+    ...quoteContentToView(row),
+    comment: row.comment || "",
+    createdBy: row.created_by || null,
+    author: row.author || "",
+    createdAt: row.created_at || null,
+  };
+}
+
+/**
+ * Primera cotización del proyecto (la que usan las rutas /api/quotes/:id).
+ */
+async function getDefaultQuote(projectId) {
+  const { data, error } = await db.list("quotes", {
+    match: { project_id: projectId },
+    orderBy: "created_at",
+    limit: 1,
+  });
+  if (error) return { error };
+  return { data: data[0] || null };
+}
+
+/**
+ * Guarda como caducada una cotización enviada cuya validez ya pasó.
+ */
+async function expireQuote(row) {
+  const status = effectiveStatus(row.status, row.valid_until);
+  if (status === row.status) return row;
+  const { data, error } = await db.update("quotes", { id: row.id }, { status });
+  if (error) {
+    console.error("Error actualizando estado de la cotización:", error);
+  }
+  return (data && data[0]) || { ...row, status };
+}
+
+/**
+ * Deja en req.quote la cotización de :quoteId (404 si no es del proyecto)
+ * o, en /api/quotes/:id, la primera del proyecto (null si no hay).
+ * Debe ir después de loadProject.
+ */
+async function loadQuote(req, res, next) {
+  try {
+    const { quoteId } = req.params;
+    if (quoteId && !UUID_RE.test(quoteId)) {
+      discardUpload(req);
+      return res
+        .status(404)
+        .json({ ok: false, error: "Cotización no encontrada." });
     }
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
+    const { data, error } = quoteId
+      ? await db.getOne("quotes", { id: quoteId, project_id: req.project.id })
+      : await getDefaultQuote(req.project.id);
+    if (error) {
+      discardUpload(req);
+      console.error("Error obteniendo cotización:", error);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
+    if (!data && quoteId) {
+      discardUpload(req);
       return res
         .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
+        .json({ ok: false, error: "Cotización no encontrada." });
+    }
+
+    req.quote = data ? await expireQuote(data) : null;
+    return next();
+  } catch (err) {
+    discardUpload(req);
+    console.error("Error cargando cotización:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+}
+
+function sendQuoteConflict(res, quote) {
+  return res.status(409).json({
+    ok: false,
+    error: "La cotización ha cambiado desde que la cargaste.",
+    quote: quoteRowToView(quote),
+  });
+}
+
+/**
+ * Concurrencia optimista de las rutas que cambian una cotización: si la
+ * petición trae la revisión que tenía el cliente (If-Match o `revision`)
+ * y la cotización ya va por otra, 409 con la actual. Va después de
+ * loadQuote.
+ */
+function checkQuoteRevision(req, res, next) {
+  const expected = requestedRevision(req);
+  if (expected === null || !req.quote) return next();
+  if (expected === (req.quote.current_revision || 0)) return next();
+
+  discardUpload(req);
+  return sendQuoteConflict(res, req.quote);
+}
+
+/**
+ * Revisiones de una cotización, de la más reciente a la más antigua. Las
+ * cotizaciones anteriores al historial registran su contenido como
+ * revisión 1 la primera vez que se consulta.
+ */
+async function listQuoteRevisions(quote) {
+  const { data, error } = await db.list("quote_revisions", {
+    match: { quote_id: quote.id },
+    orderBy: "revision",
+    ascending: false,
+  });
+  if (error) return { error };
+  const legacy =
+    quote.current_revision === null || quote.current_revision === undefined;
+  if (data.length || !legacy) return { data };
+
+  const { data: initial, error: insertError } = await db.insert(
+    "quote_revisions",
+    {
+      quote_id: quote.id,
+      project_id: quote.project_id,
+      revision: 1,
+      items: quote.items || [],
+      settings: quote.settings || null,
+      total: quote.total || 0,
+      comment: "",
+      created_by: null,
+      author: "",
+    }
+  );
+  if (insertError) return { error: insertError };
+
+  await db.update("quotes", { id: quote.id }, { current_revision: 1 });
+  return { data: [initial] };
+}
+
+/**
+ * Guarda partidas y configuración como una revisión nueva (las anteriores
+ * no se tocan) y la deja como contenido actual de la cotización. El total
+ * se calcula aquí; el que mande el cliente se ignora. Una cotización que no
+ * está en borrador vuelve a borrador. `meta` son columnas de la cotización
+ * que no forman parte de la revisión (name, valid_until, notes).
+ */
+async function saveQuoteRevision(
+  req,
+  quote,
+  { items, settings, comment },
+  meta = {}
+) {
+  const { data: revisions, error } = await listQuoteRevisions(quote);
+  if (error) return { error };
+
+  const revision = revisions.length ? revisions[0].revision + 1 : 1;
+  const { breakdown } = computeQuoteTotals(items, settings);
+
+  const { error: insertError } = await db.insert("quote_revisions", {
+    quote_id: quote.id,
+    project_id: quote.project_id,
+    revision,
+    items,
+    settings,
+    total: breakdown.total,
+    comment: (comment || "").toString(),
+    created_by: req.user ? req.user.id : null,
+    author: req.user ? req.user.email : "",
+  });
+  // Otra petición guardó la misma revisión a la vez (clave única, también
+  // en el backend local)
+  if (isDuplicateKey(insertError)) return { conflict: true };
+  if (insertError) return { error: insertError };
+
+  const patch = {
+    ...meta,
+    items,
+    settings,
+    total: breakdown.total,
+    current_revision: revision,
+    updated_at: new Date().toISOString(),
+  };
+  if (quote.status !== "draft") {
+    patch.status = "draft";
+    patch.sent_at = null;
+  }
+
+  const { data, error: updateError } = await db.update(
+    "quotes",
+    { id: quote.id },
+    patch
+  );
+  if (updateError) return { error: updateError };
+  return { data: data[0] || null };
+}
+
+/**
+ * Crea una cotización en borrador con su revisión 1.
+ */
+async function createQuote(req, projectId, fields) {
+  const { data: quote, error } = await db.insert("quotes", {
+    project_id: projectId,
+    name: fields.name || "Cotización",
+    status: "draft",
+    valid_until: fields.validUntil || null,
+    notes: fields.notes || "",
+    customer_id: fields.customerId || null,
+    sent_at: null,
+    items: [],
+    settings: fields.settings,
+    total: 0,
+    current_revision: 0,
+    created_by: req.user ? req.user.id : null,
+    updated_at: new Date().toISOString(),
+  });
+  if (error) return { error };
+  return saveQuoteRevision(req, quote, fields);
+}
+
+/**
+ * Lee { name, validUntil, notes, settings } del body. `settings` sin definir usa
+ * `currentSettings`. Devuelve { data } o { error: { message } }.
+ */
+function readQuoteFields(body, currentSettings) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    fields.name = (body.name || "").toString().trim();
+    if (!fields.name) {
+      return { error: { message: "name no puede estar vacío." } };
+    }
+  }
+
+  if (body.validUntil !== undefined) {
+    fields.validUntil =
+      body.validUntil === null ? null : parseDate(body.validUntil);
+    if (fields.validUntil === null && body.validUntil !== null) {
+      return {
+        error: { message: "validUntil debe ser una fecha YYYY-MM-DD." },
+      };
     }
+  }
+
+  if (body.notes !== undefined) {
+    fields.notes = (body.notes || "").toString();
+  }
+
+  if (body.settings === undefined) {
+    fields.settings = currentSettings;
+  } else {
+    const { data, error } = normalizeQuoteSettings(
+      body.settings,
+      QUOTE_DEFAULTS
+    );
+    if (error) return { error };
+    fields.settings = data;
+  }
+
+  return { data: fields };
+}
+
+function quoteLockedResponse(res) {
+  return res.status(409).json({
+    ok: false,
+    error:
+      "La cotización está aceptada y no se puede modificar. Duplica una revisión para hacer cambios.",
+  });
+}
+
+async function getQuoteRevision(quote, revision) {
+  const { error } = await listQuoteRevisions(quote);
+  if (error) return { error };
+  return db.getOne("quote_revisions", { quote_id: quote.id, revision });
+}
+
+/**
+ * Vista de la cotización para exportar: la revisión actual o, si se pide
+ * `revision`, esa revisión con los datos de la cotización (nombre, estado,
+ * notas) y su cliente (el de la cotización o el del proyecto) en
+ * `customer`. data es null si la revisión no existe.
+ */
+async function quoteExportView(quote, revision, project) {
+  const customerId = quote.customer_id || project.customer_id;
+  let customer = null;
+  if (customerId) {
+    const { data, error } = await getCustomer(customerId);
+    if (error) return { error };
+    customer = data ? customerRowToView(data) : null;
+  }
+
+  const view = { ...quoteRowToView(quote), customer };
+  if (revision === undefined) return { data: view };
+
+  const { data, error } = await getQuoteRevision(quote, Number(revision));
+  if (error) return { error };
+  return { data: data ? { ...view, ...quoteRevisionRowToView(data) } : null };
+}
+
+/**
+ * Avisos para las partidas que apuntan a piezas que ya no existen en el
+ * modelo activo. Sin modelInfo no se puede comprobar y no hay avisos.
+ */
+async function quotePartWarnings(project, items) {
+  const { data: modelInfo, error } = await ensureModelInfo(project);
+  if (error) return { error };
+  if (!modelInfo) return { data: [] };
+
+  const missing = findMissingParts(items, extractParts(modelInfo));
+  return {
+    data: missing.map((w) => ({
+      ...w,
+      message: `La partida "${
+        w.concepto
+      }" usa piezas que ya no están en el modelo: ${w.missingPartIds.join(
+        ", "
+      )}.`,
+    })),
+  };
+}
+
+/**
+ * GET /api/projects/:id/quotes
+ * Cotizaciones del proyecto, de la más antigua a la más reciente.
+ */
+app.get("/api/projects/:id/quotes", projectReadAccess, async (req, res) => {
+  try {
+    const { data, error } = await db.list("quotes", {
+      match: { project_id: req.project.id },
+      orderBy: "created_at",
+    });
     if (error) {
-      console.error("Error obteniendo proyecto:", error);
+      console.error("Error listando cotizaciones:", error);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
 
-    const hash = hashPassword(password);
-    if (hash !== project.password_hash) {
+    const quotes = [];
+    for (const row of data) {
+      quotes.push(quoteRowToView(await expireQuote(row)));
+    }
+    return res.json({ ok: true, quotes });
+  } catch (err) {
+    console.error("Error en GET /api/projects/:id/quotes:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * POST /api/projects/:id/quotes
+ * Crea una cotización en borrador: { name, items, settings, validUntil,
+ * notes, comment } (todo opcional).
+ */
+app.post("/api/projects/:id/quotes", projectWriteAccess, async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    if (body.items !== undefined && !Array.isArray(body.items)) {
       return res
-        .status(403)
-        .json({ ok: false, error: "Contraseña incorrecta." });
+        .status(400)
+        .json({ ok: false, error: "items debe ser un array." });
+    }
+
+    const { data: fields, error: fieldsError } = readQuoteFields(
+      body,
+      quoteRowSettings(null)
+    );
+    if (fieldsError) {
+      return res.status(400).json({ ok: false, error: fieldsError.message });
     }
 
-    const { data: updated, error: updateError } = await supabase
-      .from("projects")
-      .update({ pending_notes: notes })
-      .eq("id", id)
-      .select()
-      .single();
+    const {
+      data: items,
+      status,
+      error: itemsError,
+    } = await resolveQuoteItems(body.items || []);
+    if (itemsError) {
+      if (status === 400) {
+        return res.status(400).json({ ok: false, error: itemsError.message });
+      }
+      console.error("Error leyendo el catálogo:", itemsError);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
 
-    if (updateError) {
-      console.error("Error guardando notas:", updateError);
+    const { data: created, error } = await createQuote(req, req.project.id, {
+      ...fields,
+      items,
+      comment: body.comment,
+    });
+    if (error) {
+      console.error("Error creando cotización:", error);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
 
-    const view = projectRowToView(updated);
-    return res.json({
+    publishQuoteChange(req, created);
+    return res.status(201).json({
       ok: true,
-      message: "Notas guardadas.",
-      project: view,
+      message: "Cotización creada.",
+      quote: quoteRowToView(created),
     });
   } catch (err) {
-    console.error("Error en PUT /api/projects/:id/notes:", err);
+    console.error("Error en POST /api/projects/:id/quotes:", err);
     return res.status(500).json({ ok: false, error: "Error interno." });
   }
 });
 
 /**
- * PUT /api/projects/:id/parts-meta
+ * GET /api/quotes/:id
+ * Obtiene una cotización del proyecto (si existe).
  */
-app.put("/api/projects/:id/parts-meta", async (req, res) => {
+app.get(quotePaths(), projectReadAccess, loadQuote, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { partId, name, notes, color, materialPreset, password } =
-      req.body || {};
-
-    if (partId === undefined || !password) {
-      return res.status(400).json({
+    if (!req.quote) {
+      return res.status(404).json({
         ok: false,
-        error: "partId y password son obligatorios.",
+        error: "No hay cotización guardada para este proyecto.",
       });
     }
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
+    const quote = quoteRowToView(req.quote);
+    const { data: warnings, error: warningsError } = await quotePartWarnings(
+      req.project,
+      quote.items
+    );
+    if (warningsError) {
+      console.error(
+        "Error comprobando piezas de la cotización:",
+        warningsError
+      );
     }
-    if (error) {
-      console.error("Error obteniendo proyecto:", error);
+
+    return res.json({ ok: true, quote, warnings: warnings || [] });
+  } catch (err) {
+    console.error("Error en GET /api/quotes/:id:", err);
+    return res.status(500).json({ ok: false, error: "Error interno." });
+  }
+});
+
+/**
+ * PUT /api/quotes/:id
+ * Guarda la cotización como una revisión nueva. Body: { items, settings,
+ * name, validUntil, notes, comment } con settings = { currency, discount:
+ * { type, value }, taxes, rounding }. Sin settings se conserva la
+ * configuración guardada. El total lo calcula el servidor (un `total` en el
+ * body se ignora). En /api/quotes/:id crea la cotización si no existe.
+ */
+app.put(
+  quotePaths(),
+  projectWriteAccess,
+  loadQuote,
+  checkQuoteRevision,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { quote } = req;
+      const body = req.body || {};
+
+      if (!Array.isArray(body.items)) {
+        return res.status(400).json({
+          ok: false,
+          error: "items (array) es obligatorio.",
+        });
+      }
+      if (quote && quote.status === "accepted") {
+        return quoteLockedResponse(res);
+      }
+
+      const { data: fields, error: fieldsError } = readQuoteFields(
+        body,
+        quoteRowSettings(quote)
+      );
+      if (fieldsError) {
+        return res.status(400).json({ ok: false, error: fieldsError.message });
+      }
+
+      const {
+        data: normalizedItems,
+        status,
+        error: itemsError,
+      } = await resolveQuoteItems(body.items);
+      if (itemsError) {
+        if (status === 400) {
+          return res.status(400).json({ ok: false, error: itemsError.message });
+        }
+        console.error("Error leyendo el catálogo:", itemsError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      const content = {
+        items: normalizedItems,
+        settings: fields.settings,
+        comment: body.comment,
+      };
+      let saved;
+      let conflict;
+      let saveError;
+      if (quote) {
+        const meta = {};
+        if (fields.name !== undefined) meta.name = fields.name;
+        if (fields.validUntil !== undefined)
+          meta.valid_until = fields.validUntil;
+        if (fields.notes !== undefined) meta.notes = fields.notes;
+        ({
+          data: saved,
+          conflict,
+          error: saveError,
+        } = await saveQuoteRevision(req, quote, content, meta));
+      } else {
+        ({ data: saved, error: saveError } = await createQuote(req, id, {
+          ...fields,
+          ...content,
+        }));
+      }
+
+      if (conflict) return sendQuoteConflict(res, quote);
+      if (saveError) {
+        console.error("Error guardando cotización:", saveError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const { data: warnings } = await quotePartWarnings(
+        req.project,
+        normalizedItems
+      );
+
+      publishQuoteChange(req, saved);
+      return res.json({
+        ok: true,
+        message: "Cotización guardada.",
+        quote: quoteRowToView(saved),
+        warnings: warnings || [],
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/quotes/:id:", err);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
+  }
+);
 
-    const hash = hashPassword(password);
-    if (hash !== project.password_hash) {
-      return res
-        .status(403)
-        .json({ ok: false, error: "Contraseña incorrecta." });
-    }
+/**
+ * PUT /api/quotes/:id/status
+ * Cambia el estado: { status, validUntil }. Al enviar sin validUntil se
+ * usa la guardada o hoy + QUOTE_VALIDITY_DAYS.
+ */
+app.put(
+  quotePaths("/status"),
+  projectWriteAccess,
+  loadQuote,
+  checkQuoteRevision,
+  async (req, res) => {
+    try {
+      const { quote } = req;
+      const { status, validUntil } = req.body || {};
 
-    const currentMeta = project.parts_meta || {};
-    const key = String(partId);
-    const oldMeta = currentMeta[key] || {};
+      if (!quote) {
+        return res.status(404).json({
+          ok: false,
+          error: "No hay cotización guardada para este proyecto.",
+        });
+      }
+      if (!QUOTE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          ok: false,
+          error: `status debe ser ${QUOTE_STATUSES.join(", ")}.`,
+        });
+      }
+      if (!canTransition(quote.status, status)) {
+        return res.status(409).json({
+          ok: false,
+          error: `No se puede pasar una cotización de "${quote.status}" a "${status}".`,
+        });
+      }
 
-    currentMeta[key] = {
-      name: name !== undefined ? name : oldMeta.name || "",
-      notes: notes !== undefined ? notes : oldMeta.notes || "",
-      color: color !== undefined ? color : oldMeta.color || "#22c55e",
-      materialPreset:
-        materialPreset !== undefined
-          ? materialPreset
-          : oldMeta.materialPreset || "plastic",
-    };
+      const patch = { status, updated_at: new Date().toISOString() };
+      if (status === "sent") {
+        if (!(quote.items || []).length) {
+          return res.status(400).json({
+            ok: false,
+            error: "No se puede enviar una cotización sin partidas.",
+          });
+        }
+        const validDate =
+          validUntil === undefined
+            ? quote.valid_until || addDays(new Date(), QUOTE_VALIDITY_DAYS)
+            : parseDate(validUntil);
+        const today = new Date().toISOString().slice(0, 10);
+        if (!validDate || validDate < today) {
+          return res.status(400).json({
+            ok: false,
+            error: "validUntil debe ser una fecha YYYY-MM-DD a partir de hoy.",
+          });
+        }
+        patch.valid_until = validDate;
+        patch.sent_at = new Date().toISOString();
+      } else if (status === "draft") {
+        patch.sent_at = null;
+      }
 
-    const { data: updated, error: updateError } = await supabase
-      .from("projects")
-      .update({ parts_meta: currentMeta })
-      .eq("id", id)
-      .select()
-      .single();
+      const { data, error } = await db.update(
+        "quotes",
+        { id: quote.id },
+        patch
+      );
+      if (error) {
+        console.error("Error cambiando estado de la cotización:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
 
-    if (updateError) {
-      console.error("Error guardando parts-meta:", updateError);
+      publishQuoteChange(req, data[0]);
+      return res.json({
+        ok: true,
+        message: "Estado de la cotización actualizado.",
+        quote: quoteRowToView(data[0]),
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/quotes/:id/status:", err);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
-
-    const view = projectRowToView(updated);
-    return res.json({
-      ok: true,
-      message: "Metadatos de pieza guardados.",
-      project: view,
-    });
-  } catch (err) {
-    console.error("Error en PUT /api/projects/:id/parts-meta:", err);
-    return res.status(500).json({ ok: false, error: "Error interno." });
   }
-});
+);
 
 /**
- * DELETE /api/projects/:id
+ * PUT /api/quotes/:id/customer
+ * Cliente propio de la cotización: { customerId } (null vuelve a usar el
+ * del proyecto). No crea revisión.
  */
-app.delete("/api/projects/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { password } = req.body || {};
+app.put(
+  quotePaths("/customer"),
+  projectWriteAccess,
+  loadQuote,
+  checkQuoteRevision,
+  async (req, res) => {
+    try {
+      const { quote } = req;
+      const { customerId } = req.body || {};
 
-    if (!password) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "Contraseña requerida." });
-    }
+      if (!quote) {
+        return res.status(404).json({
+          ok: false,
+          error: "No hay cotización guardada para este proyecto.",
+        });
+      }
+      if (customerId === undefined) {
+        return res
+          .status(400)
+          .json({ ok: false, error: "customerId es obligatorio." });
+      }
+      if (quote.status === "accepted") {
+        return quoteLockedResponse(res);
+      }
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
-    }
-    if (error) {
-      console.error("Error obteniendo proyecto:", error);
+      const refs = await checkOrganizationRefs(req, { customerId });
+      if (refs.error) {
+        return res.status(refs.status).json({ ok: false, error: refs.error });
+      }
+
+      const { data, error } = await db.update(
+        "quotes",
+        { id: quote.id },
+        { customer_id: customerId || null }
+      );
+      if (error) {
+        console.error("Error cambiando cliente de la cotización:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      publishQuoteChange(req, data[0]);
+      return res.json({
+        ok: true,
+        message: "Cliente de la cotización actualizado.",
+        quote: quoteRowToView(data[0]),
+      });
+    } catch (err) {
+      console.error("Error en PUT /api/quotes/:id/customer:", err);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
+  }
+);
 
-    const hash = hashPassword(password);
-    if (hash !== project.password_hash) {
-      return res
-        .status(403)
-        .json({ ok: false, error: "Contraseña incorrecta." });
-    }
+/**
+ * GET /api/quotes/:id/revisions
+ * Historial de revisiones, de la más reciente a la más antigua.
+ */
+app.get(
+  quotePaths("/revisions"),
+  projectReadAccess,
+  loadQuote,
+  async (req, res) => {
+    try {
+      if (!req.quote) {
+        return res.json({ ok: true, revisions: [] });
+      }
+
+      const { data, error } = await listQuoteRevisions(req.quote);
+      if (error) {
+        console.error("Error listando revisiones:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
 
-    // Borrar modelo en storage si existe
-    if (project.model_path) {
-      await supabase.storage
-        .from(SUPABASE_MODELS_BUCKET)
-        .remove([project.model_path]);
+      return res.json({
+        ok: true,
+        currentRevision: data.length ? data[0].revision : null,
+        revisions: data.map(quoteRevisionRowToView),
+      });
+    } catch (err) {
+      console.error("Error en GET /api/quotes/:id/revisions:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
     }
+  }
+);
 
-    const { error: delError } = await supabase
-      .from("projects")
-      .delete()
-      .eq("id", id);
+/**
+ * GET /api/quotes/:id/revisions/:revision
+ */
+app.get(
+  quotePaths("/revisions/:revision"),
+  projectReadAccess,
+  loadQuote,
+  async (req, res) => {
+    try {
+      const revision = Number(req.params.revision);
+      const { data, error } = req.quote
+        ? await getQuoteRevision(req.quote, revision)
+        : { data: null };
+      if (error) {
+        console.error("Error obteniendo revisión:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!data) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Revisión no encontrada." });
+      }
 
-    if (delError) {
-      console.error("Error eliminando proyecto:", delError);
+      return res.json({ ok: true, revision: quoteRevisionRowToView(data) });
+    } catch (err) {
+      console.error("Error en GET /api/quotes/:id/revisions/:revision:", err);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
-
-    return res.json({ ok: true, message: "Proyecto eliminado." });
-  } catch (err) {
-    console.error("Error en DELETE /api/projects/:id:", err);
-    return res.status(500).json({ ok: false, error: "Error interno." });
   }
-});
-
-/* ============================
-   COTIZACIONES: /api/quotes/:id
-============================ */
+);
 
 /**
- * GET /api/quotes/:id
- * Obtiene la cotización de un proyecto (si existe).
+ * GET /api/quotes/:id/diff?from=&to=
+ * Qué cambió entre dos revisiones (partidas añadidas, quitadas y
+ * modificadas, configuración y totales). Por defecto compara la revisión
+ * actual con la anterior.
  */
-app.get("/api/quotes/:id", async (req, res) => {
+app.get(quotePaths("/diff"), projectReadAccess, loadQuote, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const { data, error } = await supabase
-      .from("quotes")
-      .select("*")
-      .eq("project_id", id)
-      .single();
-
-    if (error && error.code === "PGRST116") {
+    const { quote } = req;
+    if (!quote) {
       return res.status(404).json({
         ok: false,
         error: "No hay cotización guardada para este proyecto.",
       });
     }
+
+    const { data: revisions, error } = await listQuoteRevisions(quote);
     if (error) {
-      console.error("Error obteniendo cotización:", error);
+      console.error("Error listando revisiones:", error);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
 
+    const latest = revisions.length ? revisions[0].revision : 0;
+    const to = req.query.to === undefined ? latest : Number(req.query.to);
+    const from = req.query.from === undefined ? to - 1 : Number(req.query.from);
+
+    const byNumber = new Map(revisions.map((r) => [r.revision, r]));
+    if (!byNumber.has(from) || !byNumber.has(to)) {
+      return res.status(404).json({
+        ok: false,
+        error: "from y to deben ser revisiones existentes de la cotización.",
+      });
+    }
+
     return res.json({
       ok: true,
-      quote: {
-        projectId: data.project_id,
-        items: data.items || [],
-        total: data.total || 0,
-      },
+      diff: diffQuoteRevisions(
+        quoteRevisionRowToView(byNumber.get(from)),
+        quoteRevisionRowToView(byNumber.get(to))
+      ),
     });
   } catch (err) {
-    console.error("Error en GET /api/quotes/:id:", err);
+    console.error("Error en GET /api/quotes/:id/diff:", err);
     return res.status(500).json({ ok: false, error: "Error interno." });
   }
 });
 
 /**
- * PUT /api/quotes/:id
- * Guarda / actualiza la cotización de un proyecto.
+ * POST /api/quotes/:id/revisions/:revision/duplicate
+ * Crea una cotización nueva en borrador con el contenido de una revisión
+ * ({ name } opcional).
  */
-app.put("/api/quotes/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { password, items, total } = req.body || {};
+app.post(
+  quotePaths("/revisions/:revision/duplicate"),
+  projectWriteAccess,
+  loadQuote,
+  async (req, res) => {
+    try {
+      const { quote } = req;
+      const revision = Number(req.params.revision);
 
-    if (!password || !Array.isArray(items)) {
-      return res.status(400).json({
-        ok: false,
-        error: "password e items (array) son obligatorios.",
+      const { data: source, error } = quote
+        ? await getQuoteRevision(quote, revision)
+        : { data: null };
+      if (error) {
+        console.error("Error obteniendo revisión:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!source) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Revisión no encontrada." });
+      }
+
+      const name = ((req.body || {}).name || "").toString().trim();
+      const view = quoteRevisionRowToView(source);
+      const { data: created, error: createError } = await createQuote(
+        req,
+        quote.project_id,
+        {
+          name: name || `${quote.name || "Cotización"} (copia)`,
+          customerId: quote.customer_id,
+          items: view.items,
+          settings: view.settings,
+          comment: `Copia de la revisión ${revision} de "${
+            quote.name || "Cotización"
+          }".`,
+        }
+      );
+      if (createError) {
+        console.error("Error duplicando cotización:", createError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      publishQuoteChange(req, created);
+      return res.status(201).json({
+        ok: true,
+        message: "Cotización duplicada.",
+        quote: quoteRowToView(created),
       });
+    } catch (err) {
+      console.error(
+        "Error en POST /api/quotes/:id/revisions/:revision/duplicate:",
+        err
+      );
+      return res.status(500).json({ ok: false, error: "Error interno." });
     }
+  }
+);
 
-    const { data: project, error } = await getProjectById(id);
-    if (error && error.code === "PGRST116") {
-      return res
-        .status(404)
-        .json({ ok: false, error: "Proyecto no encontrado." });
-    }
-    if (error) {
-      console.error("Error obteniendo proyecto:", error);
+/**
+ * POST /api/quotes/:id/from-parts
+ * Borrador de lista de materiales a partir de las piezas del modelo y
+ * parts_meta (piezas idénticas agrupadas en una partida). `mode`:
+ *  - "preview" (por defecto): solo devuelve las partidas, no guarda nada.
+ *  - "replace": guarda la lista como partidas de la cotización.
+ *  - "merge": añade a la cotización las piezas que ninguna partida cubre.
+ */
+app.post(
+  quotePaths("/from-parts"),
+  projectWriteAccess,
+  loadQuote,
+  checkQuoteRevision,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { project, quote } = req;
+      const mode = (req.body || {}).mode || "preview";
+
+      if (!["preview", "replace", "merge"].includes(mode)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'mode debe ser "preview", "replace" o "merge".',
+        });
+      }
+
+      const { data: modelInfo, error: infoError } = await ensureModelInfo(
+        project
+      );
+      if (infoError) {
+        console.error("Error obteniendo datos del modelo:", infoError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      const parts = extractParts(modelInfo);
+      if (!parts.length) {
+        return res.status(400).json({
+          ok: false,
+          error:
+            "El modelo no tiene piezas para generar la lista de materiales.",
+        });
+      }
+
+      const bom = buildBillOfMaterials(parts, project.parts_meta);
+      if (mode === "preview") {
+        return res.json({ ok: true, items: bom });
+      }
+      if (quote && quote.status === "accepted") {
+        return quoteLockedResponse(res);
+      }
+
+      let items = bom;
+      if (mode === "merge") {
+        const current = quote ? quoteRowToView(quote).items : [];
+        const covered = new Set(current.flatMap((it) => it.partIds));
+        const added = bom
+          .map((it) => {
+            const partIds = it.partIds.filter((p) => !covered.has(p));
+            return { ...it, partIds, cantidad: partIds.length };
+          })
+          .filter((it) => it.partIds.length);
+        items = [...current, ...added];
+      }
+
+      const content = {
+        items,
+        settings: quoteRowSettings(quote),
+        comment: "Lista de materiales desde las piezas del modelo.",
+      };
+      const {
+        data: saved,
+        conflict,
+        error: saveError,
+      } = quote
+        ? await saveQuoteRevision(req, quote, content)
+        : await createQuote(req, id, content);
+      if (conflict) return sendQuoteConflict(res, quote);
+      if (saveError) {
+        console.error("Error guardando cotización:", saveError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+
+      publishQuoteChange(req, saved);
+      const view = quoteRowToView(saved);
+      const { data: warnings } = await quotePartWarnings(project, view.items);
+
+      return res.json({
+        ok: true,
+        message: "Lista de materiales generada.",
+        items: bom,
+        quote: view,
+        warnings: warnings || [],
+      });
+    } catch (err) {
+      console.error("Error en POST /api/quotes/:id/from-parts:", err);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
+  }
+);
 
-    const hash = hashPassword(password);
-    if (hash !== project.password_hash) {
-      return res
-        .status(403)
-        .json({ ok: false, error: "Contraseña incorrecta." });
-    }
+/**
+ * POST /api/quotes/:id/import
+ * Importa las partidas de un .xlsx o .csv (campo `file` del form-data) con
+ * la disposición del Excel exportado. Se valida fila por fila: si hay
+ * errores responde 400 con `rows` y no cambia nada. `mode`:
+ *  - "replace" (por defecto): guarda las partidas como una revisión nueva.
+ *  - "preview": solo devuelve las partidas leídas.
+ */
+app.post(
+  quotePaths("/import"),
+  uploadSpreadsheet,
+  projectWriteAccess,
+  loadQuote,
+  checkQuoteRevision,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { project, quote } = req;
+      const mode = (req.body || {}).mode || "replace";
 
-    const normalizedItems = items.map((it) => ({
-      concepto: (it.concepto || "").toString(),
-      cantidad: Number(it.cantidad) || 0,
-      precio: Number(it.precio) || 0,
-      link: (it.link || "").toString(),
-    }));
+      if (!req.file) {
+        return res.status(400).json({
+          ok: false,
+          error: "file (.xlsx o .csv) es obligatorio.",
+        });
+      }
+      if (!["preview", "replace"].includes(mode)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'mode debe ser "preview" o "replace".',
+        });
+      }
 
-    let computedTotal = normalizedItems.reduce(
-      (acc, it) => acc + it.cantidad * it.precio,
-      0
-    );
-    if (!isFinite(computedTotal)) computedTotal = 0;
+      const buffer = await fs.promises.readFile(req.file.path);
+      const { data: items, error } = parseQuoteWorkbook(
+        buffer,
+        req.file.originalname
+      );
+      if (error) {
+        return res
+          .status(400)
+          .json({ ok: false, error: error.message, rows: error.rows });
+      }
+      if (mode === "preview") {
+        return res.json({ ok: true, items });
+      }
+      if (quote && quote.status === "accepted") {
+        return quoteLockedResponse(res);
+      }
 
-    const finalTotal =
-      typeof total === "number" && isFinite(total) ? total : computedTotal;
+      const content = {
+        items,
+        settings: quoteRowSettings(quote),
+        comment: `Importada de ${req.file.originalname}.`,
+      };
+      const {
+        data: saved,
+        conflict,
+        error: saveError,
+      } = quote
+        ? await saveQuoteRevision(req, quote, content)
+        : await createQuote(req, id, content);
+      if (conflict) return sendQuoteConflict(res, quote);
+      if (saveError) {
+        console.error("Error guardando cotización:", saveError);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
 
-    const { data: upserted, error: upsertError } = await supabase
-      .from("quotes")
-      .upsert(
-        {
-          project_id: id,
-          items: normalizedItems,
-          total: finalTotal,
-          updated_at: new Date().toISOString(),
-        },
-        { onConflict: "project_id" }
-      )
-      .select()
-      .single();
+      publishQuoteChange(req, saved);
+      const view = quoteRowToView(saved);
+      const { data: warnings } = await quotePartWarnings(project, view.items);
 
-    if (upsertError) {
-      console.error("Error guardando cotización:", upsertError);
+      return res.json({
+        ok: true,
+        message: `Se importaron ${items.length} partidas.`,
+        items,
+        quote: view,
+        warnings: warnings || [],
+      });
+    } catch (err) {
+      console.error("Error en POST /api/quotes/:id/import:", err);
       return res.status(500).json({ ok: false, error: "Error interno." });
+    } finally {
+      discardUpload(req);
     }
+  }
+);
 
-    return res.json({
-      ok: true,
-      message: "Cotización guardada.",
-      quote: {
-        projectId: upserted.project_id,
-        items: upserted.items || [],
-        total: upserted.total || 0,
-      },
-    });
-  } catch (err) {
-    console.error("Error en PUT /api/quotes/:id:", err);
-    return res.status(500).json({ ok: false, error: "Error interno." });
+/**
+ * GET /api/quotes/:id/excel?revision=
+ * Genera el Excel en memoria y lo descarga (por defecto de la revisión
+ * actual).
+ */
+app.get(
+  quotePaths("/excel"),
+  projectReadAccess,
+  loadQuote,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { quote } = req;
+
+      if (!quote) {
+        return res.status(404).json({
+          ok: false,
+          error:
+            "No hay cotización guardada. Primero guarda la cotización para poder descargar el Excel.",
+        });
+      }
+
+      const { data: doc, error } = await quoteExportView(
+        quote,
+        req.query.revision,
+        req.project
+      );
+      if (error) {
+        console.error("Error obteniendo revisión para Excel:", error);
+        return res.status(500).json({ ok: false, error: "Error interno." });
+      }
+      if (!doc) {
+        return res
+          .status(404)
+          .json({ ok: false, error: "Revisión no encontrada." });
+      }
+
+      const wb = buildQuoteWorkbook(doc, req.project);
+      const buffer = XLSX.write(wb, {
+        bookType: "xlsx",
+        type: "buffer",
+      });
+
+      const fileName = doc.revision
+        ? `cotizacion-${id}-r${doc.revision}.xlsx`
+        : `cotizacion-${id}.xlsx`;
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}"`
+      );
+
+      return res.send(buffer);
+    } catch (err) {
+      console.error("Error en GET /api/quotes/:id/excel:", err);
+      return res.status(500).json({ ok: false, error: "Error interno." });
+    }
   }
-});
+);
 
 /**
- * GET /api/quotes/:id/excel
- * Genera el Excel en memoria y lo descarga.
+ * GET /api/quotes/:id/pdf?revision=&thumbnail=
+ * PDF de la cotización con la cabecera de la empresa (COMPANY_*), los datos
+ * del proyecto, partidas, totales, notas y QUOTE_TERMS. Incluye la
+ * miniatura del proyecto salvo con thumbnail=0.
  */
-app.get("/api/quotes/:id/excel", async (req, res) => {
+app.get(quotePaths("/pdf"), projectReadAccess, loadQuote, async (req, res) => {
   try {
     const { id } = req.params;
+    const { project, quote } = req;
 
-    const { data, error } = await supabase
-      .from("quotes")
-      .select("*")
-      .eq("project_id", id)
-      .single();
-
-    if (error && error.code === "PGRST116") {
+    if (!quote) {
       return res.status(404).json({
         ok: false,
         error:
-          "No hay cotización guardada. Primero guarda la cotización para poder descargar el Excel.",
+          "No hay cotización guardada. Primero guarda la cotización para poder descargar el PDF.",
       });
     }
+
+    const { data: doc, error } = await quoteExportView(
+      quote,
+      req.query.revision,
+      project
+    );
     if (error) {
-      console.error("Error obteniendo cotización para Excel:", error);
+      console.error("Error obteniendo revisión para PDF:", error);
       return res.status(500).json({ ok: false, error: "Error interno." });
     }
+    if (!doc) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Revisión no encontrada." });
+    }
 
-    const quoteDoc = {
-      projectId: data.project_id,
-      items: data.items || [],
-      total: data.total || 0,
-    };
+    let thumbnail = null;
+    if (project.thumbnail_path && req.query.thumbnail !== "0") {
+      const { data, error: thumbError } = await files.download(
+        project.thumbnail_path
+      );
+      if (thumbError) {
+        console.warn("No se pudo descargar la miniatura:", thumbError);
+      } else {
+        thumbnail = data;
+      }
+    }
 
-    const wb = buildQuoteWorkbook(quoteDoc);
-    const buffer = XLSX.write(wb, {
-      bookType: "xlsx",
-      type: "buffer",
+    const buffer = await renderQuotePdf({
+      quote: doc,
+      project,
+      branding: QUOTE_BRANDING,
+      thumbnail,
     });
 
-    const fileName = `cotizacion-${id}.xlsx`;
+    const fileName = doc.revision
+      ? `cotizacion-${id}-r${doc.revision}.pdf`
+      : `cotizacion-${id}.pdf`;
 
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-    );
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${fileName}"`
-    );
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
 
     return res.send(buffer);
   } catch (err) {
-    console.error("Error en GET /api/quotes/:id/excel:", err);
+    console.error("Error en GET /api/quotes/:id/pdf:", err);
     return res.status(500).json({ ok: false, error: "Error interno." });
   }
 });
@@ -913,6 +7689,12 @@ app.get("/api/quotes/:id/excel", async (req, res) => {
    Arrancar servidor
 ============================ */
 
-app.listen(PORT, () => {
-  console.log(`API corriendo en puerto ${PORT}`);
-});
+// Los tests cargan la app sin arrancarla (ver test/)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`API corriendo en puerto ${PORT}`);
+    scheduleUploadCleanup();
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,30 @@
+-- Cuentas de usuario, dueño de cada proyecto y miembros con rol.
+-- Los proyectos existentes quedan con owner_id NULL y siguen funcionando
+-- con su contraseña hasta que alguien los reclame.
+
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  name text not null default '',
+  password_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table projects
+  add column if not exists owner_id uuid references users (id) on delete set null;
+
+alter table projects alter column password_hash drop not null;
+
+create table if not exists project_members (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  user_id uuid references users (id) on delete cascade,
+  email text not null,
+  role text not null check (role in ('editor', 'viewer')),
+  invited_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (project_id, email)
+);
+
+create index if not exists project_members_user_id_idx
+  on project_members (user_id);
@@ -0,0 +1,20 @@
+-- Historial de versiones del modelo de cada proyecto.
+-- projects.model_path / model_filename siguen apuntando a la versión activa.
+
+create table if not exists model_versions (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  version integer not null,
+  model_path text not null,
+  model_filename text not null,
+  size_bytes bigint,
+  checksum text,
+  comment text not null default '',
+  uploaded_by uuid references users (id) on delete set null,
+  uploader text not null default '',
+  created_at timestamptz not null default now(),
+  unique (project_id, version)
+);
+
+alter table projects
+  add column if not exists active_model_version integer;
@@ -0,0 +1,8 @@
+-- Datos extraídos del modelo al subirlo (formato, triángulos, vértices,
+-- mallas, nodos, bounding box, unidades).
+
+alter table projects
+  add column if not exists model_info jsonb;
+
+alter table model_versions
+  add column if not exists model_info jsonb;
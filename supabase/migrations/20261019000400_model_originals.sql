@@ -0,0 +1,10 @@
+-- Archivo original subido (OBJ/STL/glTF) cuando el modelo se convierte a GLB.
+-- model_path apunta siempre al GLB que carga el visor.
+
+alter table projects
+  add column if not exists original_model_path text,
+  add column if not exists original_model_filename text;
+
+alter table model_versions
+  add column if not exists original_model_path text,
+  add column if not exists original_model_filename text;
@@ -0,0 +1,8 @@
+-- Miniatura PNG de cada versión del modelo (se guarda junto al modelo).
+-- projects.thumbnail_path es la de la versión activa.
+
+alter table projects
+  add column if not exists thumbnail_path text;
+
+alter table model_versions
+  add column if not exists thumbnail_path text;
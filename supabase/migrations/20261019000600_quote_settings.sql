@@ -0,0 +1,5 @@
+-- Configuración de cada cotización (moneda, descuento global, impuestos y
+-- redondeo). quotes.total lo calcula el servidor a partir de ella.
+
+alter table quotes
+  add column if not exists settings jsonb;
@@ -0,0 +1,44 @@
+-- Varias cotizaciones por proyecto, con nombre, estado y validez, y un
+-- historial inmutable de revisiones (una por cada guardado).
+-- quotes.items / settings / total siguen siendo el contenido de la
+-- revisión actual (current_revision). Las cotizaciones existentes
+-- registran su contenido como revisión 1 la primera vez que se consultan.
+
+alter table quotes
+  add column if not exists id uuid default gen_random_uuid();
+
+update quotes set id = gen_random_uuid() where id is null;
+
+alter table quotes alter column id set not null;
+
+-- Antes había una sola cotización por proyecto (project_id único).
+alter table quotes drop constraint if exists quotes_project_id_key;
+alter table quotes drop constraint if exists quotes_pkey;
+alter table quotes add primary key (id);
+
+alter table quotes
+  add column if not exists name text not null default 'Cotización',
+  add column if not exists status text not null default 'draft'
+    check (status in ('draft', 'sent', 'accepted', 'rejected', 'expired')),
+  add column if not exists valid_until date,
+  add column if not exists sent_at timestamptz,
+  add column if not exists current_revision integer,
+  add column if not exists created_by uuid references users (id) on delete set null,
+  add column if not exists created_at timestamptz not null default now();
+
+create index if not exists quotes_project_id_idx on quotes (project_id);
+
+create table if not exists quote_revisions (
+  id uuid primary key default gen_random_uuid(),
+  quote_id uuid not null references quotes (id) on delete cascade,
+  project_id text not null,
+  revision integer not null,
+  items jsonb not null default '[]',
+  settings jsonb,
+  total numeric not null default 0,
+  comment text not null default '',
+  created_by uuid references users (id) on delete set null,
+  author text not null default '',
+  created_at timestamptz not null default now(),
+  unique (quote_id, revision)
+);
@@ -0,0 +1,4 @@
+-- Notas de cada cotización (se imprimen en el PDF).
+
+alter table quotes
+  add column if not exists notes text not null default '';
@@ -0,0 +1,19 @@
+-- Catálogo de precios compartido entre cotizaciones. Las partidas guardan
+-- catalogId y el precio del artículo al añadirlo (catalogPrice) dentro de
+-- quotes.items, así que no hay clave foránea.
+
+create table if not exists catalog_items (
+  id uuid primary key default gen_random_uuid(),
+  sku text not null unique,
+  description text not null,
+  unit text not null default 'pza',
+  price numeric not null default 0 check (price >= 0),
+  category text not null default '',
+  supplier_url text not null default '',
+  updated_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists catalog_items_category_idx
+  on catalog_items (category);
@@ -0,0 +1,9 @@
+-- Plantillas y copias de proyectos. source_project_id es el proyecto del
+-- que se copió (sin clave foránea: el original se puede borrar).
+
+alter table projects
+  add column if not exists is_template boolean not null default false,
+  add column if not exists source_project_id text;
+
+create index if not exists projects_is_template_idx
+  on projects (is_template) where is_template;
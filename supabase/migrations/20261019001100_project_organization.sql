@@ -0,0 +1,44 @@
+-- Organización de proyectos: etiquetas, carpetas anidadas y clientes. Las
+-- cotizaciones pueden tener su propio cliente; si no, usan el del proyecto.
+
+create table if not exists folders (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  parent_id uuid references folders (id) on delete set null,
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists folders_parent_id_idx on folders (parent_id);
+
+create table if not exists customers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  company text not null default '',
+  contact text not null default '',
+  email text not null default '',
+  phone text not null default '',
+  notes text not null default '',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Cada cuenta ve y edita solo sus clientes y carpetas. Los clientes
+-- creados antes de esta columna quedan sin dueño (nadie los ve en
+-- /api/customers) hasta que se les asigne created_by.
+alter table customers
+  add column if not exists created_by uuid references users (id) on delete set null;
+
+create index if not exists customers_created_by_idx on customers (created_by);
+create index if not exists folders_created_by_idx on folders (created_by);
+
+alter table projects
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists folder_id uuid references folders (id) on delete set null,
+  add column if not exists customer_id uuid references customers (id) on delete set null;
+
+create index if not exists projects_folder_id_idx on projects (folder_id);
+create index if not exists projects_customer_id_idx on projects (customer_id);
+
+alter table quotes
+  add column if not exists customer_id uuid references customers (id) on delete set null;
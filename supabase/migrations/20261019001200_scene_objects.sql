@@ -0,0 +1,29 @@
+-- Escena: modelos adicionales de un proyecto, cada uno con su archivo y
+-- transformación. El modelo principal sigue en projects (model_path,
+-- position, rotation). parent_id es otro objeto, 'main' o null; sin clave
+-- foránea por 'main'.
+
+create table if not exists scene_objects (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  name text not null,
+  model_path text,
+  model_filename text,
+  original_model_path text,
+  original_model_filename text,
+  model_info jsonb,
+  size_bytes bigint,
+  checksum text,
+  position jsonb not null default '{"x":0,"y":0,"z":0}',
+  rotation jsonb not null default '{"x":0,"y":0,"z":0}',
+  scale jsonb not null default '{"x":1,"y":1,"z":1}',
+  visible boolean not null default true,
+  parent_id text,
+  sort_order integer not null default 0,
+  uploaded_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists scene_objects_project_id_idx
+  on scene_objects (project_id, sort_order);
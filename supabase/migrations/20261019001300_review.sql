@@ -0,0 +1,71 @@
+-- Revisión sobre el modelo: anotaciones ancladas a un punto 3D y/o a una
+-- pieza (part_id como en parts_meta; object_id es un objeto de escena,
+-- 'main' o null), sus respuestas, medidas entre dos puntos y vistas de
+-- cámara con nombre. Los puntos son { x, y, z } en coordenadas de la escena.
+
+create table if not exists annotations (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  text text not null,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  point jsonb,
+  part_id text,
+  object_id text,
+  author text not null default '',
+  author_id uuid references users (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (point is not null or part_id is not null)
+);
+
+create index if not exists annotations_project_id_idx
+  on annotations (project_id, status);
+
+create table if not exists annotation_replies (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  annotation_id uuid not null references annotations (id) on delete cascade,
+  text text not null,
+  author text not null default '',
+  author_id uuid references users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists annotation_replies_annotation_id_idx
+  on annotation_replies (annotation_id);
+create index if not exists annotation_replies_project_id_idx
+  on annotation_replies (project_id);
+
+create table if not exists measurements (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  name text not null default '',
+  from_point jsonb not null,
+  to_point jsonb not null,
+  unit text not null default '',
+  author text not null default '',
+  author_id uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists measurements_project_id_idx
+  on measurements (project_id);
+
+create table if not exists camera_views (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  name text not null,
+  position jsonb not null,
+  target jsonb not null default '{"x":0,"y":0,"z":0}',
+  up jsonb not null default '{"x":0,"y":1,"z":0}',
+  fov numeric not null default 50,
+  author text not null default '',
+  author_id uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists camera_views_project_id_idx
+  on camera_views (project_id);
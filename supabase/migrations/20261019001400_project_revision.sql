@@ -0,0 +1,6 @@
+-- Concurrencia optimista: cada cambio en la fila del proyecto sube
+-- revision, que es el ETag de GET /api/projects/:id. Las rutas de edición
+-- escriben con "where revision = <la leída>".
+
+alter table projects
+  add column if not exists revision integer not null default 1;
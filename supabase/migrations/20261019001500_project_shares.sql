@@ -0,0 +1,31 @@
+-- Enlaces para compartir un proyecto en modo lectura: token aleatorio con
+-- caducidad, contraseña opcional (scrypt, como la de los proyectos),
+-- permisos (model, quote, comment) y contadores de acceso. Revocar pone
+-- revoked_at; la fila se conserva con sus estadísticas.
+
+create table if not exists project_shares (
+  id uuid primary key default gen_random_uuid(),
+  project_id text not null references projects (id) on delete cascade,
+  token text not null unique,
+  label text not null default '',
+  permissions jsonb not null default '["model"]',
+  quote_id uuid references quotes (id) on delete set null,
+  password_hash text,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  view_count integer not null default 0,
+  model_downloads integer not null default 0,
+  comment_count integer not null default 0,
+  denied_count integer not null default 0,
+  last_accessed_at timestamptz,
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists project_shares_project_id_idx
+  on project_shares (project_id);
+
+-- Comentarios hechos desde un enlace
+alter table annotations
+  add column if not exists share_id uuid
+    references project_shares (id) on delete set null;
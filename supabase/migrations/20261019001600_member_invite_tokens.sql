@@ -0,0 +1,11 @@
+-- Las invitaciones pendientes se aceptan con un token secreto (solo se
+-- guarda su hash) en vez de vincularse a quien se registre con el email.
+-- Las pendientes anteriores no tienen token: hay que volver a invitar.
+
+alter table project_members
+  add column if not exists invite_token_hash text,
+  add column if not exists invite_expires_at timestamptz;
+
+create unique index if not exists project_members_invite_token_idx
+  on project_members (invite_token_hash)
+  where invite_token_hash is not null;
@@ -0,0 +1,352 @@
+// test/auth.test.js
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { hashPassword } = require("../lib/auth");
+
+// La app se carga con el backend local sobre una carpeta temporal; el
+// proyecto tiene dueño, así que sin credenciales no hay ni rol de lector.
+// El otro es de antes de las cuentas y se edita con su contraseña.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "visor3d-test-"));
+const dataDir = path.join(tmpDir, "data");
+const PROJECT_ID = "proyecto-con-dueno";
+const LEGACY_PROJECT_ID = "proyecto-sin-dueno";
+const LEGACY_PASSWORD = "clave-del-proyecto";
+
+fs.mkdirSync(dataDir);
+
+Object.assign(process.env, {
+  STORAGE_BACKEND: "local",
+  LOCAL_DATA_DIR: dataDir,
+  LOCAL_FILES_DIR: path.join(tmpDir, "files"),
+  AUTH_TOKEN_SECRET: "secreto-de-prueba",
+  CATALOG_ADMINS: "admin@prueba.io",
+});
+
+const app = require("../server");
+
+// Rutas de escritura que no piden credenciales a propósito, con el motivo
+const PUBLIC_ROUTES = {
+  // El uploadId de la subida es lo que la protege
+  "POST /api/uploads": true,
+  "PUT /api/uploads/:uploadId/chunks/:index": true,
+  "POST /api/uploads/:uploadId/complete": true,
+  "DELETE /api/uploads/:uploadId": true,
+  // Crean la sesión o la cuenta
+  "POST /api/auth/register": true,
+  "POST /api/auth/login": true,
+  "POST /api/projects/:id/login": true,
+  // Sin cuenta se crea con contraseña propia
+  "POST /api/projects": true,
+  // El token del enlace es la credencial
+  "POST /api/share/:token/annotations": true,
+};
+
+/**
+ * Rutas POST/PUT/PATCH/DELETE registradas en la app: [{ method, path }].
+ */
+function writeRoutes() {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    const paths = [].concat(layer.route.path);
+    for (const method of Object.keys(layer.route.methods)) {
+      if (!["post", "put", "patch", "delete"].includes(method)) continue;
+      for (const routePath of paths) {
+        routes.push({ method: method.toUpperCase(), path: routePath });
+      }
+    }
+  }
+  return routes;
+}
+
+// :id es el proyecto con dueño; el resto de parámetros, valores que
+// parecen válidos
+function fillParams(routePath) {
+  return routePath.replace(/:(\w+)/g, (_, name) => {
+    if (name === "id") return PROJECT_ID;
+    if (name === "index" || name === "revision") return "1";
+    if (name === "token") return "a".repeat(32);
+    return crypto.randomUUID();
+  });
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  // Las tablas del backend local se leen al usarlas por primera vez
+  const project = {
+    revision: 1,
+    position: { x: 0, y: 0, z: 0 },
+    rotation: { x: 0, y: 0, z: 0 },
+    created_at: new Date().toISOString(),
+  };
+  fs.writeFileSync(
+    path.join(dataDir, "projects.json"),
+    JSON.stringify([
+      {
+        ...project,
+        id: PROJECT_ID,
+        name: "Proyecto con dueño",
+        owner_id: crypto.randomUUID(),
+        password_hash: null,
+      },
+      {
+        ...project,
+        id: LEGACY_PROJECT_ID,
+        name: "Proyecto sin dueño",
+        owner_id: null,
+        password_hash: await hashPassword(LEGACY_PASSWORD),
+      },
+    ])
+  );
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const routes = writeRoutes();
+
+test("hay rutas de escritura que comprobar", () => {
+  assert.ok(routes.length > Object.keys(PUBLIC_ROUTES).length);
+});
+
+test("las rutas públicas siguen existiendo", () => {
+  const registered = new Set(routes.map((r) => `${r.method} ${r.path}`));
+  for (const key of Object.keys(PUBLIC_ROUTES)) {
+    assert.ok(registered.has(key), `${key} ya no existe`);
+  }
+});
+
+for (const { method, path: routePath } of routes) {
+  const key = `${method} ${routePath}`;
+  if (PUBLIC_ROUTES[key]) continue;
+
+  test(`${key} sin credenciales responde 401 o 403`, async () => {
+    const res = await fetch(baseUrl + fillParams(routePath), {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: "{}",
+    });
+    const body = await res.json();
+
+    assert.ok(
+      res.status === 401 || res.status === 403,
+      `${key}: ${res.status} ${JSON.stringify(body)}`
+    );
+    assert.strictEqual(body.ok, false);
+  });
+}
+
+// Crea una cuenta y devuelve su token
+async function register(email) {
+  const res = await fetch(`${baseUrl}/api/auth/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, password: "secreto123" }),
+  });
+  assert.strictEqual(res.status, 201);
+  return (await res.json()).token;
+}
+
+function request(method, route, token, body) {
+  return fetch(baseUrl + route, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+}
+
+test("el catálogo lo lee cualquier cuenta y lo cambian sus administradores", async () => {
+  const user = await register("usuario@prueba.io");
+  const admin = await register("admin@prueba.io");
+  const item = { sku: "TORN-01", description: "Tornillo", price: 2 };
+
+  let res = await request("POST", "/api/catalog", user, item);
+  assert.strictEqual(res.status, 403);
+
+  res = await request("POST", "/api/catalog", admin, item);
+  assert.strictEqual(res.status, 201);
+  const { id } = (await res.json()).item;
+
+  res = await request("GET", "/api/catalog", user);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).items.length, 1);
+
+  res = await request("PUT", `/api/catalog/${id}`, user, { price: 0 });
+  assert.strictEqual(res.status, 403);
+  res = await request("DELETE", `/api/catalog/${id}`, user);
+  assert.strictEqual(res.status, 403);
+});
+
+// Crea un proyecto con un STL de un triángulo y devuelve su id
+async function createProject(token, name) {
+  const form = new FormData();
+  form.append("projectName", name);
+  form.append(
+    "model",
+    new Blob([
+      "solid t\nfacet normal 0 0 1\nouter loop\nvertex 0 0 0\n" +
+        "vertex 1 0 0\nvertex 0 1 0\nendloop\nendfacet\nendsolid t\n",
+    ]),
+    "triangulo.stl"
+  );
+  const res = await fetch(`${baseUrl}/api/projects`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  });
+  assert.strictEqual(res.status, 201);
+  return (await res.json()).project.id;
+}
+
+test("clientes y carpetas son de la cuenta que los crea", async () => {
+  const owner = await register("clientes@prueba.io");
+  const other = await register("otra@prueba.io");
+
+  let res = await request("POST", "/api/customers", owner, { name: "ACME" });
+  assert.strictEqual(res.status, 201);
+  const customerId = (await res.json()).customer.id;
+  res = await request("POST", "/api/folders", owner, { name: "Obras" });
+  assert.strictEqual(res.status, 201);
+  const folderId = (await res.json()).folder.id;
+
+  res = await request("GET", "/api/customers", other);
+  assert.deepStrictEqual((await res.json()).customers, []);
+  res = await request("GET", "/api/folders", other);
+  assert.deepStrictEqual((await res.json()).folders, []);
+
+  for (const [method, route] of [
+    ["GET", `/api/customers/${customerId}`],
+    ["PUT", `/api/customers/${customerId}`],
+    ["DELETE", `/api/customers/${customerId}`],
+    ["PUT", `/api/folders/${folderId}`],
+    ["DELETE", `/api/folders/${folderId}`],
+  ]) {
+    const body = method === "PUT" ? { name: "Mío" } : undefined;
+    res = await request(method, route, other, body);
+    assert.strictEqual(res.status, 404, `${method} ${route}`);
+  }
+
+  // Tampoco se pueden asignar a un proyecto propio
+  const projectId = await createProject(other, "Proyecto de otra");
+  res = await request("PUT", `/api/projects/${projectId}/organization`, other, {
+    customerId,
+  });
+  assert.strictEqual(res.status, 400);
+});
+
+test("borrar un cliente no toca proyectos que no puedes editar", async () => {
+  const owner = await register("dueno@prueba.io");
+  const editor = await register("editor@prueba.io");
+  const projectId = await createProject(owner, "Proyecto compartido");
+
+  let res = await request("POST", `/api/projects/${projectId}/members`, owner, {
+    email: "editor@prueba.io",
+    role: "editor",
+  });
+  const { member, invite } = await res.json();
+  res = await request("POST", `/api/invites/${invite.token}/accept`, editor);
+  assert.strictEqual(res.status, 200);
+
+  res = await request("POST", "/api/customers", editor, { name: "Cliente" });
+  const customerId = (await res.json()).customer.id;
+  res = await request(
+    "PUT",
+    `/api/projects/${projectId}/organization`,
+    editor,
+    { customerId }
+  );
+  assert.strictEqual(res.status, 200);
+
+  res = await request(
+    "DELETE",
+    `/api/projects/${projectId}/members/${member.id}`,
+    owner
+  );
+  assert.strictEqual(res.status, 200);
+
+  res = await request("DELETE", `/api/customers/${customerId}`, editor);
+  assert.strictEqual(res.status, 409);
+  res = await request("GET", `/api/projects/${projectId}`, owner);
+  assert.strictEqual((await res.json()).project.customerId, customerId);
+});
+
+test("un proyecto sin dueño se edita solo con su contraseña", async () => {
+  const route = `${baseUrl}/api/projects/${LEGACY_PROJECT_ID}/transform`;
+  const put = (headers) =>
+    fetch(route, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({ position: { x: 1, y: 2, z: 3 } }),
+    });
+
+  let res = await put({});
+  assert.strictEqual(res.status, 401);
+  res = await put({ "X-Project-Password": "otra-clave" });
+  assert.strictEqual(res.status, 403);
+
+  res = await put({ "X-Project-Password": LEGACY_PASSWORD });
+  assert.strictEqual(res.status, 200);
+  const { project } = await res.json();
+  assert.deepStrictEqual(project.position, { x: 1, y: 2, z: 3 });
+});
+
+test("las plantillas de otros se listan en resumen y se copian sin cotizaciones", async () => {
+  const owner = await register("plantillas@prueba.io");
+  const other = await register("usa-plantillas@prueba.io");
+  const templateId = await createProject(owner, "Plantilla");
+
+  let res = await request("POST", `/api/projects/${templateId}/quotes`, owner, {
+    name: "Cotización privada",
+  });
+  assert.strictEqual(res.status, 201);
+  res = await request("PUT", `/api/projects/${templateId}/template`, owner, {
+    template: true,
+  });
+  assert.strictEqual(res.status, 200);
+
+  res = await request("GET", "/api/projects?template=true", other);
+  const listed = (await res.json()).projects.find((p) => p.id === templateId);
+  assert.ok(listed);
+  assert.strictEqual(listed.role, null);
+  assert.strictEqual(listed.position, undefined);
+  res = await request("GET", `/api/projects/${templateId}`, other);
+  assert.strictEqual(res.status, 403);
+
+  res = await request("POST", "/api/projects", other, {
+    projectName: "Desde plantilla",
+    templateId,
+  });
+  assert.strictEqual(res.status, 201);
+  const copyId = (await res.json()).project.id;
+  res = await request("GET", `/api/projects/${copyId}/quotes`, other);
+  assert.deepStrictEqual((await res.json()).quotes, []);
+
+  res = await request(
+    "POST",
+    `/api/projects/${templateId}/duplicate`,
+    owner,
+    {}
+  );
+  assert.strictEqual(res.status, 201);
+  const ownCopyId = (await res.json()).project.id;
+  res = await request("GET", `/api/projects/${ownCopyId}/quotes`, owner);
+  assert.strictEqual((await res.json()).quotes.length, 1);
+});